@@ -0,0 +1,30 @@
+const { loadPlays } = require('../lib/match-data');
+const { datasetFor } = require('../lib/access');
+const { parseFilters, applyFilters } = require('../lib/play-query');
+const { aggregate, sortRows, resolveSpec } = require('../lib/aggregate');
+
+// GET /api/aggregate
+// ?groupBy=opponent,season&metrics=shots,goals,xgSum plus the /api/plays filters,
+// or ?preset=shotMap for one of the dashboard rollups.
+function getAggregate(req, res) {
+  try {
+    const spec = resolveSpec(req.query);
+    const plays = applyFilters(loadPlays(datasetFor(req, req.query.dataset)), parseFilters(req.query));
+    const rows = aggregate(plays, spec);
+
+    res.json({
+      preset: req.query.preset || null,
+      groupBy: spec.groupBy,
+      metrics: spec.metrics,
+      rows: sortRows(rows, req.query.sort, [...spec.groupBy, ...spec.metrics])
+    });
+  } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error aggregating plays:', error);
+    res.status(500).json({ error: 'Failed to aggregate plays', details: error.message });
+  }
+}
+
+module.exports = { getAggregate };
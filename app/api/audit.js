@@ -0,0 +1,40 @@
+const { auditDataset, fixDataset } = require('../lib/audit');
+const { datasetFor } = require('../lib/access');
+
+function handleError(res, error, action) {
+  if (error.status === 400 || error.status === 404) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: `Failed ${action}`, details: error.message });
+}
+
+// GET /api/audit?dataset=club-2025&seasonStartMonth=1
+// Cross-field, duplicate, ordering and xG checks with a severity and, where
+// the right value is clear, a suggested fix per issue. seasonStartMonth
+// overrides the dataset's season start for this audit.
+function getAudit(req, res) {
+  try {
+    res.json(auditDataset(datasetFor(req, req.query.dataset), { seasonStartMonth: req.query.seasonStartMonth }));
+  } catch (error) {
+    handleError(res, error, 'auditing dataset');
+  }
+}
+
+// POST /api/audit/fix { dataset?, rules?: ['season-date'], issues?: ['shot-outcome:3'], saveAs?, seasonStartMonth? }
+// Applies the suggested fixes (all of them unless rules or issues narrow it
+// down) and stores the dataset again, or a copy under saveAs
+function fixAudit(req, res) {
+  try {
+    const body = req.body || {};
+    const result = fixDataset(datasetFor(req, body.dataset || req.query.dataset), body, {
+      userId: req.user ? req.user.id : null,
+      workspace: req.workspace.id
+    });
+    res.json(result);
+  } catch (error) {
+    handleError(res, error, 'fixing dataset');
+  }
+}
+
+module.exports = { getAudit, fixAudit };
@@ -0,0 +1,30 @@
+const { loadPlays } = require('../lib/match-data');
+const { datasetFor } = require('../lib/access');
+const { parseFilters, applyFilters, badRequest } = require('../lib/play-query');
+const { DEFAULT_GAP, buildChains } = require('../lib/chains');
+
+// GET /api/chains
+// Links consecutive plays of each game into possession chains and reports
+// chain xG, rebounds after shots, turnover-to-counterattack transitions, the
+// sequences before goals and a play type flow for a Sankey diagram. Accepts
+// the /api/plays filters, applied before linking, plus gap (the most minutes
+// between two linked plays, default 3).
+function getChains(req, res) {
+  try {
+    const gap = req.query.gap === undefined ? DEFAULT_GAP : Number(req.query.gap);
+    if (!Number.isInteger(gap) || gap < 0 || gap > 15) {
+      throw badRequest('gap must be an integer between 0 and 15');
+    }
+
+    const plays = applyFilters(loadPlays(datasetFor(req, req.query.dataset)), parseFilters(req.query));
+    res.json(buildChains(plays, { gap }));
+  } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error building possession chains:', error);
+    res.status(500).json({ error: 'Failed to build possession chains', details: error.message });
+  }
+}
+
+module.exports = { getChains };
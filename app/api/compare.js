@@ -0,0 +1,29 @@
+const { loadPlays } = require('../lib/match-data');
+const { datasetFor } = require('../lib/access');
+const { parseFilters, applyFilters, badRequest } = require('../lib/play-query');
+const { selectSlices, compareSlices } = require('../lib/compare');
+
+// GET /api/compare?a[seasonTo]=2014&b[seasonFrom]=2015
+// Two slices side by side: key stats, play type mix, shot map zones and xG by
+// shot distance, each difference (B - A) with a 95% interval and p-values.
+// a[...] and b[...] take the /api/plays filters plus label; b=rest compares A
+// with every other play. Top-level filters (e.g. team) apply to both slices.
+function getComparison(req, res) {
+  try {
+    const alpha = req.query.alpha === undefined ? 0.05 : Number(req.query.alpha);
+    if (!(alpha > 0 && alpha < 1)) {
+      throw badRequest('alpha must be between 0 and 1');
+    }
+
+    const plays = applyFilters(loadPlays(datasetFor(req, req.query.dataset)), parseFilters(req.query));
+    res.json(compareSlices(selectSlices(plays, req.query), { alpha }));
+  } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error comparing slices:', error);
+    res.status(500).json({ error: 'Failed to compare slices', details: error.message });
+  }
+}
+
+module.exports = { getComparison };
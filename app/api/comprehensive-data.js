@@ -1,152 +1,130 @@
-const fs = require('fs');
-const path = require('path');
+const { loadPlays, unique, groupByGame } = require('../lib/match-data');
+const { datasetFor } = require('../lib/access');
+const { parseFilters, applyFilters } = require('../lib/play-query');
+const { aggregate, PRESETS } = require('../lib/aggregate');
+const { CATEGORY_FIELDS } = require('../lib/scenario');
+const { ENUMS } = require('../lib/schema');
 
-// Function to parse CSV data
-function parseCSV(csvContent) {
-  const lines = csvContent.split('\n');
-  const headers = lines[0].split(',');
-  const data = [];
-  
-  for (let i = 1; i < lines.length; i++) {
-    if (lines[i].trim()) {
-      const values = lines[i].split(',');
-      // Defensive: skip rows with wrong number of columns
-      if (values.length !== headers.length) {
-        console.warn(`Skipping malformed CSV row at line ${i+1}:`, lines[i]);
-        continue;
-      }
-      const row = {};
-      headers.forEach((header, index) => {
-        row[header.trim()] = values[index] ? values[index].trim() : '';
-      });
-      data.push(row);
-    }
-  }
-  
-  return data;
-}
+// Function to process comprehensive analysis data. teams lists every squad in
+// the dataset, so the switcher still offers them when data is one squad's plays.
+// gameStatesRecorded tells the dashboard whether any game has a scoreline, so
+// it can offer the game-state filter even when the filter has emptied data.
+function processComprehensiveData(data, { teams = unique(data, 'team').sort(), gameStatesRecorded = data.some(play => play.result !== null) } = {}) {
+  // Get all unique opponents
+  const opponents = unique(data, 'opponent');
 
-// Function to process comprehensive analysis data
-function processComprehensiveData(data) {
-  // Get all unique games and opponents
-  const games = [...new Set(data.map(row => row['Game ID']))].sort((a, b) => a - b);
-  const opponents = [...new Set(data.map(row => row['Opponent']))].filter(opp => opp);
-  
   // Process each game
-  const gameData = games.map(gameId => {
-    const gamePlays = data.filter(row => row['Game ID'] === gameId);
-    const firstPlay = gamePlays[0];
-    if (!firstPlay) {
-      console.warn(`Skipping gameId ${gameId} because no plays found.`);
-      return null;
-    }
+  const gameData = groupByGame(data).filter(game => {
     // Defensive: check required fields
-    if (!firstPlay['Opponent'] || !firstPlay['Date'] || !firstPlay['Season']) {
-      console.warn(`Skipping gameId ${gameId} due to missing required fields.`, firstPlay);
-      return null;
+    if (!game.opponent || !game.date || !game.season) {
+      console.warn(`Skipping gameId ${game.gameId} due to missing required fields.`, game.plays[0]);
+      return false;
     }
-    return {
-      gameId: gameId,
-      opponent: firstPlay['Opponent'],
-      date: firstPlay['Date'],
-      season: firstPlay['Season'],
-      plays: gamePlays.map(play => ({
-        minute: parseInt(play['Minute']) || 0,
-        playType: play['Play Type'],
-        shotAttempt: play['Shot Attempt'],
-        shotDistance: play['Shot Distance'] ? parseInt(play['Shot Distance']) : null,
-        shotOutcome: play['Shot Outcome'],
-        xG: parseFloat(play['xG']) || 0,
-        playContext: play['Play Context'],
-        location: play['Location on Field'],
-        outcome: play['Outcome'],
-        success: play['Success'] === 'Yes',
-        winImpact: parseInt(play['Win Impact']) || 0,
-        assistType: play['Assist Type'],
-        phaseOfMatch: play['Phase of Match']
-      }))
-    };
-  }).filter(game => game !== null);
+    return true;
+  }).map(game => ({
+    gameId: game.gameId,
+    team: game.team,
+    opponent: game.opponent,
+    date: game.date,
+    season: game.season,
+    result: game.result,
+    plays: game.plays.map(play => ({
+      minute: play.minute || 0,
+      playType: play.playType,
+      shotAttempt: play.shotAttempt,
+      shotDistance: play.shotDistance,
+      shotOutcome: play.shotOutcome,
+      xG: play.xG || 0,
+      playContext: play.playContext,
+      location: play.location,
+      outcome: play.outcome,
+      success: play.success,
+      winImpact: play.winImpact || 0,
+      assistType: play.assistType,
+      phaseOfMatch: play.phaseOfMatch,
+      gameState: play.gameState,
+      scoreFor: play.scoreFor,
+      scoreAgainst: play.scoreAgainst
+    }))
+  }));
 
   // 1. Goals Timeline Data
-  const goalsTimeline = [];
-  gameData.forEach(game => {
-    const goals = game.plays.filter(play => play.shotOutcome === 'Goal');
-    goals.forEach(goal => {
-      goalsTimeline.push({
-        minute: goal.minute,
-        gameId: game.gameId,
-        opponent: game.opponent,
-        playType: goal.playType,
-        playContext: goal.playContext,
-        location: goal.location,
-        xG: goal.xG,
-        winImpact: goal.winImpact
-      });
-    });
-  });
+  const goalsTimeline = aggregate(data, PRESETS.goalsTimeline).map(row => ({
+    minute: row.minute || 0,
+    gameId: row.gameId,
+    team: row.team,
+    opponent: row.opponent,
+    playType: row.playType,
+    playContext: row.playContext,
+    location: row.location,
+    xG: row.xgSum,
+    winImpact: row.avgWinImpact,
+    gameState: row.gameState,
+    scoreFor: row.scoreFor,
+    scoreAgainst: row.scoreAgainst
+  }));
 
-  // 2. Shot Map Data (Location on Field)
+  // 2. Shot Map Data (Location on Field), with every zone present even when
+  // nobody shot from it
   const shotMapData = {};
-  const locations = [...new Set(data.map(row => row['Location on Field']))].filter(loc => loc);
-  
-  locations.forEach(location => {
-    const locationPlays = data.filter(row => row['Location on Field'] === location && row['Shot Attempt'] === 'Yes');
-    shotMapData[location] = {
-      totalShots: locationPlays.length,
-      goals: locationPlays.filter(play => play['Shot Outcome'] === 'Goal').length,
-      avgXG: locationPlays.reduce((sum, play) => sum + (parseFloat(play['xG']) || 0), 0) / locationPlays.length || 0,
-      successRate: locationPlays.length > 0 ? 
-        (locationPlays.filter(play => play['Shot Outcome'] === 'Goal').length / locationPlays.length) * 100 : 0
+  ENUMS['Location on Field'].forEach(location => {
+    shotMapData[location] = { totalShots: 0, goals: 0, avgXG: 0, successRate: 0 };
+  });
+  aggregate(data, PRESETS.shotMap).forEach(row => {
+    shotMapData[row.location] = {
+      totalShots: row.shots,
+      goals: row.goals,
+      avgXG: row.xgAvg,
+      successRate: row.conversionRate
     };
   });
 
   // 3. Play Type Distribution
   const playTypeData = {};
-  const playTypes = [...new Set(data.map(row => row['Play Type']))].filter(type => type);
-  
-  playTypes.forEach(playType => {
-    const typePlays = data.filter(row => row['Play Type'] === playType);
-    playTypeData[playType] = {
-      count: typePlays.length,
-      shots: typePlays.filter(play => play['Shot Attempt'] === 'Yes').length,
-      goals: typePlays.filter(play => play['Shot Outcome'] === 'Goal').length,
-      avgXG: typePlays.reduce((sum, play) => sum + (parseFloat(play['xG']) || 0), 0) / typePlays.length || 0
+  aggregate(data, PRESETS.playTypes).forEach(row => {
+    playTypeData[row.playType] = {
+      count: row.plays,
+      shots: row.shots,
+      goals: row.goals,
+      avgXG: row.xgAvg
     };
   });
 
   // 4. Team Comparison Data
   const teamComparison = {};
-  opponents.forEach(opponent => {
-    const opponentGames = gameData.filter(game => game.opponent === opponent);
-    const allPlays = opponentGames.flatMap(game => game.plays);
-    
-    teamComparison[opponent] = {
-      gamesPlayed: opponentGames.length,
-      totalGoals: allPlays.filter(play => play.shotOutcome === 'Goal').length,
-      totalShots: allPlays.filter(play => play.shotAttempt === 'Yes').length,
-      totalXG: allPlays.reduce((sum, play) => sum + play.xG, 0),
-      conversionRate: allPlays.filter(play => play.shotAttempt === 'Yes').length > 0 ?
-        (allPlays.filter(play => play.shotOutcome === 'Goal').length / 
-         allPlays.filter(play => play.shotAttempt === 'Yes').length) * 100 : 0,
-      avgXGPerShot: allPlays.filter(play => play.shotAttempt === 'Yes').length > 0 ?
-        allPlays.reduce((sum, play) => sum + play.xG, 0) / 
-        allPlays.filter(play => play.shotAttempt === 'Yes').length : 0
+  aggregate(data, PRESETS.teamComparison).forEach(row => {
+    teamComparison[row.opponent] = {
+      gamesPlayed: row.games,
+      totalGoals: row.goals,
+      totalShots: row.shots,
+      totalXG: row.xgSum,
+      conversionRate: row.conversionRate,
+      avgXGPerShot: row.xgPerShot
+    };
+  });
+
+  // 5. Game State Breakdown (games with recorded opponent goals only)
+  const gameStateData = {};
+  aggregate(data.filter(play => play.gameState !== null), PRESETS.gameStates).forEach(row => {
+    gameStateData[row.gameState] = {
+      count: row.plays,
+      shots: row.shots,
+      goals: row.goals,
+      totalXG: row.xgSum,
+      conversionRate: row.conversionRate,
+      successRate: row.successRate
     };
   });
 
-  // 5. Key Statistics
+  // 6. Key Statistics
+  const [totals] = aggregate(data, PRESETS.keyStats);
   const keyStats = {
-    totalGames: games.length,
-    totalGoals: data.filter(row => row['Shot Outcome'] === 'Goal').length,
-    totalShots: data.filter(row => row['Shot Attempt'] === 'Yes').length,
-    totalXG: data.reduce((sum, row) => sum + (parseFloat(row['xG']) || 0), 0),
-    overallConversionRate: data.filter(row => row['Shot Attempt'] === 'Yes').length > 0 ?
-      (data.filter(row => row['Shot Outcome'] === 'Goal').length / 
-       data.filter(row => row['Shot Attempt'] === 'Yes').length) * 100 : 0,
-    avgXGPerShot: data.filter(row => row['Shot Attempt'] === 'Yes').length > 0 ?
-      data.reduce((sum, row) => sum + (parseFloat(row['xG']) || 0), 0) / 
-      data.filter(row => row['Shot Attempt'] === 'Yes').length : 0
+    totalGames: totals.games,
+    totalGoals: totals.goals,
+    totalShots: totals.shots,
+    totalXG: totals.xgSum,
+    overallConversionRate: totals.conversionRate,
+    avgXGPerShot: totals.xgPerShot
   };
 
   return {
@@ -154,24 +132,30 @@ function processComprehensiveData(data) {
     shotMapData,
     playTypeData,
     teamComparison,
+    gameStateData,
     keyStats,
     games: gameData,
-    opponents
+    gameStatesRecorded,
+    opponents,
+    teams,
+    // Choices for the scenario builder's dropdowns
+    scenarioOptions: { team: teams, opponent: opponents, ...CATEGORY_FIELDS }
   };
 }
 
 // API endpoint
 function getComprehensiveData(req, res) {
   try {
-    // Read the CSV file
-    const csvPath = path.join(__dirname, '..', '..', 'match_data.csv');
-    const csvContent = fs.readFileSync(csvPath, 'utf8');
-
-    // Parse CSV data
-    const data = parseCSV(csvContent);
+    // Load the selected (or default) dataset, parsed and cached by the data layer,
+    // narrowed by the /api/plays filters (?team=U19 for one squad's dashboard)
+    const plays = loadPlays(datasetFor(req, req.query.dataset));
+    const data = applyFilters(plays, parseFilters(req.query));
 
     // Process data for comprehensive analysis
-    const comprehensiveData = processComprehensiveData(data);
+    const comprehensiveData = processComprehensiveData(data, {
+      teams: unique(plays, 'team').sort(),
+      gameStatesRecorded: plays.some(play => play.result !== null)
+    });
 
     // Defensive: check for required top-level properties
     if (!comprehensiveData.goalsTimeline || !comprehensiveData.games) {
@@ -186,6 +170,9 @@ function getComprehensiveData(req, res) {
 
     res.json(comprehensiveData);
   } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error processing comprehensive data:', error);
     res.status(500).json({ error: 'Failed to process comprehensive data', details: error.message, stack: error.stack });
   }
@@ -1,7 +1,11 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const fs = require('fs');
-const path = require('path');
-const csvParse = require('csv-parse/sync');
+const { getProvider, complete } = require('../lib/llm');
+const { PROMPT_ROWS, findRelevantPlays, formatRelevantPlays } = require('../lib/evidence');
+const { ANSWER_FORMAT, computeFacts, formatFacts, checkGrounding, groundAnswer } = require('../lib/grounding');
+const { scenarioRequest } = require('../lib/scenario');
+const { badRequest } = require('../lib/play-query');
+const { openEventStream } = require('../lib/sse');
+const { recordForRequest } = require('../lib/history-store');
+const { datasetFor } = require('../lib/access');
 
 // We'll synthesize both a researcher-style analysis and a model-style analysis,
 // then produce a concise coach-style conclusion that summarizes both.
@@ -34,113 +38,138 @@ summarize the evidence.
 const modelSystemPrompt = `
 You are an advanced AI model specialized in soccer match prediction and analysis. Speak like a careful but decisive analyst: restate the user's question, give a concise numerical prediction, then explain the statistical reasons.
 
-Focus on precise, data-driven output: cite relevant metrics and representative examples (do not include internal game IDs). If exact matches are missing, describe the approximation method used (minute ranges, location similarity, opponent averages).
+Focus on precise, data-driven output: cite the computed facts by ID and representative examples (do not include internal game IDs). If exact matches are missing, describe the approximation method used (minute ranges, location similarity, opponent averages).
 `;
 
-async function tryGenerate(genAI, prompt) {
-	const modelsToTry = ['gemini-2.0-flash', 'gemini-1.5-pro', 'gemini-pro', 'gemini-1.0-pro'];
-	let lastError = null;
-	for (const modelName of modelsToTry) {
-		try {
-			const model = genAI.getGenerativeModel({ model: modelName });
-			const result = await model.generateContent(prompt);
-			const text = result.response && result.response.text ? result.response.text() : null;
-			if (text) return { model: modelName, text };
-		} catch (err) {
-			lastError = err;
-			const msg = (err.message || '').toLowerCase();
-			if (msg.includes('not found') || msg.includes('404') || msg.includes('model')) {
-				console.log(`Model ${modelName} not available, trying next...`);
-				continue;
-			}
-			throw err;
-		}
+// Validates the request and retrieves evidence. Shared by the JSON and
+// streaming handlers; errors carry an HTTP status.
+function prepareConclusion(req) {
+	const { body } = req;
+	const { dataset: datasetName, researcher, model } = body;
+	const dataset = datasetFor(req, datasetName);
+	const { query, scenario } = scenarioRequest(body);
+
+	if (!researcher && !model && !query) {
+		throw badRequest('Either query, scenario or researcher/model texts are required');
+	}
+	// Missing researcher/model texts are generated from the query
+	if ((!researcher || !model) && !query) {
+		throw badRequest('Query or scenario is required when researcher/model texts are not provided');
 	}
-	throw lastError || new Error('All model attempts failed');
-}
 
-async function getConclusion(req, res) {
+	const llm = getProvider();
+
+	// Retrieve plays from the selected (or default) dataset that match the scenario or query
+	let relevantRows = [];
 	try {
-		const { query, researcher: providedResearcher, model: providedModel } = req.body;
+		// Without a query or scenario there is nothing to match against
+		relevantRows = query ? findRelevantPlays(dataset, query, scenario) : [];
+	} catch (err) {
+		if (err.status === 404) throw err;
+		console.error('Error reading dataset:', err);
+	}
 
-		if (!providedResearcher && !providedModel && (!query || query.trim() === '')) {
-			return res.status(400).json({ error: 'Either query or researcher/model texts are required' });
-		}
+	// Format up to 5 relevant rows for the prompt, plus the statistics of all of them
+	const relevantDataText = formatRelevantPlays(relevantRows);
+	const facts = computeFacts(relevantRows);
+
+	const dataSummary = `You have access to soccer match data including:\n- Game information (opponents, dates, seasons)\n- Play-by-play data with minutes, play types, shot attempts, outcomes\n- Expected goals (xG) values\n- Shot locations and distances\n- Play contexts and phases of match\n- Team performance metrics\n\n${relevantDataText}\n${formatFacts(facts)}`;
+
+	return {
+		llm,
+		query,
+		relevantRows,
+		facts,
+		dataSummary,
+		researcher: researcher || null,
+		model: model || null,
+		context: { query, scenario, dataset, evidence: relevantRows }
+	};
+}
 
-		if (!process.env.GEMINI_API_KEY) {
-			return res.status(500).json({ error: 'Gemini API key not configured', details: 'Please set GEMINI_API_KEY in your .env file' });
-		}
+// Up to three sequential generations: researcher and model analyses (unless
+// provided), then the synthesis. onStage(stage, status, text) reports progress
+// and, when given, onToken(stage, chunk) receives streamed text. generated
+// holds { text, model, grounding } for each step that was actually generated
+// here. Every answer is checked against the facts; the conclusion may also
+// repeat the numbers of the researcher and model answers that their own
+// checks backed. Texts posted by the client are checked here first, so
+// numbers they make up cannot pass as grounded in the conclusion.
+async function runConclusion({ llm, query, relevantRows, facts, dataSummary, researcher, model }, { onStage = () => {}, onToken } = {}) {
+	const tokensFor = stage => onToken && (chunk => onToken(stage, chunk));
+	const plays = relevantRows.slice(0, PROMPT_ROWS);
+	const generate = async (stage, request, sources = []) => {
+		const { text: raw, model: modelName } = await complete(llm, { ...request, query, plays: relevantRows, facts }, tokensFor(stage));
+		return { model: modelName, ...groundAnswer(raw, facts, { query, plays, sources }) };
+	};
+	const generated = {};
+	const checked = text => ({ text, grounding: checkGrounding(text, [], facts, { query, plays }) });
+
+	let researcherText = researcher;
+	if (!researcherText) {
+		onStage('researcher', 'started');
+		const researcherPrompt = `${researcherSystemPrompt}\n\n${dataSummary}\n\n${ANSWER_FORMAT}\n\nUser Query: ${query}`;
+		generated.researcher = await generate('researcher', { task: 'researcher', prompt: researcherPrompt });
+		researcherText = generated.researcher.text;
+	}
+	onStage('researcher', 'done', researcherText);
+
+	let modelText = model;
+	if (!modelText) {
+		onStage('model', 'started');
+		const modelPrompt = `${modelSystemPrompt}\n\n${dataSummary}\n\n${ANSWER_FORMAT}\n\nUser Query: ${query}`;
+		generated.model = await generate('model', { task: 'model', prompt: modelPrompt });
+		modelText = generated.model.text;
+	}
+	onStage('model', 'done', modelText);
+
+	// Synthesize final coach-style conclusion using both provided/generated texts
+	// Add consistency instructions to the synthesis prompt
+	const synthPrompt = `You are a concise coach summarizer. Given the below two analyses, produce a single clear coach-style conclusion.\n\nResearcher analysis (human):\n${researcherText}\n\nModel analysis (AI):\n${modelText}\n\nInstructions for synthesis:\n- Start with a one-line \"Play Assessment:\" that restates the user's question succinctly.\n- Provide a short combined summary (3 bullet points) that draws together the key evidence from both analyses.\n- Give a clear \"Coach's Decision:\" that is either \"This is a good play\" or \"This is not a good play\" (or close variant).\n- The Coach's Decision should be consistent with the majority verdict of the researcher and model analyses. If both say good play, coach should say good play. If both say bad play, coach should say bad play. If they disagree, use the evidence and data to pick the most supported verdict, and explain briefly.\n- Add 2 brief actionable recommendations (what to do next or how to mitigate risks).\n- Keep everything concise and direct (max ~250 words).\n- Only repeat numbers that appear in the analyses or the computed facts below, citing fact IDs.\n\n${formatFacts(facts)}\n\n${ANSWER_FORMAT}\n\nNow produce the conclusion.`;
+
+	onStage('synthesis', 'started');
+	generated.conclusion = await generate('synthesis', {
+		task: 'conclusion',
+		prompt: synthPrompt,
+		researcher: researcherText,
+		model: modelText
+	}, [generated.researcher || checked(researcherText), generated.model || checked(modelText)]);
+	onStage('synthesis', 'done', generated.conclusion.text);
+
+	return {
+		response: generated.conclusion.text,
+		researcher: researcherText,
+		model: modelText,
+		grounding: generated.conclusion.grounding,
+		generated
+	};
+}
 
-		const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-		// Load and parse match_data.csv
-		const csvPath = path.resolve(__dirname, '../../..', 'match_data.csv');
-		let csvRows = [];
-		try {
-			const csvContent = fs.readFileSync(csvPath, 'utf8');
-			csvRows = csvParse.parse(csvContent, {
-				columns: true,
-				skip_empty_lines: true,
-			});
-		} catch (err) {
-			console.error('Error reading match_data.csv:', err);
-		}
+// Saves the generated steps to the user's analysis history; returns the analysis id
+function recordConclusion(req, { llm, context }, { generated }) {
+	let analysisId = req.body.analysisId;
+	['researcher', 'model', 'conclusion'].forEach(step => {
+		if (!generated[step]) return;
+		const { text, model, grounding } = generated[step];
+		analysisId = recordForRequest(req, analysisId, step, context, { text, provider: llm.name, model, grounding }) || analysisId;
+	});
+	return analysisId || null;
+}
 
-		// Filter relevant rows based on the user's query (simple keyword match)
-		const queryLower = (query || '').toLowerCase();
-		const relevantRows = csvRows.filter(row => {
-			return Object.values(row).some(val => String(val).toLowerCase().includes(queryLower));
-		});
+async function getConclusion(req, res) {
+	try {
+		const prepared = prepareConclusion(req);
+		const { generated, ...result } = await runConclusion(prepared);
+		const analysisId = recordConclusion(req, prepared, { generated });
 
-		// Format up to 5 relevant rows for the prompt
-		let relevantDataText = '';
-		if (relevantRows.length > 0) {
-			relevantDataText = 'Relevant match data rows:\n';
-			relevantRows.slice(0, 5).forEach(row => {
-				relevantDataText += `- Opponent: ${row['Opponent']}, Minute: ${row['Minute']}, Play Type: ${row['Play Type']}, Shot Attempt: ${row['Shot Attempt']}, Shot Outcome: ${row['Shot Outcome']}, xG: ${row['xG']}, Location: ${row['Location on Field']}, Outcome: ${row['Outcome']}\n`;
-			});
-		} else {
-			relevantDataText = 'No directly matching rows found for this query.';
+		res.json({ ...result, provider: prepared.llm.name, modelName: generated.conclusion.model, analysisId });
+	} catch (error) {
+		if (error.status === 400 || error.status === 404) {
+			return res.status(error.status).json({ error: error.message });
 		}
-
-		const dataSummary = `You have access to soccer match data including:\n- Game information (opponents, dates, seasons)\n- Play-by-play data with minutes, play types, shot attempts, outcomes\n- Expected goals (xG) values\n- Shot locations and distances\n- Play contexts and phases of match\n- Team performance metrics\n\n${relevantDataText}`;
-
-		let researcherText = providedResearcher || null;
-		let modelText = providedModel || null;
-
-		// If researcher/model texts not provided, fall back to generating them from the query
-		if (!researcherText || !modelText) {
-			if (!query || query.trim() === '') {
-				return res.status(400).json({ error: 'Query is required when researcher/model texts are not provided' });
-			}
-
-			// Generate researcher-style analysis if missing
-			if (!researcherText) {
-				const researcherPrompt = `${researcherSystemPrompt}\n\n${dataSummary}\n\nUser Query: ${query}`;
-				const researcherResult = await tryGenerate(genAI, researcherPrompt);
-				researcherText = researcherResult.text;
-			}
-
-			// Generate model-style analysis if missing
-			if (!modelText) {
-				const modelPrompt = `${modelSystemPrompt}\n\n${dataSummary}\n\nUser Query: ${query}`;
-				const modelResult = await tryGenerate(genAI, modelPrompt);
-				modelText = modelResult.text;
-			}
+		if (error.details) {
+			return res.status(error.status || 500).json({ error: error.message, details: error.details });
 		}
-
-		// Synthesize final coach-style conclusion using both provided/generated texts
-		// Add consistency instructions to the synthesis prompt
-		const synthPrompt = `You are a concise coach summarizer. Given the below two analyses, produce a single clear coach-style conclusion.\n\nResearcher analysis (human):\n${researcherText}\n\nModel analysis (AI):\n${modelText}\n\nInstructions for synthesis:\n- Start with a one-line \"Play Assessment:\" that restates the user's question succinctly.\n- Provide a short combined summary (3 bullet points) that draws together the key evidence from both analyses.\n- Give a clear \"Coach's Decision:\" that is either \"This is a good play\" or \"This is not a good play\" (or close variant).\n- The Coach's Decision should be consistent with the majority verdict of the researcher and model analyses. If both say good play, coach should say good play. If both say bad play, coach should say bad play. If they disagree, use the evidence and data to pick the most supported verdict, and explain briefly.\n- Add 2 brief actionable recommendations (what to do next or how to mitigate risks).\n- Keep everything concise and direct (max ~250 words).\n\nNow produce the conclusion.`;
-
-		const synthResult = await tryGenerate(genAI, synthPrompt);
-
-		res.json({
-			response: synthResult.text,
-			researcher: researcherText,
-			model: modelText
-		});
-	} catch (error) {
 		console.error('Error generating conclusion:', error);
 		let statusCode = 500;
 		let errorMessage = 'Failed to generate conclusion';
@@ -149,4 +178,38 @@ async function getConclusion(req, res) {
 	}
 }
 
-module.exports = { getConclusion };
+// POST /api/conclusions/stream - Server-Sent Events with "stage" events
+// ({ stage: researcher | model | synthesis, status: started | done }) and
+// "token" events ({ stage, text }) so the page can show progress and partial text.
+async function streamConclusion(req, res) {
+	let prepared;
+	try {
+		prepared = prepareConclusion(req);
+	} catch (error) {
+		return res.status(error.status || 500).json({ error: error.message, details: error.details });
+	}
+
+	const stream = openEventStream(res);
+	stream.send('meta', { provider: prepared.llm.name });
+	try {
+		const result = await runConclusion(prepared, {
+			// Stop before the next generation if the client has gone away
+			onStage: (stage, status, text) => {
+				if (!stream.send('stage', { stage, status, text })) throw new Error('Client disconnected');
+			},
+			onToken: (stage, text) => stream.send('token', { stage, text })
+		});
+		// A disconnect cuts the last generation short; don't save a partial answer
+		if (stream.closed) return;
+		const { generated, ...answer } = result;
+		const analysisId = recordConclusion(req, prepared, result);
+		stream.send('done', { ...answer, provider: prepared.llm.name, modelName: generated.conclusion.model, analysisId });
+	} catch (error) {
+		if (stream.closed) return;
+		console.error('Error streaming conclusion:', error);
+		stream.send('error', { error: 'Failed to generate conclusion', details: error.message });
+	}
+	stream.close();
+}
+
+module.exports = { getConclusion, streamConclusion };
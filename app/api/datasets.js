@@ -0,0 +1,150 @@
+const csvParse = require('csv-parse/sync');
+const { COLUMNS, validateRecords, isSeasonStartMonth } = require('../lib/schema');
+const store = require('../lib/dataset-store');
+const { importEvents } = require('../lib/importers');
+
+// Cap the error list so a completely wrong file doesn't produce a huge response
+const MAX_REPORTED_ERRORS = 1000;
+
+function validate(records) {
+  const { validRows, errors } = validateRecords(records);
+  return {
+    validRows,
+    report: {
+      accepted: validRows.length,
+      rejected: Math.max(records.length - 1 - validRows.length, 0),
+      errorCount: errors.length,
+      errors: errors.slice(0, MAX_REPORTED_ERRORS)
+    }
+  };
+}
+
+// Optional month (1-12) the dataset's seasons start in; undefined keeps the
+// existing dataset's or the default. NaN when invalid.
+function readSeasonStartMonth(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const month = Number(value);
+  return isSeasonStartMonth(month) ? month : NaN;
+}
+
+function invalidSeasonStartMonth(res) {
+  return res.status(400).json({ error: 'seasonStartMonth must be a month number from 1 to 12' });
+}
+
+function invalidName(res) {
+  return res.status(400).json({
+    error: 'Invalid dataset name',
+    details: 'Use 1-64 letters, numbers, dashes or underscores ("sample" is reserved)'
+  });
+}
+
+// POST /api/datasets
+// Accepts either a JSON body { name, csv, seasonStartMonth? } or a raw
+// text/csv body with ?name=...&seasonStartMonth=...
+async function uploadDataset(req, res) {
+  try {
+    const isRawCSV = typeof req.body === 'string';
+    const name = store.normalizeName(isRawCSV ? req.query.name : (req.body.name || req.query.name));
+    const csv = isRawCSV ? req.body : req.body.csv;
+    const seasonStartMonth = readSeasonStartMonth(isRawCSV ? req.query.seasonStartMonth : req.body.seasonStartMonth);
+
+    if (!store.isValidName(name)) return invalidName(res);
+    if (Number.isNaN(seasonStartMonth)) return invalidSeasonStartMonth(res);
+    if (!csv || typeof csv !== 'string' || csv.trim() === '') {
+      return res.status(400).json({ error: 'CSV content is required' });
+    }
+
+    let records;
+    try {
+      records = csvParse.parse(csv, {
+        skip_empty_lines: true,
+        relax_column_count: true,
+        bom: true,
+      });
+    } catch (err) {
+      return res.status(400).json({ error: 'Could not parse CSV', details: err.message });
+    }
+
+    const { validRows, report } = validate(records);
+
+    if (validRows.length === 0) {
+      return res.status(422).json({ error: 'No valid rows found', ...report });
+    }
+
+    const dataset = store.saveDataset(name, validRows, {
+      uploadedBy: req.user ? req.user.id : null,
+      workspace: req.workspace.id,
+      seasonStartMonth
+    });
+
+    res.status(201).json({ dataset, ...report });
+  } catch (error) {
+    console.error('Error uploading dataset:', error);
+    res.status(500).json({ error: 'Failed to store dataset', details: error.message });
+  }
+}
+
+const maxOf = (rows, column) => rows.reduce((max, row) => Math.max(max, Number(row[column]) || 0), 0);
+
+// POST /api/datasets/import
+// { name, format: 'statsbomb', events, match?, team, ... } or
+// { name, format: 'event-csv', csv, columns?, pitch?, team, ... }
+// with optional squad, opponent and date overrides. Converts the team's
+// possessions into plays, validates them like an upload and stores them; with
+// append: true they are added to the workspace's existing dataset of that name.
+async function importDataset(req, res) {
+  try {
+    const body = req.body || {};
+    const name = store.normalizeName(body.name || req.query.name);
+    if (!store.isValidName(name)) return invalidName(res);
+    const requestedStart = readSeasonStartMonth(body.seasonStartMonth);
+    if (Number.isNaN(requestedStart)) return invalidSeasonStartMonth(res);
+
+    const existing = body.append ? store.getDataset(name, req.workspace.id) : null;
+    const seasonStartMonth = requestedStart || store.seasonStartMonthOf(existing);
+    const previous = existing && existing.workspace === req.workspace.id ? store.readRows(existing) : [];
+    const { rows, report: importReport } = importEvents(body.format, body.format === 'event-csv' ? body.csv : body, {
+      team: body.team,
+      squad: body.squad,
+      opponent: body.opponent,
+      date: body.date,
+      columns: body.columns,
+      pitch: body.pitch,
+      seasonStartMonth,
+      // Missing xG comes from the model of the dataset imported into, or the workspace's default one
+      xgModel: { name: store.getDataset(name, req.workspace.id) ? name : undefined, workspace: req.workspace.id },
+      firstId: maxOf(previous, 'ID') + 1,
+      firstGameId: maxOf(previous, 'Game ID') + 1
+    });
+
+    const { validRows, report } = validate([COLUMNS, ...rows.map(row => COLUMNS.map(column => row[column]))]);
+    if (validRows.length === 0) {
+      return res.status(422).json({ error: 'No valid plays found', ...report, import: importReport });
+    }
+
+    const dataset = store.saveDataset(name, [...previous, ...validRows], {
+      uploadedBy: req.user ? req.user.id : null,
+      workspace: req.workspace.id,
+      seasonStartMonth
+    });
+
+    res.status(201).json({ dataset, ...report, import: importReport });
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ error: error.message });
+    console.error('Error importing dataset:', error);
+    res.status(500).json({ error: 'Failed to import dataset', details: error.message });
+  }
+}
+
+// GET /api/datasets - the workspace's uploads plus the shared sample
+function listDatasets(req, res) {
+  try {
+    const current = store.resolveDataset({ workspace: req.workspace.id });
+    res.json({ datasets: store.listDatasets(req.workspace.id), default: current ? current.name : null });
+  } catch (error) {
+    console.error('Error listing datasets:', error);
+    res.status(500).json({ error: 'Failed to list datasets', details: error.message });
+  }
+}
+
+module.exports = { uploadDataset, importDataset, listDatasets };
@@ -0,0 +1,88 @@
+const { loadPlays } = require('../lib/match-data');
+const { datasetFor } = require('../lib/access');
+const { parseFilters, applyFilters, badRequest } = require('../lib/play-query');
+const { buildDossier, dossierFacts } = require('../lib/dossier');
+const { ANSWER_FORMAT, formatFacts, groundAnswer } = require('../lib/grounding');
+const { getProvider, complete } = require('../lib/llm');
+
+const systemPrompt = `
+You're an opposition analyst writing the pre-match dossier on our next opponent
+for the coaching staff. Everything you know comes from our own match data against
+them and against everyone else.
+
+Write a short briefing in markdown with these sections:
+- **Record**: how we have done against them, and how that compares with other opponents.
+- **What works**: the play types, locations and assist types that went better than usual against them.
+- **What doesn't**: the ones that went worse.
+- **When we score**: the periods of the match our goals against them came in.
+- **Form**: whether we are trending up or down.
+- **Game plan**: two or three concrete recommendations that follow from the above.
+
+Be direct and practical. Small samples deserve a word of caution; say so rather than overstating.
+`;
+
+function handleError(res, error) {
+  if (error.status === 400 || error.status === 404) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.details) {
+    return res.status(error.status || 500).json({ error: error.message, details: error.details });
+  }
+  console.error('Error building dossier:', error);
+  res.status(500).json({ error: 'Failed to build dossier', details: error.message });
+}
+
+function readInteger(value, name, fallback, min, max) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw badRequest(`${name} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// Shared by both handlers: params are req.query or req.body. The opponent is
+// what the dossier is about, so it is not applied as a filter; the other
+// /api/plays filters (team, seasons, ...) narrow the history it is built from.
+function dossierFor(req, params) {
+  const { opponent, ...filters } = params;
+  if (!opponent) throw badRequest('opponent is required');
+  const plays = applyFilters(loadPlays(datasetFor(req, params.dataset)), parseFilters(filters));
+  return buildDossier(plays, opponent, {
+    window: readInteger(params.window, 'window', 3, 1, 20),
+    recent: readInteger(params.recent, 'recent', 10, 2, 100)
+  });
+}
+
+// GET /api/dossier?opponent=Golden Lions&team=U19
+// Record by season, what worked and failed against them, when we scored and
+// recent form. window (default 3) is the rolling average length in games and
+// recent (default 10) the number of our latest games in the form lines.
+function getDossier(req, res) {
+  try {
+    res.json(dossierFor(req, req.query));
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// POST /api/dossier/narrative { opponent, team, ... }
+// The dossier as a written briefing, grounded in its numbers like the AI
+// endpoints' answers: every statistic must cite one of the dossier's facts.
+async function getDossierNarrative(req, res) {
+  try {
+    const dossier = dossierFor(req, req.body || {});
+    const facts = dossierFacts(dossier);
+    const query = `Scouting dossier: ${dossier.opponent}`;
+    const llm = getProvider();
+    const prompt = `${systemPrompt}\n\nOpponent: ${dossier.opponent} (last met ${dossier.lastMet})\n\n${formatFacts(facts)}\n\n${ANSWER_FORMAT}`;
+
+    const { text: raw, model } = await complete(llm, { task: 'dossier', prompt, query, facts });
+    const { text, grounding } = groundAnswer(raw, facts, { query });
+    res.json({ response: text, grounding, provider: llm.name, modelName: model });
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+module.exports = { getDossier, getDossierNarrative };
@@ -0,0 +1,100 @@
+const { loadPlays } = require('../lib/match-data');
+const { datasetFor } = require('../lib/access');
+const { parseFilters, applyFilters, toList, toInteger } = require('../lib/play-query');
+const { aggregate, sortRows, resolveSpec } = require('../lib/aggregate');
+const { parseFormat, toCSV, playsToCSV, analysesToCSV } = require('../lib/export');
+const { selectReportPlays, pickAnalyses, buildScoutingReport, renderScoutingReport } = require('../lib/report');
+const history = require('../lib/history-store');
+
+function handleError(res, error) {
+  if (error.status === 400 || error.status === 404) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error('Error exporting data:', error);
+  res.status(500).json({ error: 'Failed to export data', details: error.message });
+}
+
+function download(res, filename, format, body) {
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  if (format === 'csv') {
+    res.type('text/csv').send(body());
+  } else {
+    res.json(body());
+  }
+}
+
+// GET /api/export/plays?format=csv|json
+// Every play matching the /api/plays filters, in ID order. CSV uses the
+// dataset's column names, so the file can be uploaded again.
+function exportPlays(req, res) {
+  try {
+    const format = parseFormat(req.query.format);
+    const plays = applyFilters(loadPlays(datasetFor(req, req.query.dataset)), parseFilters(req.query))
+      .slice()
+      .sort((a, b) => a.id - b.id);
+
+    download(res, 'plays', format, () => (format === 'csv' ? playsToCSV(plays) : { total: plays.length, data: plays }));
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// GET /api/export/aggregate?format=csv|json
+// Any /api/aggregate table: ?preset= or ?groupBy=&metrics=, plus the filters
+function exportAggregate(req, res) {
+  try {
+    const format = parseFormat(req.query.format);
+    const spec = resolveSpec(req.query);
+    const plays = applyFilters(loadPlays(datasetFor(req, req.query.dataset)), parseFilters(req.query));
+    const columns = [...spec.groupBy, ...spec.metrics];
+    const rows = sortRows(aggregate(plays, spec), req.query.sort, columns);
+    const filename = req.query.preset || ['aggregate', ...spec.groupBy].join('-');
+
+    download(res, filename, format, () => (format === 'csv'
+      ? toCSV(columns, rows)
+      : { preset: req.query.preset || null, groupBy: spec.groupBy, metrics: spec.metrics, rows }));
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// GET /api/export/analyses?format=csv|json&ids=a,b
+// The workspace's saved analyses with their answers; all of them without ids
+function exportAnalyses(req, res) {
+  try {
+    const format = parseFormat(req.query.format);
+    const ids = toList(req.query.ids);
+    const analyses = (ids.length ? ids : history.listAnalyses(req.workspace.id).map(summary => summary.id))
+      .map(id => history.getAnalysis(req.workspace.id, id));
+
+    download(res, 'analyses', format, () => (format === 'csv' ? analysesToCSV(analyses) : { analyses }));
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// GET /api/reports/scouting?gameId=12 or ?opponent=Thunder FC
+// A printable HTML report for one match or every game against one opponent.
+// The /api/plays filters narrow the plays (e.g. team=U19, seasonFrom=2023).
+// ?analysis=id,id picks the saved analyses to include; otherwise the newest
+// ones about the opponent are used.
+function getScoutingReport(req, res) {
+  try {
+    const gameId = req.query.gameId === undefined || req.query.gameId === ''
+      ? undefined
+      : toInteger(req.query.gameId, 'gameId');
+    const plays = applyFilters(loadPlays(datasetFor(req, req.query.dataset)), parseFilters(req.query));
+    const selection = selectReportPlays(plays, { gameId, opponent: req.query.opponent });
+    const opponent = selection.plays[0].opponent;
+
+    const ids = toList(req.query.analysis);
+    const analyses = (ids.length ? ids : pickAnalyses(history.listAnalyses(req.workspace.id), opponent).map(summary => summary.id))
+      .map(id => history.getAnalysis(req.workspace.id, id));
+
+    res.type('html').send(renderScoutingReport(buildScoutingReport(selection, analyses)));
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+module.exports = { exportPlays, exportAggregate, exportAnalyses, getScoutingReport };
@@ -0,0 +1,93 @@
+const live = require('../lib/live-games');
+
+// Live in-match logging. Games belong to the request's workspace; every route
+// takes an optional ?dataset= to tell apart games that share a Game ID.
+
+function handleError(res, error) {
+  if (error.details) {
+    return res.status(error.status || 400).json({ error: error.message, details: error.details });
+  }
+  if ([400, 404, 409, 422].includes(error.status)) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error('Error logging live game:', error);
+  res.status(500).json({ error: 'Failed to update live game', details: error.message });
+}
+
+function options(req) {
+  return { dataset: req.query.dataset, userId: req.user.id };
+}
+
+// GET /api/games - the workspace's live games, newest first
+function listGames(req, res) {
+  try {
+    res.json({ games: live.listGames(req.workspace.id) });
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// POST /api/games { opponent, team?, date?, dataset? }
+function createGame(req, res) {
+  try {
+    res.status(201).json(live.createGame(req.workspace.id, req.user.id, req.body));
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// GET /api/games/:gameId - game, clock, plays, goals and shot map
+function getGame(req, res) {
+  try {
+    res.json(live.getGame(req.workspace.id, req.params.gameId, options(req)));
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// POST /api/games/:gameId/clock { action: start | pause | set, minute? }
+function setClock(req, res) {
+  try {
+    res.json(live.setClock(req.workspace.id, req.params.gameId, { ...req.body, dataset: req.query.dataset }));
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// POST /api/games/:gameId/plays { playType, location, outcome, assistType, shotDistance?, ... }
+function logPlay(req, res) {
+  try {
+    res.status(201).json(live.logPlay(req.workspace.id, req.params.gameId, req.body, options(req)));
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// PATCH /api/games/:gameId/plays/:playId - any of the logged fields
+function editPlay(req, res) {
+  try {
+    res.json(live.editPlay(req.workspace.id, req.params.gameId, req.params.playId, req.body, options(req)));
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// DELETE /api/games/:gameId/plays/:playId
+function deletePlay(req, res) {
+  try {
+    res.json(live.deletePlay(req.workspace.id, req.params.gameId, req.params.playId, options(req)));
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// POST /api/games/:gameId/undo - removes the last logged play
+function undoPlay(req, res) {
+  try {
+    res.json(live.undoLastPlay(req.workspace.id, req.params.gameId, options(req)));
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+module.exports = { listGames, createGame, getGame, setClock, logPlay, editPlay, deletePlay, undoPlay };
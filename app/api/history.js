@@ -0,0 +1,61 @@
+const history = require('../lib/history-store');
+const { can } = require('../lib/workspace-store');
+
+// Analyses are recorded by the researcher, model and conclusion endpoints;
+// these routes let members browse their workspace's analyses and manage the
+// ones they started (owners can manage all of them).
+
+function editor(req) {
+  return { userId: req.user.id, canManage: can(req.role, 'manage') };
+}
+
+function handleError(res, error) {
+  if (error.status === 400 || error.status === 403 || error.status === 404) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error('Error accessing analysis history:', error);
+  res.status(500).json({ error: 'Failed to access analysis history', details: error.message });
+}
+
+// GET /api/history - newest first, without evidence rows and answer texts
+function listHistory(req, res) {
+  try {
+    res.json({ analyses: history.listAnalyses(req.workspace.id) });
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// GET /api/history/:id
+function getHistoryItem(req, res) {
+  try {
+    res.json(history.getAnalysis(req.workspace.id, req.params.id));
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// PATCH /api/history/:id { name }
+function renameHistoryItem(req, res) {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+    res.json(history.renameAnalysis(req.workspace.id, req.params.id, name.slice(0, 200), editor(req)));
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// DELETE /api/history/:id
+function deleteHistoryItem(req, res) {
+  try {
+    history.deleteAnalysis(req.workspace.id, req.params.id, editor(req));
+    res.status(204).end();
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+module.exports = { listHistory, getHistoryItem, renameHistoryItem, deleteHistoryItem };
@@ -1,7 +1,12 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const fs = require('fs');
-const path = require('path');
-const csvParse = require('csv-parse/sync');
+const { getProvider, complete } = require('../lib/llm');
+const { PROMPT_ROWS, findRelevantPlays, findNamedPlayers, formatRelevantPlays } = require('../lib/evidence');
+const { ANSWER_FORMAT, computeFacts, formatFacts, groundAnswer } = require('../lib/grounding');
+const { getModel, pickModelInputs, predict } = require('../lib/xg-model');
+const { scenarioFromText, scenarioRequest } = require('../lib/scenario');
+const { badRequest } = require('../lib/play-query');
+const { streamCompletion } = require('../lib/sse');
+const { recordForRequest } = require('../lib/history-store');
+const { datasetFor } = require('../lib/access');
 
 const systemPrompt = `
 You are an advanced AI model specialized in soccer match prediction and analysis. You are more accurate and sophisticated than a basic researcher. Your predictions are based on deep pattern recognition, statistical modeling, and comprehensive data analysis.
@@ -32,13 +37,13 @@ CRITICAL INSTRUCTIONS:
    - Historical trends and correlations
 
 5. **MODEL-BASED PREDICTION**: As an AI model, you should:
-   - Provide precise numerical predictions (e.g., "0.45 xG" not "around 0.4-0.5")
+   - Provide precise numerical predictions quoted from the computed facts (e.g., "0.45 xG [F12]" not "around 0.4-0.5")
    - Explain the statistical reasoning behind your prediction
-   - Cite specific data points and patterns that support your analysis
+   - Cite the computed facts by ID for every number that supports your analysis
    - Acknowledge confidence levels and uncertainty ranges
    - Use technical but accessible language
 
-6. **ANSWER FORMAT**: Structure your response as:
+6. **ANSWER STRUCTURE**: Structure the answer text as:
 
 **Query:** [Restate the user's question]
 
@@ -62,110 +67,113 @@ CRITICAL INSTRUCTIONS:
 REMEMBER: You are an AI model - provide precise, data-driven predictions with clear statistical reasoning. Use pattern recognition and advanced analysis, not just simple lookups.
 `;
 
-async function getModelPrediction(req, res) {
-  try {
-    console.log('Model prediction API called');
-    console.log('Request body:', req.body);
-    const { query } = req.body;
+// Validates the request, retrieves evidence, scores the scenario with the local
+// xG model and builds the prompt. Shared by the JSON and streaming handlers.
+function prepareModelPrediction(req) {
+  const { body } = req;
+  const dataset = datasetFor(req, body.dataset);
+  const { query, scenario } = scenarioRequest(body);
 
-    if (!query || query.trim() === '') {
-      console.error('No query provided in request');
-      return res.status(400).json({ error: 'Query is required' });
-    }
-    
-    console.log('Processing query:', query);
+  if (!query) {
+    console.error('No query or scenario provided in request');
+    throw badRequest('Query or scenario is required');
+  }
+  
+  console.log('Processing query:', query);
 
-    // Check if API key is set
-    if (!process.env.GEMINI_API_KEY) {
-      return res.status(500).json({ error: 'Gemini API key not configured', details: 'Please set GEMINI_API_KEY in your .env file' });
-    }
+  // LLM provider selected by LLM_PROVIDER (Gemini, OpenAI, local endpoint or offline stub)
+  const llm = getProvider();
 
-    // Initialize Gemini client
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    
+  // Retrieve plays from the selected (or default) dataset that match the scenario or query
+  let relevantRows = [];
+  try {
+    relevantRows = findRelevantPlays(dataset, query, scenario);
+  } catch (err) {
+    if (err.status === 404) throw err;
+    console.error('Error reading dataset:', err);
+  }
 
-    // Load and parse match_data.csv
-    const csvPath = path.resolve(__dirname, '../../..', 'match_data.csv');
-    let csvRows = [];
-    try {
-      const csvContent = fs.readFileSync(csvPath, 'utf8');
-      csvRows = csvParse.parse(csvContent, {
-        columns: true,
-        skip_empty_lines: true,
-      });
-    } catch (err) {
-      console.error('Error reading match_data.csv:', err);
-    }
+  // Shots, goals, assists and favourite locations of any player the question names
+  let players = [];
+  try {
+    players = findNamedPlayers(dataset, query);
+  } catch (err) {
+    if (err.status === 404) throw err;
+    console.error('Error reading player profiles:', err);
+  }
 
-    // Filter relevant rows based on the user's query (simple keyword match)
-    const queryLower = query.toLowerCase();
-    const relevantRows = csvRows.filter(row => {
-      return Object.values(row).some(val => String(val).toLowerCase().includes(queryLower));
-    });
-
-    // Format up to 5 relevant rows for the prompt
-    let relevantDataText = '';
-    if (relevantRows.length > 0) {
-      relevantDataText = 'Relevant match data rows:\n';
-      relevantRows.slice(0, 5).forEach(row => {
-        relevantDataText += `- Opponent: ${row['Opponent']}, Minute: ${row['Minute']}, Play Type: ${row['Play Type']}, Shot Attempt: ${row['Shot Attempt']}, Shot Outcome: ${row['Shot Outcome']}, xG: ${row['xG']}, Location: ${row['Location on Field']}, Outcome: ${row['Outcome']}\n`;
-      });
-    } else {
-      relevantDataText = 'No directly matching rows found for this query.';
-    }
+  // Format up to 5 relevant rows for the prompt
+  const relevantDataText = formatRelevantPlays(relevantRows);
 
-    // Create a summary of the data for context
-    const dataSummary = `You have access to soccer match data including:
+  // Score the scenario with the local xG model. Fields given explicitly in the
+  // request override whatever could be read from the query text.
+  let prediction = null;
+  try {
+    const model = getModel(dataset);
+    const features = pickModelInputs({ ...scenarioFromText(query), ...(scenario || {}) });
+    prediction = {
+      ...predict(model, features),
+      features,
+      model: { version: model.version, dataset: model.dataset, trainedAt: model.trainedAt }
+    };
+  } catch (err) {
+    console.error('Error computing local xG prediction:', err);
+  }
+
+  const facts = computeFacts(relevantRows, { prediction, players });
+  const predictionText = prediction
+    ? `Local xG model estimate for this scenario: ${prediction.xG.toFixed(2)} xG (95% CI ${prediction.ci[0].toFixed(2)}–${prediction.ci[1].toFixed(2)}), based on ${Object.keys(prediction.features).join(', ') || 'league-average inputs'}. Use this number as your prediction and explain it; do not invent a different one.`
+    : '';
+
+  // Create a summary of the data for context
+  const dataSummary = `You have access to soccer match data including:
 - Game information (opponents, dates, seasons)
 - Play-by-play data with minutes, play types, shot attempts, outcomes
 - Expected goals (xG) values
 - Shot locations and distances
 - Play contexts and phases of match
 - Team performance metrics
+- Player profiles (shots, goals, xG, assists, favourite locations) for players named in the query
+- The score before each play (leading, level or trailing) for games with recorded opponent goals
 
 Use this data to answer the user's query with advanced AI model analysis.
 
-${relevantDataText}`;
+${relevantDataText}
 
-    // Combine system prompt and data summary with user query
-    const fullPrompt = `${systemPrompt}\n\n${dataSummary}\n\nUser Query: ${query}`;
+${predictionText}
 
-    // Try different model names in order of preference
-    const modelsToTry = ['gemini-2.0-flash', 'gemini-1.5-pro', 'gemini-pro', 'gemini-1.0-pro'];
-    let lastError;
-    
-    // Try each model until one works
-    for (const modelName of modelsToTry) {
-      try {
-        const model = genAI.getGenerativeModel({ model: modelName });
-        
-        // Call Gemini API
-        const result = await model.generateContent(fullPrompt);
-        const response = result.response;
-        const text = response.text();
-        
-        if (!text) {
-          throw new Error('Empty response from Gemini API');
-        }
-
-        res.json({ response: text });
-        return; // Success, exit function
-      } catch (error) {
-        lastError = error;
-        const errorMsg = (error.message || '').toLowerCase();
-        // If it's a model not found error, try next model
-        if (errorMsg.includes('not found') || errorMsg.includes('404') || errorMsg.includes('model')) {
-          console.log(`Model ${modelName} not available (${error.message}), trying next...`);
-          continue; // Try next model
-        }
-        // For other errors (API key, quota, etc.), throw immediately
-        throw error;
-      }
-    }
-    
-    // If we get here, all models failed
-    throw lastError || new Error('All model attempts failed. Please check your API key has access to Gemini models.');
+${formatFacts(facts)}`;
+
+  // Combine system prompt and data summary with user query
+  const fullPrompt = `${systemPrompt}\n\n${dataSummary}\n\n${ANSWER_FORMAT}\n\nUser Query: ${query}`;
+
+  return {
+    llm,
+    prediction,
+    request: { task: 'model', prompt: fullPrompt, query, plays: relevantRows, prediction, facts },
+    context: { query, scenario, dataset, evidence: relevantRows },
+    // What the answer's numbers are checked against
+    sources: { query, plays: relevantRows.slice(0, PROMPT_ROWS) }
+  };
+}
+
+async function getModelPrediction(req, res) {
+  try {
+    console.log('Model prediction API called');
+    console.log('Request body:', req.body);
+    const { llm, prediction, request, context, sources } = prepareModelPrediction(req);
+    const { text: raw, model } = await complete(llm, request);
+    const { text, grounding } = groundAnswer(raw, request.facts, sources);
+    const analysisId = recordForRequest(req, req.body.analysisId, 'model', context, { text, provider: llm.name, model, prediction, grounding });
+
+    res.json({ response: text, prediction, grounding, provider: llm.name, modelName: model, analysisId });
   } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.details) {
+      return res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
     console.error('Error generating model prediction:', error);
     console.error('Error name:', error.name);
     console.error('Error message:', error.message);
@@ -179,13 +187,13 @@ ${relevantDataText}`;
     // Check error message (case insensitive)
     const errorMsgLower = (error.message || '').toLowerCase();
     
-    // Check for Gemini API errors
+    // Check for LLM provider API errors
     if (errorMsgLower.includes('api key') || errorMsgLower.includes('invalid api key') || errorMsgLower.includes('authentication')) {
-      errorMessage = 'Gemini API key error';
-      errorDetails = 'Invalid or missing API key. Please check your .env file and ensure GEMINI_API_KEY is set correctly.';
+      errorMessage = 'LLM API key error';
+      errorDetails = 'Invalid or missing API key. Please check your .env file and ensure the key for LLM_PROVIDER is set correctly.';
     } else if (errorMsgLower.includes('quota') || errorMsgLower.includes('exceeded')) {
-      errorMessage = 'Gemini Quota Exceeded';
-      errorDetails = 'You have exceeded your Gemini API quota. Please check your billing and plan details at https://makersuite.google.com/app/apikey.';
+      errorMessage = 'LLM Quota Exceeded';
+      errorDetails = 'You have exceeded your LLM provider API quota. Please check your billing and plan details.';
       statusCode = 429;
     } else if (errorMsgLower.includes('rate limit') || errorMsgLower.includes('429') || error.status === 429) {
       errorMessage = 'Rate Limit Exceeded';
@@ -193,18 +201,41 @@ ${relevantDataText}`;
       statusCode = 429;
     } else if (errorMsgLower.includes('model') || errorMsgLower.includes('not found') || errorMsgLower.includes('not available') || errorMsgLower.includes('404')) {
       errorMessage = 'Model error';
-      errorDetails = `The selected model is not available for your API key. Error: ${error.message}\n\nPossible solutions:\n1. Check your API key has access to Gemini models at https://makersuite.google.com/app/apikey\n2. Try using a different API key\n3. The model may require a different API version or billing plan\n4. Common model names: 'gemini-2.0-flash', 'gemini-1.5-pro', 'gemini-pro', 'gemini-1.0-pro'`;
+      errorDetails = `The selected model is not available for your API key. Error: ${error.message}\n\nPossible solutions:\n1. Check your API key has access to the models in LLM_MODEL\n2. Try using a different API key\n3. The model may require a different API version or billing plan\n4. Set LLM_PROVIDER=stub to work offline`;
     } else if (errorMsgLower.includes('permission') || errorMsgLower.includes('forbidden') || error.status === 403) {
       errorMessage = 'Permission Denied';
       errorDetails = 'Your API key does not have permission to access this resource. Please check your API key permissions.';
       statusCode = 403;
     } else if (errorMsgLower.includes('network') || errorMsgLower.includes('timeout') || errorMsgLower.includes('connection')) {
       errorMessage = 'Network Error';
-      errorDetails = 'Failed to connect to Gemini API. Please check your internet connection and try again.';
+      errorDetails = 'Failed to connect to the LLM provider. Please check your internet connection and try again.';
     }
     
     res.status(statusCode).json({ error: errorMessage, details: errorDetails });
   }
 }
 
-module.exports = { getModelPrediction };
+// POST /api/model-pred/stream - same request, answered as Server-Sent Events.
+// The xG estimate is known before generation starts, so it goes out in "meta".
+async function streamModelPrediction(req, res) {
+  let prepared;
+  try {
+    prepared = prepareModelPrediction(req);
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message, details: error.details });
+  }
+  const { llm, prediction, request, context, sources } = prepared;
+  await streamCompletion(res, llm, request, {
+    meta: { prediction },
+    onComplete: ({ text: raw, model }) => {
+      const { text, grounding } = groundAnswer(raw, request.facts, sources);
+      return {
+        response: text,
+        grounding,
+        analysisId: recordForRequest(req, req.body.analysisId, 'model', context, { text, provider: llm.name, model, prediction, grounding })
+      };
+    }
+  });
+}
+
+module.exports = { getModelPrediction, streamModelPrediction };
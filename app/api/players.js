@@ -0,0 +1,68 @@
+const { loadPlays } = require('../lib/match-data');
+const { datasetFor } = require('../lib/access');
+const { parseFilters, applyFilters } = require('../lib/play-query');
+const { leaderboard, playerProfile } = require('../lib/players');
+const rosterStore = require('../lib/roster-store');
+
+function handleError(res, error, action) {
+  if (error.status === 400 || error.status === 404) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: `Failed ${action}`, details: error.message });
+}
+
+function playsFor(req) {
+  const allPlays = loadPlays(datasetFor(req, req.query.dataset));
+  return { allPlays, plays: applyFilters(allPlays, parseFilters(req.query)) };
+}
+
+// GET /api/players?sort=goals&team=U19&seasonFrom=2023
+// Leaderboard of every player who shot or assisted in the filtered plays, plus
+// the rostered players of the squads and seasons they cover
+function getPlayers(req, res) {
+  try {
+    const { allPlays, plays } = playsFor(req);
+    const rosters = rosterStore.listRosters(req.workspace.id);
+    res.json({ sort: req.query.sort || 'goals', data: leaderboard(plays, rosters, { allPlays, sort: req.query.sort || undefined }) });
+  } catch (error) {
+    handleError(res, error, 'building player leaderboard');
+  }
+}
+
+// GET /api/players/:playerId - the player's profile; the /api/plays filters apply
+function getPlayer(req, res) {
+  try {
+    const { allPlays, plays } = playsFor(req);
+    const rosters = rosterStore.listRosters(req.workspace.id);
+    res.json(playerProfile(plays, rosters, req.params.playerId, { allPlays }));
+  } catch (error) {
+    handleError(res, error, 'building player profile');
+  }
+}
+
+// GET /api/rosters - every roster of the workspace
+// GET /api/rosters?team=U19&season=2024 - one roster
+function getRosters(req, res) {
+  try {
+    const { team, season } = req.query;
+    if (team || season) {
+      return res.json(rosterStore.getRoster(req.workspace.id, team, season));
+    }
+    res.json({ rosters: rosterStore.listRosters(req.workspace.id) });
+  } catch (error) {
+    handleError(res, error, 'loading rosters');
+  }
+}
+
+// PUT /api/rosters { team, season, players: [{ id, name, position, number, minutes }] }
+// Replaces the squad's roster for the season
+function saveRoster(req, res) {
+  try {
+    res.json(rosterStore.saveRoster(req.workspace.id, req.body || {}, req.user ? req.user.id : null));
+  } catch (error) {
+    handleError(res, error, 'saving roster');
+  }
+}
+
+module.exports = { getPlayers, getPlayer, getRosters, saveRoster };
@@ -0,0 +1,47 @@
+const { loadPlays } = require('../lib/match-data');
+const { datasetFor } = require('../lib/access');
+const { queryPlays, badRequest, toInteger } = require('../lib/play-query');
+const { searchIndex } = require('../lib/play-index');
+
+function handleError(res, error) {
+  if (error.status === 400 || error.status === 404) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error('Error querying plays:', error);
+  res.status(500).json({ error: 'Failed to query plays', details: error.message });
+}
+
+// GET /api/plays
+// Filterable, sortable, cursor-paginated access to individual plays.
+function getPlays(req, res) {
+  try {
+    const plays = loadPlays(datasetFor(req, req.query.dataset));
+    res.json(queryPlays(plays, req.query));
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// GET /api/plays/search?q=late counterattacks down the left&limit=20
+// The plays the AI endpoints would retrieve for a question: exact matches on
+// the fields read from it, then the most similar other plays
+function searchPlays(req, res) {
+  try {
+    const query = String(req.query.q || '').trim();
+    if (!query) throw badRequest('q is required');
+    const limit = req.query.limit === undefined ? 20 : toInteger(req.query.limit, 'limit');
+    if (limit < 1 || limit > 1000) throw badRequest('limit must be between 1 and 1000');
+
+    const results = searchIndex(loadPlays(datasetFor(req, req.query.dataset)), query);
+    res.json({
+      query,
+      total: results.length,
+      exact: results.filter(play => play.matchType === 'exact').length,
+      data: results.slice(0, limit)
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+module.exports = { getPlays, searchPlays };
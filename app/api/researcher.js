@@ -1,7 +1,11 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const fs = require('fs');
-const path = require('path');
-const csvParse = require('csv-parse/sync');
+const { getProvider, complete } = require('../lib/llm');
+const { PROMPT_ROWS, findRelevantPlays, findNamedPlayers, formatRelevantPlays } = require('../lib/evidence');
+const { ANSWER_FORMAT, computeFacts, formatFacts, groundAnswer } = require('../lib/grounding');
+const { scenarioRequest } = require('../lib/scenario');
+const { badRequest } = require('../lib/play-query');
+const { streamCompletion } = require('../lib/sse');
+const { recordForRequest } = require('../lib/history-store');
+const { datasetFor } = require('../lib/access');
 
 const systemPrompt = `
 You're a researcher well versed in data analytics speaking directly to another 
@@ -21,7 +25,7 @@ Remember you're a well respected researcher so make it professional.
 
 When you explain your reasoning:
 - Highlight concrete patterns or examples from past games (give 1–3 illustrative examples).
-- Call out key metrics (xG, location, minute ranges, success rates) that matter for your verdict.
+- Call out key metrics (xG, location, minute ranges, success rates) that matter for your verdict, quoting the computed facts and citing their IDs.
 - Mention any situational caveats (e.g., opponent strength, fatigue, scoreline) that could change the recommendation.
 
 Critical instruction about listing occurrences: IF AND ONLY IF there are multiple distinct past occurrences of the exact situation the user asked about, list them as short bullet points (Game ID, opponent, minute, location). If there is only one or none, do not attempt to list multiple occurrences—just summarize the evidence.
@@ -29,107 +33,85 @@ Critical instruction about listing occurrences: IF AND ONLY IF there are multipl
 Be human, short, and practical: give a one-sentence verdict, then a short numbered list of the supporting points.
 `;
 
-async function getResearcherResponse(req, res) {
-  try {
-    const { query } = req.body;
+// Validates the request, retrieves evidence and builds the prompt. Shared by the
+// JSON and streaming handlers; errors carry an HTTP status.
+function prepareResearcher(req) {
+  const { body } = req;
+  const dataset = datasetFor(req, body.dataset);
+  const { query, scenario } = scenarioRequest(body);
 
-    if (!query || query.trim() === '') {
-      return res.status(400).json({ error: 'Query is required' });
-    }
+  if (!query) {
+    throw badRequest('Query or scenario is required');
+  }
 
-    // Check if API key is set
-    if (!process.env.GEMINI_API_KEY) {
-      return res.status(500).json({ error: 'Gemini API key not configured', details: 'Please set GEMINI_API_KEY in your .env file' });
-    }
+  // LLM provider selected by LLM_PROVIDER (Gemini, OpenAI, local endpoint or offline stub)
+  const llm = getProvider();
 
-    // Initialize Gemini client
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    
+  // Retrieve plays from the selected (or default) dataset that match the scenario or query
+  let relevantRows = [];
+  try {
+    relevantRows = findRelevantPlays(dataset, query, scenario);
+  } catch (err) {
+    if (err.status === 404) throw err;
+    console.error('Error reading dataset:', err);
+  }
 
-    // Load and parse match_data.csv
-    const csvPath = path.resolve(__dirname, '../../..', 'match_data.csv');
-    let csvRows = [];
-    try {
-      const csvContent = fs.readFileSync(csvPath, 'utf8');
-      csvRows = csvParse.parse(csvContent, {
-        columns: true,
-        skip_empty_lines: true,
-      });
-    } catch (err) {
-      console.error('Error reading match_data.csv:', err);
-    }
+  // Shots, goals, assists and favourite locations of any player the question names
+  let players = [];
+  try {
+    players = findNamedPlayers(dataset, query);
+  } catch (err) {
+    if (err.status === 404) throw err;
+    console.error('Error reading player profiles:', err);
+  }
 
-    // Filter relevant rows based on the user's query (simple keyword match)
-    const queryLower = query.toLowerCase();
-    const relevantRows = csvRows.filter(row => {
-      // Check if any value in the row matches the query
-      return Object.values(row).some(val => String(val).toLowerCase().includes(queryLower));
-    });
-
-    // Format up to 5 relevant rows for the prompt
-    let relevantDataText = '';
-    if (relevantRows.length > 0) {
-      relevantDataText = 'Relevant match data rows:\n';
-      relevantRows.slice(0, 5).forEach(row => {
-        relevantDataText += `- Game ID: ${row['Game ID']}, Opponent: ${row['Opponent']}, Minute: ${row['Minute']}, Play Type: ${row['Play Type']}, Shot Attempt: ${row['Shot Attempt']}, Shot Outcome: ${row['Shot Outcome']}, xG: ${row['xG']}, Location: ${row['Location on Field']}, Outcome: ${row['Outcome']}\n`;
-      });
-    } else {
-      relevantDataText = 'No directly matching rows found for this query.';
-    }
+  // Format up to 5 relevant rows for the prompt, plus the statistics of all of them
+  const relevantDataText = formatRelevantPlays(relevantRows, { includeGameId: true });
+  const facts = computeFacts(relevantRows, { players });
 
-    // Create a summary of the data for context
-    const dataSummary = `You have access to soccer match data including:
+  // Create a summary of the data for context
+  const dataSummary = `You have access to soccer match data including:
 - Game information (opponents, dates, seasons)
 - Play-by-play data with minutes, play types, shot attempts, outcomes
 - Expected goals (xG) values
 - Shot locations and distances
 - Play contexts and phases of match
 - Team performance metrics
+- Player profiles (shots, goals, xG, assists, favourite locations) for players named in the query
+- The score before each play (leading, level or trailing) for games with recorded opponent goals
 
 Use this data to answer the user's query.
 
-${relevantDataText}`;
+${relevantDataText}
+${formatFacts(facts)}`;
 
-    // Combine system prompt and data summary with user query
-    const fullPrompt = `${systemPrompt}\n\n${dataSummary}\n\nUser Query: ${query}`;
+  // Combine system prompt and data summary with user query
+  const fullPrompt = `${systemPrompt}\n\n${dataSummary}\n\n${ANSWER_FORMAT}\n\nUser Query: ${query}`;
 
-    // Try different model names in order of preference
-    // gemini-2.0-flash is the newest and fastest model
-    const modelsToTry = ['gemini-2.0-flash', 'gemini-1.5-pro', 'gemini-pro', 'gemini-1.0-pro'];
-    let lastError;
-    
-    // Try each model until one works
-    for (const modelName of modelsToTry) {
-      try {
-        const model = genAI.getGenerativeModel({ model: modelName });
-        
-        // Call Gemini API - this is where the actual error will occur if model is unavailable
-        const result = await model.generateContent(fullPrompt);
-        const response = result.response;
-        const text = response.text();
-        
-        if (!text) {
-          throw new Error('Empty response from Gemini API');
-        }
-
-        res.json({ response: text });
-        return; // Success, exit function
-      } catch (error) {
-        lastError = error;
-        const errorMsg = (error.message || '').toLowerCase();
-        // If it's a model not found error, try next model
-        if (errorMsg.includes('not found') || errorMsg.includes('404') || errorMsg.includes('model')) {
-          console.log(`Model ${modelName} not available (${error.message}), trying next...`);
-          continue; // Try next model
-        }
-        // For other errors (API key, quota, etc.), throw immediately
-        throw error;
-      }
-    }
-    
-    // If we get here, all models failed
-    throw lastError || new Error('All model attempts failed. Please check your API key has access to Gemini models.');
+  return {
+    llm,
+    request: { task: 'researcher', prompt: fullPrompt, query, plays: relevantRows, facts },
+    context: { query, scenario, dataset, evidence: relevantRows },
+    // What the answer's numbers are checked against
+    sources: { query, plays: relevantRows.slice(0, PROMPT_ROWS) }
+  };
+}
+
+async function getResearcherResponse(req, res) {
+  try {
+    const { llm, request, context, sources } = prepareResearcher(req);
+    const { text: raw, model } = await complete(llm, request);
+    const { text, grounding } = groundAnswer(raw, request.facts, sources);
+    const analysisId = recordForRequest(req, req.body.analysisId, 'researcher', context, { text, provider: llm.name, model, grounding });
+
+    res.json({ response: text, grounding, provider: llm.name, modelName: model, analysisId });
   } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.details) {
+      return res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
     console.error('Error generating researcher response:', error);
     console.error('Error name:', error.name);
     console.error('Error message:', error.message);
@@ -157,4 +139,26 @@ ${relevantDataText}`;
   }
 }
 
-module.exports = { getResearcherResponse };
+// POST /api/researcher/stream - same request, answered as Server-Sent Events
+async function streamResearcherResponse(req, res) {
+  let prepared;
+  try {
+    prepared = prepareResearcher(req);
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message, details: error.details });
+  }
+  const { llm, request, context, sources } = prepared;
+  // Tokens are the raw JSON as it arrives; "done" carries the checked answer
+  await streamCompletion(res, llm, request, {
+    onComplete: ({ text: raw, model }) => {
+      const { text, grounding } = groundAnswer(raw, request.facts, sources);
+      return {
+        response: text,
+        grounding,
+        analysisId: recordForRequest(req, req.body.analysisId, 'researcher', context, { text, provider: llm.name, model, grounding })
+      };
+    }
+  });
+}
+
+module.exports = { getResearcherResponse, streamResearcherResponse };
@@ -0,0 +1,67 @@
+const { loadPlays } = require('../lib/match-data');
+const { resolveDataset, describeSelector, normalizeName, isValidName } = require('../lib/dataset-store');
+const { datasetFor } = require('../lib/access');
+const { parseFilters, applyFilters } = require('../lib/play-query');
+const { listScorelines } = require('../lib/scorelines');
+const goalStore = require('../lib/opponent-goals-store');
+
+function handleError(res, error, action) {
+  if (error.status === 400 || error.status === 404) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: `Failed ${action}`, details: error.message });
+}
+
+// Opponent goals are stored under the resolved dataset name, so the default
+// dataset and its explicit name share them. allowNew accepts the name of a
+// dataset not written yet, e.g. a live game's before its first play.
+function datasetName(req, name, { allowNew = false } = {}) {
+  const selector = datasetFor(req, name);
+  const dataset = resolveDataset(selector);
+  if (!dataset && allowNew && isValidName(normalizeName(name))) return normalizeName(name);
+  if (!dataset) {
+    const error = new Error(`Dataset "${describeSelector(selector)}" not found`);
+    error.status = 404;
+    throw error;
+  }
+  return dataset.name;
+}
+
+// GET /api/scorelines?team=U19&seasonFrom=2024 - every game with its final
+// score and result where the opponent's goals are recorded; the /api/plays
+// filters pick the games
+function getScorelines(req, res) {
+  try {
+    const plays = applyFilters(loadPlays(datasetFor(req, req.query.dataset)), parseFilters(req.query));
+    const opponentGoals = goalStore.opponentGoalsByGame(req.workspace.id, datasetName(req, req.query.dataset));
+    res.json(listScorelines(plays, opponentGoals));
+  } catch (error) {
+    handleError(res, error, 'loading scorelines');
+  }
+}
+
+// PUT /api/scorelines { team, gameId, minutes: [23, 78], dataset? }
+// Records the minutes the opponent scored in; [] for a clean sheet
+function saveScoreline(req, res) {
+  try {
+    const body = req.body || {};
+    const name = datasetName(req, body.dataset || req.query.dataset, { allowNew: true });
+    res.json(goalStore.saveOpponentGoals(req.workspace.id, name, body, req.user ? req.user.id : null));
+  } catch (error) {
+    handleError(res, error, 'saving scoreline');
+  }
+}
+
+// DELETE /api/scorelines?team=U19&gameId=12 - the game's scoreline becomes unknown
+function deleteScoreline(req, res) {
+  try {
+    const name = datasetName(req, req.query.dataset);
+    goalStore.deleteOpponentGoals(req.workspace.id, name, req.query.team, req.query.gameId);
+    res.status(204).end();
+  } catch (error) {
+    handleError(res, error, 'deleting scoreline');
+  }
+}
+
+module.exports = { getScorelines, saveScoreline, deleteScoreline };
@@ -0,0 +1,47 @@
+const { loadPlays } = require('../lib/match-data');
+const { datasetFor } = require('../lib/access');
+const { parseFilters, applyFilters, badRequest } = require('../lib/play-query');
+const { MIN_MATCHES, DEFAULT_MATCHES, maxMatchesFor, buildProfile, parseShifts, simulate } = require('../lib/simulation');
+
+function handleError(res, error) {
+  if (error.status === 400 || error.status === 404) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error('Error running simulation:', error);
+  res.status(500).json({ error: 'Failed to run simulation', details: error.message });
+}
+
+function readInteger(value, name, fallback, min, max) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw badRequest(`${name} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// POST /api/simulate
+// { opponent, team, seasonFrom, seasonTo, shifts: [{ field, from, to, share }], matches, seed, dataset }
+// Simulates matches against the opponent (every opponent when left out) as
+// played and with the shifted play type, speed and location mixes. team and
+// the season range pick the history the distributions are built from. The
+// most matches allowed (maxMatches) shrinks as plays per match grow.
+async function runSimulation(req, res) {
+  try {
+    const body = req.body || {};
+    const shifts = parseShifts(body.shifts);
+    const seed = readInteger(body.seed, 'seed', 1, 0, 2 ** 32 - 1);
+
+    const filters = parseFilters({ team: body.team, seasonFrom: body.seasonFrom, seasonTo: body.seasonTo });
+    const plays = applyFilters(loadPlays(datasetFor(req, body.dataset)), filters);
+    const profile = buildProfile(plays, { opponent: body.opponent || undefined });
+    const maxMatches = maxMatchesFor(profile);
+    const matches = readInteger(body.matches, 'matches', Math.min(DEFAULT_MATCHES, maxMatches), MIN_MATCHES, maxMatches);
+
+    res.json({ profile, maxMatches, ...(await simulate(profile, { shifts, matches, seed })) });
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+module.exports = { runSimulation };
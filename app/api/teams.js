@@ -0,0 +1,45 @@
+const { loadPlays, unique } = require('../lib/match-data');
+const { datasetFor } = require('../lib/access');
+const { parseFilters, applyFilters, toInteger } = require('../lib/play-query');
+const { compareTeams, headToHead } = require('../lib/teams');
+
+function handleError(res, error) {
+  if (error.status === 400 || error.status === 404) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error('Error comparing teams:', error);
+  res.status(500).json({ error: 'Failed to compare teams', details: error.message });
+}
+
+// GET /api/teams
+// Every squad in the dataset with its totals side by side. The /api/plays
+// filters apply, e.g. ?team=U17,U19&seasonFrom=2020.
+function getTeams(req, res) {
+  try {
+    const plays = loadPlays(datasetFor(req, req.query.dataset));
+    const filtered = applyFilters(plays, parseFilters(req.query));
+
+    res.json({ allTeams: unique(plays, 'team').sort(), ...compareTeams(filtered) });
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// GET /api/teams/head-to-head
+// Opponents that two or more of our squads faced in the same season
+// (?minTeams= to require more). The /api/plays filters apply.
+function getHeadToHead(req, res) {
+  try {
+    const minTeams = req.query.minTeams === undefined ? 2 : toInteger(req.query.minTeams, 'minTeams');
+    if (minTeams < 2) {
+      return res.status(400).json({ error: 'minTeams must be at least 2' });
+    }
+    const plays = applyFilters(loadPlays(datasetFor(req, req.query.dataset)), parseFilters(req.query));
+
+    res.json({ minTeams, matchups: headToHead(plays, { minTeams }) });
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+module.exports = { getTeams, getHeadToHead };
@@ -0,0 +1,33 @@
+const { loadPlays } = require('../lib/match-data');
+const { datasetFor } = require('../lib/access');
+const { parseFilters, applyFilters, badRequest } = require('../lib/play-query');
+const { buildTrends } = require('../lib/trends');
+
+// GET /api/trends
+// Season-by-season tactical mix with significance-flagged shifts between
+// consecutive seasons and rolling N-game averages per squad. Accepts the
+// /api/plays filters plus window (games, default 5) and alpha (false discovery
+// rate for the adjusted shift tests, default 0.05).
+function getTrends(req, res) {
+  try {
+    const window = req.query.window === undefined ? 5 : Number(req.query.window);
+    const alpha = req.query.alpha === undefined ? 0.05 : Number(req.query.alpha);
+    if (!Number.isInteger(window) || window < 1 || window > 100) {
+      throw badRequest('window must be an integer between 1 and 100');
+    }
+    if (!(alpha > 0 && alpha < 1)) {
+      throw badRequest('alpha must be between 0 and 1');
+    }
+
+    const plays = applyFilters(loadPlays(datasetFor(req, req.query.dataset)), parseFilters(req.query));
+    res.json(buildTrends(plays, { window, alpha }));
+  } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error building trends:', error);
+    res.status(500).json({ error: 'Failed to build trends', details: error.message });
+  }
+}
+
+module.exports = { getTrends };
@@ -0,0 +1,118 @@
+const workspaces = require('../lib/workspace-store');
+const { getUser } = require('../lib/user-store');
+
+// Routes for the signed-in user's workspaces. Member and invite routes are
+// guarded with the "manage" permission, so only owners reach them.
+
+function handleError(res, error) {
+  if ([400, 403, 404, 409].includes(error.status)) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error('Error managing workspace:', error);
+  res.status(500).json({ error: 'Failed to manage workspace', details: error.message });
+}
+
+// Members with their name and email for display
+function describeWorkspace(workspace) {
+  return {
+    id: workspace.id,
+    name: workspace.name,
+    createdAt: workspace.createdAt,
+    members: workspace.members.map(member => {
+      const user = getUser(member.userId) || {};
+      return { ...member, name: user.name || null, email: user.email || null };
+    }),
+    invites: workspace.invites
+  };
+}
+
+// GET /api/me - the user, their workspaces and the one requests act in
+function getMe(req, res) {
+  try {
+    res.json({
+      user: req.user,
+      workspace: { id: req.workspace.id, name: req.workspace.name },
+      role: req.role,
+      permissions: workspaces.PERMISSIONS[req.role],
+      workspaces: workspaces.listWorkspacesForUser(req.user.id)
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// POST /api/workspaces { name } - the creator becomes its owner
+function createWorkspace(req, res) {
+  try {
+    const workspace = workspaces.createWorkspace(req.body.name, req.user.id);
+    req.session.workspaceId = workspace.id;
+    res.status(201).json(describeWorkspace(workspace));
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// POST /api/workspaces/:workspaceId/select - makes it the session's workspace
+function selectWorkspace(req, res) {
+  req.session.workspaceId = req.workspace.id;
+  res.json({ workspace: { id: req.workspace.id, name: req.workspace.name }, role: req.role });
+}
+
+// GET /api/workspaces/:workspaceId/members
+function listMembers(req, res) {
+  try {
+    res.json(describeWorkspace(req.workspace));
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// POST /api/workspaces/:workspaceId/invites { email, role }
+function inviteMember(req, res) {
+  try {
+    const invite = workspaces.inviteMember(req.workspace.id, req.body.email, req.body.role, req.user.id);
+    res.status(201).json(invite);
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// DELETE /api/workspaces/:workspaceId/invites/:email
+function revokeInvite(req, res) {
+  try {
+    workspaces.revokeInvite(req.workspace.id, req.params.email);
+    res.status(204).end();
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// PATCH /api/workspaces/:workspaceId/members/:userId { role }
+function updateMember(req, res) {
+  try {
+    res.json(workspaces.setMemberRole(req.workspace.id, req.params.userId, req.body.role));
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// DELETE /api/workspaces/:workspaceId/members/:userId
+function removeMember(req, res) {
+  try {
+    workspaces.removeMember(req.workspace.id, req.params.userId);
+    res.status(204).end();
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+module.exports = {
+  getMe,
+  createWorkspace,
+  selectWorkspace,
+  listMembers,
+  inviteMember,
+  revokeInvite,
+  updateMember,
+  removeMember
+};
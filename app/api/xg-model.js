@@ -0,0 +1,36 @@
+const { getModel, describeModel } = require('../lib/xg-model');
+const { datasetFor } = require('../lib/access');
+
+function sendModel(res, model) {
+  res.json(describeModel(model));
+}
+
+function handleError(res, error) {
+  if (error.status === 404 || error.status === 422) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error('Error loading xG model:', error);
+  res.status(500).json({ error: 'Failed to load xG model', details: error.message });
+}
+
+// GET /api/xg-model
+// Coefficients, test-set metrics (log-loss, Brier, AUC) and calibration bins
+// for the selected dataset's model. Trains it on first use.
+function getXGModel(req, res) {
+  try {
+    sendModel(res, getModel(datasetFor(req, req.query.dataset)));
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// POST /api/xg-model/train
+function trainXGModel(req, res) {
+  try {
+    sendModel(res, getModel(datasetFor(req, req.body.dataset), { retrain: true }));
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+module.exports = { getXGModel, trainXGModel };
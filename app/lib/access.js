@@ -0,0 +1,46 @@
+const { getWorkspace, roleOf, listWorkspacesForUser, can } = require('./workspace-store');
+
+// Which workspace a request acts in: the :workspaceId route parameter, then an
+// X-Workspace header or ?workspace= query, then the one selected in the session,
+// then the user's first workspace.
+function requestedWorkspaceId(req) {
+  return (req.params && req.params.workspaceId)
+    || req.get('X-Workspace')
+    || (req.query && req.query.workspace)
+    || (req.session && req.session.workspaceId)
+    || null;
+}
+
+// Route guard: resolves req.workspace and req.role and checks that the role
+// grants the permission (read | ask | write | manage). Use after ensureAuthenticated.
+function requirePermission(permission) {
+  return (req, res, next) => {
+    try {
+      const wanted = requestedWorkspaceId(req);
+      const workspaceId = wanted || (listWorkspacesForUser(req.user.id)[0] || {}).id;
+      const workspace = workspaceId ? getWorkspace(workspaceId) : null;
+      const role = roleOf(workspace, req.user.id);
+
+      if (!role) {
+        return res.status(403).json({ error: wanted ? `You are not a member of workspace "${wanted}"` : 'You are not a member of any workspace' });
+      }
+      if (!can(role, permission)) {
+        return res.status(403).json({ error: `The ${role} role cannot ${permission} in this workspace` });
+      }
+
+      req.workspace = workspace;
+      req.role = role;
+      next();
+    } catch (error) {
+      console.error('Error checking workspace access:', error);
+      res.status(500).json({ error: 'Failed to check workspace access', details: error.message });
+    }
+  };
+}
+
+// Dataset selector for the request's workspace, for loadPlays, getModel and friends
+function datasetFor(req, name) {
+  return { name, workspace: req.workspace ? req.workspace.id : null };
+}
+
+module.exports = { requirePermission, datasetFor };
@@ -0,0 +1,166 @@
+const { isGoal, gameKey } = require('./match-data');
+const { badRequest, toList, compareValues } = require('./play-query');
+
+const sum = (plays, pick) => plays.reduce((total, play) => total + (pick(play) || 0), 0);
+const count = (plays, predicate) => plays.filter(predicate).length;
+const ratio = (numerator, denominator, scale = 1) => (denominator > 0 ? (numerator / denominator) * scale : 0);
+
+// Each metric reduces the plays of one group to a number. Rates are percentages.
+const METRICS = {
+  plays: plays => plays.length,
+  games: plays => new Set(plays.map(gameKey)).size,
+  shots: plays => count(plays, play => play.shotAttempt),
+  goals: plays => count(plays, isGoal),
+  xgSum: plays => sum(plays, play => play.xG),
+  xgAvg: plays => ratio(sum(plays, play => play.xG), plays.length),
+  xgPerShot: plays => ratio(sum(plays, play => play.xG), count(plays, play => play.shotAttempt)),
+  conversionRate: plays => ratio(count(plays, isGoal), count(plays, play => play.shotAttempt), 100),
+  successRate: plays => ratio(count(plays, play => play.success), plays.length, 100),
+  avgWinImpact: plays => ratio(sum(plays, play => play.winImpact), plays.length),
+  finalThirdEntries: plays => count(plays, play => play.finalThirdEntry)
+};
+
+// Group-by dimensions: plain play fields plus a few derived buckets
+const DIMENSIONS = {
+  season: play => play.season,
+  date: play => play.date,
+  gameId: play => play.gameId,
+  team: play => play.team,
+  opponent: play => play.opponent,
+  minute: play => play.minute,
+  minuteBucket: play => (play.minute === null ? null : Math.floor(play.minute / 10) * 10),
+  phaseOfMatch: play => play.phaseOfMatch,
+  playType: play => play.playType,
+  playContext: play => play.playContext,
+  playSpeed: play => play.playSpeed,
+  location: play => play.location,
+  assistType: play => play.assistType,
+  playerInvolvement: play => play.playerInvolvement,
+  numberOfPasses: play => play.numberOfPasses,
+  shotAttempt: play => play.shotAttempt,
+  shotOutcome: play => play.shotOutcome,
+  outcome: play => play.outcome,
+  secondChance: play => play.secondChance,
+  finalThirdEntry: play => play.finalThirdEntry,
+  success: play => play.success,
+  gameState: play => play.gameState,
+  scoreFor: play => play.scoreFor,
+  scoreAgainst: play => play.scoreAgainst,
+  result: play => play.result
+};
+
+// The rollups the dashboard has always shown, expressed as aggregate queries.
+// The goals timeline groups goals finely enough (game, minute and the score
+// at the time) that every row is one goal.
+const PRESETS = {
+  goalsTimeline: {
+    groupBy: ['gameId', 'team', 'opponent', 'minute', 'playType', 'playContext', 'location', 'gameState', 'scoreFor', 'scoreAgainst'],
+    metrics: ['goals', 'xgSum', 'avgWinImpact'],
+    where: isGoal
+  },
+  shotMap: {
+    groupBy: ['location'],
+    metrics: ['shots', 'goals', 'xgAvg', 'conversionRate'],
+    where: play => play.shotAttempt
+  },
+  playTypes: {
+    groupBy: ['playType'],
+    metrics: ['plays', 'shots', 'goals', 'xgAvg']
+  },
+  teamComparison: {
+    groupBy: ['opponent'],
+    metrics: ['games', 'goals', 'shots', 'xgSum', 'conversionRate', 'xgPerShot']
+  },
+  gameStates: {
+    groupBy: ['gameState'],
+    metrics: ['plays', 'shots', 'goals', 'xgSum', 'conversionRate', 'successRate']
+  },
+  keyStats: {
+    groupBy: [],
+    metrics: ['games', 'goals', 'shots', 'xgSum', 'conversionRate', 'xgPerShot']
+  }
+};
+
+const DEFAULT_METRICS = ['plays', 'shots', 'goals', 'xgSum', 'conversionRate'];
+
+// Groups plays by the given dimensions and computes the metrics for every group.
+// Returns flat rows: { <dimension>: value, ..., <metric>: number, ... }
+function aggregate(plays, { groupBy = [], metrics = DEFAULT_METRICS, where } = {}) {
+  const unknownDimensions = groupBy.filter(dimension => !DIMENSIONS[dimension]);
+  if (unknownDimensions.length) {
+    throw badRequest(`Unknown groupBy dimensions: ${unknownDimensions.join(', ')}`);
+  }
+  const unknownMetrics = metrics.filter(metric => !METRICS[metric]);
+  if (unknownMetrics.length) {
+    throw badRequest(`Unknown metrics: ${unknownMetrics.join(', ')}`);
+  }
+
+  const selected = where ? plays.filter(where) : plays;
+  const groups = new Map();
+  selected.forEach(play => {
+    const values = groupBy.map(dimension => DIMENSIONS[dimension](play));
+    const key = JSON.stringify(values);
+    if (!groups.has(key)) groups.set(key, { values, plays: [] });
+    groups.get(key).plays.push(play);
+  });
+  // An ungrouped query over an empty selection still reports zeros
+  if (!groupBy.length && !groups.size) {
+    groups.set('[]', { values: [], plays: [] });
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => {
+      for (let i = 0; i < groupBy.length; i++) {
+        const result = compareValues(a.values[i], b.values[i]);
+        if (result !== 0) return result;
+      }
+      return 0;
+    })
+    .map(({ values, plays: groupPlays }) => {
+      const row = {};
+      groupBy.forEach((dimension, index) => {
+        row[dimension] = values[index];
+      });
+      metrics.forEach(metric => {
+        row[metric] = METRICS[metric](groupPlays);
+      });
+      return row;
+    });
+}
+
+// Orders aggregate rows by "sort=-goals,opponent"; defaults to dimension order
+function sortRows(rows, sortValue, allowedKeys) {
+  const sort = toList(sortValue).map(item => {
+    const key = item.replace(/^[-+]/, '');
+    if (!allowedKeys.includes(key)) {
+      throw badRequest(`Cannot sort by "${key}"; sort by a groupBy dimension or requested metric`);
+    }
+    return { key, direction: item.startsWith('-') ? -1 : 1 };
+  });
+  if (!sort.length) return rows;
+  return rows.slice().sort((a, b) => {
+    for (const { key, direction } of sort) {
+      const result = compareValues(a[key], b[key]);
+      if (result !== 0) return a[key] === null || b[key] === null ? result : result * direction;
+    }
+    return 0;
+  });
+}
+
+// Resolves a preset name and/or explicit groupBy & metrics from query parameters
+function resolveSpec(query = {}) {
+  let spec = { groupBy: [], metrics: DEFAULT_METRICS };
+  if (query.preset) {
+    if (!PRESETS[query.preset]) {
+      throw badRequest(`Unknown preset "${query.preset}". Available: ${Object.keys(PRESETS).join(', ')}`);
+    }
+    spec = { ...PRESETS[query.preset] };
+  }
+  const groupBy = toList(query.groupBy);
+  const metrics = toList(query.metrics);
+  if (groupBy.length) spec.groupBy = groupBy;
+  if (metrics.length) spec.metrics = metrics;
+  return spec;
+}
+
+module.exports = { METRICS, DIMENSIONS, PRESETS, aggregate, sortRows, resolveSpec };
@@ -0,0 +1,396 @@
+const { WIN_IMPACT, phaseFor, seasonFor, isSeasonStartMonth, validateRow } = require('./schema');
+const {
+  resolveDataset, describeSelector, seasonStartMonthOf, normalizeName, isValidName, readRows, saveDataset
+} = require('./dataset-store');
+const { badRequest } = require('./play-query');
+
+// Integrity audit of a dataset's raw rows. Uploads are validated one row at a
+// time (schema.js); this checks what a single row cannot show: columns that
+// follow from each other, plays recorded twice, orderings within a game and
+// xG far from the usual for the shot's distance. Each issue names the CSV row
+// (1-based with the header as row 1, like upload errors) and, where the right
+// value is clear, a fix: { set: { column: value } } or { remove: true }.
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+const RULES = {
+  'season-date': 'Season is the one the Date falls in, given the month seasons start in',
+  'phase-minute': 'Phase of Match follows from Minute',
+  'outcome-conflict': 'Outcome agrees with Shot Outcome or Success',
+  'shot-outcome': 'Shot Outcome fits the Outcome',
+  'success-outcome': 'Success is No only for turnovers',
+  'win-impact': 'Win Impact follows from Outcome',
+  'xg-without-shot': 'Plays without a shot have no xG',
+  'game-details': 'Plays of one game share its date and opponent',
+  'duplicate-play': 'No play is recorded twice',
+  'duplicate-id': 'Play IDs are unique',
+  'second-chance-order': 'A second chance follows an earlier shot in its game',
+  'game-order': 'Game IDs run in date order',
+  'xg-outlier': 'xG is in the usual range for the shot distance'
+};
+
+// The outcomes each Shot Outcome (or no shot) and Success value allow. A shot
+// that was saved or missed can still end in retained possession or a turnover.
+const SHOT_OUTCOME_FITS = {
+  'Goal': ['Goal'],
+  'Saved by GK': ['Saved by GK', 'Turnover', 'Retained Possession'],
+  'On Target': ['Saved by GK', 'Turnover', 'Retained Possession'],
+  'Missed': ['Turnover', 'Retained Possession'],
+  '': ['Turnover', 'Retained Possession']
+};
+const SUCCESS_FITS = { 'Yes': ['Goal', 'Saved by GK', 'Retained Possession'], 'No': ['Turnover'] };
+
+// xG outliers: shots are compared within 5 m distance bands holding at least
+// MIN_BAND_SHOTS shots, and flagged beyond OUTLIER_IQRS interquartile ranges
+// outside the band's middle half
+const BAND_METRES = 5;
+const MIN_BAND_SHOTS = 10;
+const OUTLIER_IQRS = 1.5;
+
+const MAX_REPORTED_ISSUES = 1000;
+
+const rowNumber = index => index + 2;
+const gameKeyOf = row => `${row['Team']}:${row['Game ID']}`;
+
+function createCollector(rows) {
+  const issues = [];
+  const ids = new Map();
+  return {
+    issues,
+    // A rule reporting the same row twice numbers the second issue ":2"
+    add(rule, severity, index, message, fix = null) {
+      const row = rows[index];
+      const base = `${rule}:${rowNumber(index)}`;
+      const seen = (ids.get(base) || 0) + 1;
+      ids.set(base, seen);
+      issues.push({
+        id: seen > 1 ? `${base}:${seen}` : base,
+        rule,
+        severity,
+        row: rowNumber(index),
+        playId: row['ID'],
+        gameId: row['Game ID'],
+        team: row['Team'],
+        message,
+        fix
+      });
+    }
+  };
+}
+
+// Outcome, Shot Outcome, Success and Win Impact describe one result. When
+// Shot Outcome and Success both contradict the Outcome, the Outcome is the
+// odd one out; otherwise the Outcome is kept and the others follow it.
+function checkOutcome(row, index, add) {
+  const outcome = row['Outcome'];
+  const shotOutcome = row['Shot Attempt'] === 'Yes' ? row['Shot Outcome'] : '';
+  const shotFits = SHOT_OUTCOME_FITS[shotOutcome] || [];
+  const successFits = SUCCESS_FITS[row['Success']] || [];
+
+  if (!shotFits.includes(outcome) && !successFits.includes(outcome)) {
+    const candidates = shotFits.filter(value => successFits.includes(value));
+    const evidence = `Shot Outcome "${shotOutcome || 'none'}" and Success "${row['Success']}"`;
+    if (candidates.length === 1) {
+      add('outcome-conflict', 'error', index, `Outcome "${outcome}" contradicts ${evidence}, which both point to "${candidates[0]}"`,
+        { set: { 'Outcome': candidates[0], 'Win Impact': WIN_IMPACT[candidates[0]] } });
+    } else {
+      add('outcome-conflict', 'error', index, `Outcome "${outcome}" contradicts ${evidence}`);
+    }
+    return;
+  }
+
+  if (!shotFits.includes(outcome)) {
+    const canSet = shotOutcome && (outcome === 'Goal' || outcome === 'Saved by GK');
+    const message = shotOutcome
+      ? `Shot Outcome "${shotOutcome}" does not fit Outcome "${outcome}"`
+      : `Outcome "${outcome}" needs a shot, but Shot Attempt is No`;
+    add('shot-outcome', 'error', index, message, canSet ? { set: { 'Shot Outcome': outcome } } : null);
+  } else if (shotOutcome === 'On Target' && outcome === 'Saved by GK') {
+    add('shot-outcome', 'warning', index, 'Shot Outcome "On Target" is less specific than Outcome "Saved by GK"',
+      { set: { 'Shot Outcome': 'Saved by GK' } });
+  }
+
+  if (!successFits.includes(outcome)) {
+    const success = outcome === 'Turnover' ? 'No' : 'Yes';
+    add('success-outcome', 'error', index, `Success "${row['Success']}" does not fit Outcome "${outcome}"`, { set: { 'Success': success } });
+  }
+  if (WIN_IMPACT[outcome] && row['Win Impact'] !== WIN_IMPACT[outcome]) {
+    add('win-impact', 'error', index, `Win Impact "${row['Win Impact']}" should be ${WIN_IMPACT[outcome]} for Outcome "${outcome}"`,
+      { set: { 'Win Impact': WIN_IMPACT[outcome] } });
+  }
+}
+
+// The value most of the values share, or null when none does
+function majorityOf(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  return ranked.length && (ranked.length === 1 || ranked[0][1] > ranked[1][1]) ? ranked[0][0] : null;
+}
+
+function groupIndexes(rows, keyOf) {
+  const groups = new Map();
+  rows.forEach((row, index) => {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+  return groups;
+}
+
+// Plays of one game that disagree with the rest of it on date or opponent.
+// Returns the rows whose Date is already reported, so their Season is not
+// reported a second time.
+function checkGames(rows, games, add, seasonStartMonth) {
+  const dateFixed = new Set();
+  games.forEach(indexes => {
+    ['Date', 'Opponent'].forEach(column => {
+      const values = indexes.map(index => rows[index][column]);
+      if (new Set(values).size < 2) return;
+      const majority = majorityOf(values);
+      indexes.forEach(index => {
+        const value = rows[index][column];
+        if (value === majority) return;
+        if (column === 'Date') dateFixed.add(index);
+        if (majority === null) {
+          add('game-details', 'error', index, `Game ${rows[index]['Game ID']} has plays with different values for ${column}`);
+          return;
+        }
+        const set = column === 'Date' ? { 'Date': majority, 'Season': String(seasonFor(majority, seasonStartMonth)) } : { [column]: majority };
+        add('game-details', 'error', index, `${column} "${value}" differs from the rest of game ${rows[index]['Game ID']} ("${majority}")`, { set });
+      });
+    });
+  });
+  return dateFixed;
+}
+
+// Exact copies (every column but ID) are removed; distinct plays sharing an
+// ID are renumbered after the highest ID
+function checkDuplicates(rows, add) {
+  const seen = new Map();
+  const ids = new Map();
+  let nextId = rows.reduce((max, row) => Math.max(max, Number(row['ID']) || 0), 0) + 1;
+  rows.forEach((row, index) => {
+    const { 'ID': id, ...rest } = row;
+    const key = JSON.stringify(rest);
+    if (seen.has(key)) {
+      add('duplicate-play', 'warning', index, `Same play as row ${rowNumber(seen.get(key))} (ID ${rows[seen.get(key)]['ID']})`, { remove: true });
+      return;
+    }
+    seen.set(key, index);
+    if (ids.has(id)) {
+      add('duplicate-id', 'error', index, `ID ${id} is also used by row ${rowNumber(ids.get(id))}`, { set: { 'ID': String(nextId++) } });
+      return;
+    }
+    ids.set(id, index);
+  });
+}
+
+// A second chance needs an earlier shot in the same game to follow; plays of
+// the same minute count as earlier, since the file does not order them
+function checkSecondChances(rows, games, add) {
+  games.forEach(indexes => {
+    const shotMinutes = indexes
+      .filter(index => rows[index]['Shot Attempt'] === 'Yes')
+      .map(index => ({ index, minute: Number(rows[index]['Minute']) }));
+    indexes.forEach(index => {
+      const row = rows[index];
+      if (row['Second Chance'] !== 'Yes') return;
+      const minute = Number(row['Minute']);
+      if (shotMinutes.some(shot => shot.index !== index && shot.minute <= minute)) return;
+      add('second-chance-order', 'warning', index, `Second chance in minute ${minute} with no earlier shot in game ${row['Game ID']}`,
+        { set: { 'Second Chance': 'No' } });
+    });
+  });
+}
+
+// Within each team, a game should not be played before the one numbered before it
+function checkGameOrder(rows, games, add) {
+  const byTeam = new Map();
+  games.forEach(indexes => {
+    const first = rows[indexes[0]];
+    if (!byTeam.has(first['Team'])) byTeam.set(first['Team'], []);
+    byTeam.get(first['Team']).push({ gameId: Number(first['Game ID']), date: first['Date'], index: indexes[0] });
+  });
+  byTeam.forEach(list => {
+    list.sort((a, b) => a.gameId - b.gameId);
+    list.forEach((game, position) => {
+      const previous = list[position - 1];
+      if (!previous || previous.date <= game.date) return;
+      add('game-order', 'info', game.index, `Game ${game.gameId} on ${game.date} is numbered after game ${previous.gameId} on ${previous.date}`);
+    });
+  });
+}
+
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const below = Math.floor(position);
+  const above = Math.min(below + 1, sorted.length - 1);
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+}
+
+// xG far outside the middle of other shots from about the same distance. The
+// right value is unknown, so these carry no fix.
+function checkXG(rows, add) {
+  const bands = new Map();
+  rows.forEach((row, index) => {
+    if (row['Shot Attempt'] !== 'Yes' || row['Shot Distance'] === '') return;
+    const band = Math.floor(Number(row['Shot Distance']) / BAND_METRES) * BAND_METRES;
+    if (!bands.has(band)) bands.set(band, []);
+    bands.get(band).push(index);
+  });
+  bands.forEach((indexes, band) => {
+    if (indexes.length < MIN_BAND_SHOTS) return;
+    const values = indexes.map(index => Number(rows[index]['xG'])).sort((a, b) => a - b);
+    const q1 = quantile(values, 0.25);
+    const q3 = quantile(values, 0.75);
+    const low = q1 - OUTLIER_IQRS * (q3 - q1);
+    const high = q3 + OUTLIER_IQRS * (q3 - q1);
+    indexes.forEach(index => {
+      const xG = Number(rows[index]['xG']);
+      if (xG >= low && xG <= high) return;
+      add('xg-outlier', 'warning', index,
+        `xG ${xG.toFixed(2)} from ${rows[index]['Shot Distance']} m is outside the usual ${Math.max(low, 0).toFixed(2)}-${high.toFixed(2)} for ${band}-${band + BAND_METRES} m shots`);
+    });
+  });
+}
+
+const severityRank = severity => SEVERITIES.indexOf(severity);
+
+// Audits rows as readRows returns them. Returns every issue, most severe
+// first, with counts by severity and by rule. seasonStartMonth is the month
+// the dataset's seasons start in (schema.seasonFor).
+function auditRows(rows, { seasonStartMonth } = {}) {
+  const { issues, add } = createCollector(rows);
+  const games = groupIndexes(rows, gameKeyOf);
+  const dateFixed = checkGames(rows, games, add, seasonStartMonth);
+
+  rows.forEach((row, index) => {
+    const season = /^\d{4}-\d{2}-\d{2}$/.test(row['Date']) ? String(seasonFor(row['Date'], seasonStartMonth)) : null;
+    if (!dateFixed.has(index) && season && row['Season'] !== season) {
+      add('season-date', 'error', index, `Season ${row['Season']} does not contain ${row['Date']} (season ${season})`,
+        { set: { 'Season': season } });
+    }
+    const minute = Number(row['Minute']);
+    if (Number.isInteger(minute) && row['Phase of Match'] !== phaseFor(minute)) {
+      add('phase-minute', 'error', index, `Phase "${row['Phase of Match']}" does not match minute ${minute} (${phaseFor(minute)})`,
+        { set: { 'Phase of Match': phaseFor(minute) } });
+    }
+    checkOutcome(row, index, add);
+    if (row['Shot Attempt'] === 'No' && Number(row['xG']) > 0) {
+      add('xg-without-shot', 'error', index, `xG ${row['xG']} on a play without a shot`, { set: { 'xG': '0.00' } });
+    }
+  });
+
+  checkDuplicates(rows, add);
+  checkSecondChances(rows, games, add);
+  checkGameOrder(rows, games, add);
+  checkXG(rows, add);
+
+  issues.sort((a, b) => severityRank(a.severity) - severityRank(b.severity) || a.row - b.row || a.rule.localeCompare(b.rule));
+
+  const summary = { rows: rows.length, issues: issues.length, fixable: issues.filter(issue => issue.fix).length };
+  SEVERITIES.forEach(severity => {
+    summary[severity] = issues.filter(issue => issue.severity === severity).length;
+  });
+  const rules = Object.entries(RULES).map(([id, description]) => {
+    const matching = issues.filter(issue => issue.rule === id);
+    return { id, description, count: matching.length, fixable: matching.filter(issue => issue.fix).length };
+  });
+  return { summary, rules, issues };
+}
+
+function findDataset(selector) {
+  const dataset = resolveDataset(selector);
+  if (!dataset) {
+    const error = new Error(`Dataset "${describeSelector(selector)}" not found`);
+    error.status = 404;
+    throw error;
+  }
+  return dataset;
+}
+
+// The dataset's season start month, or the one asked for instead
+function seasonStartFor(dataset, requested) {
+  if (requested === undefined || requested === null || requested === '') return seasonStartMonthOf(dataset);
+  const month = Number(requested);
+  if (!isSeasonStartMonth(month)) throw badRequest('seasonStartMonth must be a month number from 1 to 12');
+  return month;
+}
+
+// The report for a dataset, with the issue list capped for the response.
+// seasonStartMonth overrides the dataset's own for this audit.
+function auditDataset(selector, { seasonStartMonth } = {}) {
+  const dataset = findDataset(selector);
+  const startMonth = seasonStartFor(dataset, seasonStartMonth);
+  const { summary, rules, issues } = auditRows(readRows(dataset), { seasonStartMonth: startMonth });
+  return { dataset: dataset.name, seasonStartMonth: startMonth, summary, rules, issues: issues.slice(0, MAX_REPORTED_ISSUES) };
+}
+
+// Applies the fixes of the chosen issues: all fixable ones by default, or
+// those of the listed rules or issue IDs. Returns the fixed rows, the rows
+// that changed and how many fixes each rule contributed.
+function applyFixes(rows, issues, { rules, issueIds } = {}) {
+  const chosen = issues.filter(issue => issue.fix
+    && (!rules || rules.includes(issue.rule))
+    && (!issueIds || issueIds.includes(issue.id)));
+  const fixed = rows.map(row => ({ ...row }));
+  const removed = new Set();
+  const changed = new Set();
+  const applied = {};
+  chosen.forEach(issue => {
+    const index = issue.row - 2;
+    if (issue.fix.remove) removed.add(index);
+    else changed.add(Object.assign(fixed[index], issue.fix.set));
+    applied[issue.rule] = (applied[issue.rule] || 0) + 1;
+  });
+  return {
+    rows: fixed.filter((row, index) => !removed.has(index)),
+    changed: [...changed].filter(row => !removed.has(fixed.indexOf(row))),
+    applied,
+    removed: removed.size
+  };
+}
+
+function parseList(value, name) {
+  if (value === undefined || value === null) return undefined;
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    throw badRequest(`${name} must be an array of strings`);
+  }
+  return value;
+}
+
+// Fixes the dataset and stores it under its own name, or under saveAs. The
+// sample is read-only, so fixing it needs saveAs. A seasonStartMonth given
+// here is used for the fixes and stored with the result. Returns what was
+// applied and the audit summary of the stored rows.
+function fixDataset(selector, { rules, issues: issueIds, saveAs, seasonStartMonth } = {}, { userId = null, workspace = null } = {}) {
+  const chosenRules = parseList(rules, 'rules');
+  const chosenIssues = parseList(issueIds, 'issues');
+  const unknown = (chosenRules || []).filter(rule => !RULES[rule]);
+  if (unknown.length) throw badRequest(`Unknown rules: ${unknown.join(', ')} (use ${Object.keys(RULES).join(', ')})`);
+
+  const dataset = findDataset(selector);
+  let name = dataset.name;
+  if (saveAs !== undefined && saveAs !== null && saveAs !== '') {
+    name = normalizeName(saveAs);
+    if (!isValidName(name)) throw badRequest('saveAs must be 1-64 letters, numbers, dashes or underscores ("sample" is reserved)');
+  } else if (dataset.builtIn) {
+    throw badRequest(`The ${dataset.name} dataset is read-only; store the fixed copy under a new name (saveAs)`);
+  }
+
+  const startMonth = seasonStartFor(dataset, seasonStartMonth);
+  const rows = readRows(dataset);
+  const { issues } = auditRows(rows, { seasonStartMonth: startMonth });
+  const { rows: fixed, changed, applied, removed } = applyFixes(rows, issues, { rules: chosenRules, issueIds: chosenIssues });
+  changed.forEach(row => {
+    const errors = validateRow(row);
+    if (errors.length) throw badRequest(`Fixed play ${row['ID']} is invalid: ${errors[0].column} ${errors[0].message}`);
+  });
+
+  const uploadedBy = name === dataset.name && dataset.uploadedBy ? dataset.uploadedBy : userId;
+  const stored = saveDataset(name, fixed, { uploadedBy, workspace, seasonStartMonth: startMonth });
+  return { dataset: stored, applied, removed, audit: auditRows(fixed, { seasonStartMonth: startMonth }).summary };
+}
+
+module.exports = { SEVERITIES, RULES, MAX_REPORTED_ISSUES, auditRows, auditDataset, applyFixes, fixDataset };
@@ -0,0 +1,201 @@
+const { isGoal, groupByGame } = require('./match-data');
+
+// Possession chains: consecutive plays of a game linked into attacking
+// sequences. A play continues the previous play's chain when it comes within
+// `gap` minutes of it and the previous play was not a goal (play restarts
+// from the centre). Each link is classified:
+// - rebound: the previous play was a shot that did not go in and this play is
+//   a second chance
+// - transition: the previous play was turned over and this play is a
+//   counterattack
+// - continuation: anything else
+
+const DEFAULT_GAP = 3;
+// The flow diagram follows a chain's first plays up to this many, then its end
+const MAX_FLOW_STEPS = 4;
+const MAX_SEQUENCES = 10;
+
+const ratio = (count, total) => (total ? (count / total) * 100 : 0);
+const xgOf = plays => plays.reduce((total, play) => total + (play.shotAttempt && play.xG !== null ? play.xG : 0), 0);
+
+function linkKind(previous, play) {
+  if (previous.shotAttempt && !isGoal(previous) && play.secondChance) return 'rebound';
+  if (previous.outcome === 'Turnover' && play.playType === 'Counterattack') return 'transition';
+  return 'continuation';
+}
+
+// Plays without a minute cannot be placed in a sequence, so they stand alone
+function orderGame(plays) {
+  return plays.slice().sort((a, b) => {
+    if (a.minute === null || b.minute === null) return (a.minute === null) - (b.minute === null) || a.id - b.id;
+    return a.minute - b.minute || a.id - b.id;
+  });
+}
+
+function chainsOfGame(game, gap) {
+  const chains = [];
+  let current = null;
+  orderGame(game.plays).forEach(play => {
+    const previous = current && current.plays[current.plays.length - 1];
+    const linked = previous && play.minute !== null && previous.minute !== null &&
+      play.minute - previous.minute <= gap && !isGoal(previous);
+    if (linked) {
+      current.links.push(linkKind(previous, play));
+      current.plays.push(play);
+    } else {
+      current = { game, plays: [play], links: [] };
+      chains.push(current);
+    }
+  });
+  return chains;
+}
+
+function describeChain({ game, plays, links }, index) {
+  const last = plays[plays.length - 1];
+  return {
+    id: index + 1,
+    gameId: game.gameId,
+    team: game.team,
+    opponent: game.opponent,
+    date: game.date,
+    startMinute: plays[0].minute,
+    endMinute: last.minute,
+    length: plays.length,
+    playIds: plays.map(play => play.id),
+    sequence: plays.map(play => play.playType),
+    links,
+    shots: plays.filter(play => play.shotAttempt).length,
+    goals: plays.filter(isGoal).length,
+    xG: xgOf(plays),
+    outcome: last.outcome
+  };
+}
+
+// How often a shot that did not go in was followed by a second chance, and
+// what the second chances produced
+function reboundStats(chains) {
+  let shots = 0;
+  const rebounds = [];
+  chains.forEach(chain => {
+    chain.plays.forEach((play, index) => {
+      if (!play.shotAttempt || isGoal(play)) return;
+      shots++;
+      if (chain.links[index] === 'rebound') rebounds.push(chain.plays[index + 1]);
+    });
+  });
+  const reboundShots = rebounds.filter(play => play.shotAttempt);
+  const goals = rebounds.filter(isGoal).length;
+  return {
+    shotsNotScored: shots,
+    rebounds: rebounds.length,
+    reboundRate: ratio(rebounds.length, shots),
+    shots: reboundShots.length,
+    goals,
+    xG: xgOf(rebounds),
+    conversionRate: ratio(goals, reboundShots.length)
+  };
+}
+
+// Turnovers and the counterattacks that followed them
+function transitionStats(chains) {
+  let turnovers = 0;
+  const counters = [];
+  chains.forEach(chain => {
+    chain.plays.forEach((play, index) => {
+      if (play.outcome !== 'Turnover') return;
+      turnovers++;
+      if (chain.links[index] === 'transition') counters.push(chain.plays[index + 1]);
+    });
+  });
+  const shots = counters.filter(play => play.shotAttempt);
+  const goals = counters.filter(isGoal).length;
+  return {
+    turnovers,
+    counterattacks: counters.length,
+    counterRate: ratio(counters.length, turnovers),
+    shots: shots.length,
+    goals,
+    xG: xgOf(counters),
+    shotRate: ratio(shots.length, counters.length),
+    conversionRate: ratio(goals, counters.length)
+  };
+}
+
+// The play type sequences that ended in goals, most common first
+function goalSequences(chains) {
+  const counts = new Map();
+  chains.filter(chain => isGoal(chain.plays[chain.plays.length - 1])).forEach(chain => {
+    const key = chain.plays.map(play => play.playType).join(' → ');
+    const entry = counts.get(key) || { sequence: chain.plays.map(play => play.playType), goals: 0 };
+    entry.goals++;
+    counts.set(key, entry);
+  });
+  return [...counts.values()]
+    .sort((a, b) => b.goals - a.goals || b.sequence.length - a.sequence.length)
+    .slice(0, MAX_SEQUENCES);
+}
+
+// Nodes and weighted links for a Sankey diagram: a node per play type at each
+// step of a chain, then a node per outcome the chains ended in. Chains longer
+// than MAX_FLOW_STEPS are followed for their first MAX_FLOW_STEPS plays.
+function flow(chains) {
+  const nodes = new Map();
+  const links = new Map();
+  const node = (id, step, label) => {
+    if (!nodes.has(id)) nodes.set(id, { id, step, label, chains: 0 });
+    return nodes.get(id);
+  };
+  chains.forEach(chain => {
+    const steps = chain.plays.slice(0, MAX_FLOW_STEPS)
+      .map((play, index) => node(`${index}:${play.playType}`, index, play.playType));
+    const last = chain.plays[chain.plays.length - 1];
+    steps.push(node(`end:${last.outcome}`, steps.length, last.outcome));
+    const goal = isGoal(last);
+    steps.forEach((step, index) => {
+      step.chains++;
+      if (!index) return;
+      const key = `${steps[index - 1].id}|${step.id}`;
+      const link = links.get(key) || { source: steps[index - 1].id, target: step.id, chains: 0, goals: 0 };
+      link.chains++;
+      if (goal) link.goals++;
+      links.set(key, link);
+    });
+  });
+  // Outcome nodes all sit in the last column, whatever the chain's length
+  const lastStep = Math.max(0, ...[...nodes.values()].map(item => item.step));
+  nodes.forEach(item => {
+    if (item.id.startsWith('end:')) item.step = lastStep;
+  });
+  return { nodes: [...nodes.values()], links: [...links.values()] };
+}
+
+// plays are already filtered; gap is the most minutes between two linked plays
+function buildChains(plays, { gap = DEFAULT_GAP } = {}) {
+  const chains = [];
+  groupByGame(plays).forEach(game => {
+    chains.push(...chainsOfGame(game, gap));
+  });
+  const linked = chains.filter(chain => chain.plays.length > 1);
+  const goalChains = chains.filter(chain => chain.plays.some(isGoal));
+
+  return {
+    gap,
+    summary: {
+      plays: plays.length,
+      chains: chains.length,
+      multiPlayChains: linked.length,
+      averageLength: chains.length ? plays.length / chains.length : 0,
+      longest: Math.max(0, ...chains.map(chain => chain.plays.length)),
+      xgPerChain: chains.length ? xgOf(plays) / chains.length : 0,
+      goalChainRate: ratio(goalChains.length, chains.length),
+      multiPlayGoalShare: ratio(goalChains.filter(chain => chain.plays.length > 1).length, goalChains.length)
+    },
+    rebounds: reboundStats(chains),
+    transitions: transitionStats(chains),
+    goalSequences: goalSequences(chains),
+    flow: flow(chains),
+    chains: chains.map(describeChain)
+  };
+}
+
+module.exports = { DEFAULT_GAP, MAX_FLOW_STEPS, buildChains };
@@ -0,0 +1,257 @@
+const { ENUMS } = require('./schema');
+const { isGoal, gameKey } = require('./match-data');
+const { twoProportionTest, meanDifferenceTest, adjustPValues } = require('./stats');
+const { parseFilters, applyFilters, toList, badRequest } = require('./play-query');
+
+// Two slices of the same plays side by side, e.g. seasons 2005-2014 against
+// 2015-2024, or one opponent against everyone else. Every difference is B - A
+// with a 95% interval and a two-sided p-value. The views run dozens of tests,
+// so p-values are also adjusted (Benjamini-Hochberg) and only differences that
+// survive the adjustment count as significant.
+
+const SLICES = ['a', 'b'];
+// b=rest makes slice B every play not in A
+const REST = 'rest';
+const DISTANCE_BAND = 5;
+const MAX_LABEL_LENGTH = 60;
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+const percent = value => value * 100;
+
+// Metrics for the key stats table. Rates are tested as proportions of their
+// denominator; means with Welch's test over games, shots or plays.
+const KEY_STATS = [
+  { metric: 'goalsPerGame', label: 'Goals per game', mean: slice => slice.games.map(game => game.goals) },
+  { metric: 'shotsPerGame', label: 'Shots per game', mean: slice => slice.games.map(game => game.shots) },
+  { metric: 'xgPerGame', label: 'xG per game', mean: slice => slice.games.map(game => game.xG) },
+  { metric: 'conversionRate', label: 'Conversion rate (%)', rate: slice => [slice.shots.filter(isGoal).length, slice.shots.length] },
+  { metric: 'xgPerShot', label: 'xG per shot', mean: slice => slice.shots.map(play => play.xG || 0) },
+  { metric: 'shotRate', label: 'Plays ending in a shot (%)', rate: slice => [slice.shots.length, slice.plays.length] },
+  { metric: 'successRate', label: 'Success rate (%)', rate: slice => [slice.plays.filter(play => play.success).length, slice.plays.length] },
+  {
+    metric: 'finalThirdRate',
+    label: 'Final third entries (%)',
+    rate: slice => [slice.plays.filter(play => play.finalThirdEntry).length, slice.plays.length]
+  },
+  { metric: 'avgWinImpact', label: 'Win impact per play', mean: slice => slice.plays.map(play => play.winImpact || 0) }
+];
+
+// { diff, ci, pValue } from a stats.js test, rates in percentage points. A
+// slice with nothing to measure has no difference; one with too little to
+// test has no interval or p-value.
+const UNTESTED = { diff: null, ci: null, pValue: null };
+
+function difference(test, isRate, testable) {
+  const scale = isRate ? percent : value => value;
+  if (!testable) return { ...UNTESTED, diff: scale(test.diff) };
+  return { diff: scale(test.diff), ci: test.ci.map(scale), pValue: test.pValue };
+}
+
+function rateTest([x1, n1], [x2, n2]) {
+  if (!n1 || !n2) return { ...UNTESTED };
+  return difference(twoProportionTest(x1, n1, x2, n2), true, true);
+}
+
+function meanTest(values1, values2) {
+  if (!values1.length || !values2.length) return { ...UNTESTED };
+  return difference(meanDifferenceTest(values1, values2), false, values1.length > 1 && values2.length > 1);
+}
+
+// Short description of a slice's filters, e.g. "Thunder FC, seasons 2005-2014"
+function describeFilters(filters) {
+  const parts = Object.values(filters.lists).map(values => values.map(value => (value === null ? 'no shot' : value)).join(' or '));
+  Object.entries(filters.ranges).forEach(([field, { min, max }]) => {
+    const name = field === 'season' ? 'seasons' : 'minutes';
+    if (min !== undefined && max !== undefined) parts.push(min === max ? `${name.slice(0, -1)} ${min}` : `${name} ${min}-${max}`);
+    else if (min !== undefined) parts.push(`${name} from ${min}`);
+    else parts.push(`${name} to ${max}`);
+  });
+  return parts.join(', ') || 'all plays';
+}
+
+function labelOf(query, fallback) {
+  const label = typeof query.label === 'string' ? query.label.trim() : '';
+  return label ? label.slice(0, MAX_LABEL_LENGTH) : fallback;
+}
+
+// { a: { label, plays }, b: { label, plays } } from a[...] and b[...] query
+// objects (?a[seasonTo]=2014&b[seasonFrom]=2015) taking the /api/plays filters
+function selectSlices(plays, query = {}) {
+  const a = query.a;
+  if (!a || typeof a !== 'object' || Array.isArray(a)) {
+    throw badRequest('Define slice A with a[...] filters, e.g. a[seasonTo]=2014');
+  }
+  const aFilters = parseFilters(a);
+  const aPlays = applyFilters(plays, aFilters);
+  const aLabel = labelOf(a, describeFilters(aFilters));
+
+  if (toList(query.b).join() === REST) {
+    const inA = new Set(aPlays);
+    return {
+      a: { label: aLabel, plays: aPlays },
+      b: { label: `Not ${aLabel}`, plays: plays.filter(play => !inA.has(play)) }
+    };
+  }
+  const b = query.b;
+  if (!b || typeof b !== 'object' || Array.isArray(b)) {
+    throw badRequest(`Define slice B with b[...] filters, or b=${REST} for every play not in A`);
+  }
+  const bFilters = parseFilters(b);
+  return {
+    a: { label: aLabel, plays: aPlays },
+    b: { label: labelOf(b, describeFilters(bFilters)), plays: applyFilters(plays, bFilters) }
+  };
+}
+
+function summarize({ label, plays }) {
+  const games = new Map();
+  plays.forEach(play => {
+    const key = gameKey(play);
+    if (!games.has(key)) games.set(key, { goals: 0, shots: 0, xG: 0 });
+    const game = games.get(key);
+    if (play.shotAttempt) game.shots++;
+    if (isGoal(play)) game.goals++;
+    game.xG += play.xG || 0;
+  });
+  return { label, plays, shots: plays.filter(play => play.shotAttempt), games: [...games.values()] };
+}
+
+function keyStats(a, b) {
+  return KEY_STATS.map(({ metric, label, rate, mean }) => {
+    if (rate) {
+      const [rateA, rateB] = [rate(a), rate(b)];
+      return {
+        metric,
+        label,
+        a: rateA[1] ? percent(rateA[0] / rateA[1]) : null,
+        b: rateB[1] ? percent(rateB[0] / rateB[1]) : null,
+        n: { a: rateA[1], b: rateB[1] },
+        ...rateTest(rateA, rateB)
+      };
+    }
+    const [valuesA, valuesB] = [mean(a), mean(b)];
+    return {
+      metric,
+      label,
+      a: valuesA.length ? sum(valuesA) / valuesA.length : null,
+      b: valuesB.length ? sum(valuesB) / valuesB.length : null,
+      n: { a: valuesA.length, b: valuesB.length },
+      ...meanTest(valuesA, valuesB)
+    };
+  });
+}
+
+const count = (plays, key, value) => plays.filter(play => play[key] === value).length;
+
+// Share of each slice's plays per play type
+function playTypes(a, b) {
+  return ENUMS['Play Type'].map(category => {
+    const [countA, countB] = [count(a.plays, 'playType', category), count(b.plays, 'playType', category)];
+    return {
+      category,
+      a: { count: countA, share: a.plays.length ? percent(countA / a.plays.length) : 0 },
+      b: { count: countB, share: b.plays.length ? percent(countB / b.plays.length) : 0 },
+      ...rateTest([countA, a.plays.length], [countB, b.plays.length])
+    };
+  });
+}
+
+function zoneOf(shots) {
+  const goals = shots.filter(isGoal).length;
+  return { shots: shots.length, goals, xG: sum(shots.map(play => play.xG || 0)) };
+}
+
+// Per zone: each slice's shots, goals and xG, the difference in the share of
+// shots taken there and the difference in conversion
+function shotMap(a, b) {
+  return ENUMS['Location on Field'].map(location => {
+    const [shotsA, shotsB] = [a.shots.filter(play => play.location === location), b.shots.filter(play => play.location === location)];
+    return {
+      location,
+      a: { ...zoneOf(shotsA), share: a.shots.length ? percent(shotsA.length / a.shots.length) : 0 },
+      b: { ...zoneOf(shotsB), share: b.shots.length ? percent(shotsB.length / b.shots.length) : 0 },
+      share: rateTest([shotsA.length, a.shots.length], [shotsB.length, b.shots.length]),
+      conversionRate: rateTest([shotsA.filter(isGoal).length, shotsA.length], [shotsB.filter(isGoal).length, shotsB.length])
+    };
+  }).filter(zone => zone.a.shots || zone.b.shots);
+}
+
+const bandOf = play => Math.floor(play.shotDistance / DISTANCE_BAND) * DISTANCE_BAND;
+
+// The scatter's points plus xG per shot in 5 m distance bands: whether shots
+// from the same distance were better chances in one slice than the other
+function distanceXG(a, b) {
+  const measured = slice => slice.shots.filter(play => play.shotDistance !== null);
+  const [shotsA, shotsB] = [measured(a), measured(b)];
+  const bands = [...new Set([...shotsA, ...shotsB].map(bandOf))].sort((x, y) => x - y);
+  const point = play => ({
+    id: play.id,
+    gameId: play.gameId,
+    team: play.team,
+    opponent: play.opponent,
+    minute: play.minute,
+    location: play.location,
+    playType: play.playType,
+    shotDistance: play.shotDistance,
+    xG: play.xG || 0,
+    shotOutcome: play.shotOutcome
+  });
+  return {
+    bandMetres: DISTANCE_BAND,
+    bands: bands.map(from => {
+      const [inA, inB] = [shotsA.filter(play => bandOf(play) === from), shotsB.filter(play => bandOf(play) === from)];
+      const xgA = inA.map(play => play.xG || 0);
+      const xgB = inB.map(play => play.xG || 0);
+      return {
+        from,
+        to: from + DISTANCE_BAND,
+        a: { shots: inA.length, xgPerShot: xgA.length ? sum(xgA) / xgA.length : null },
+        b: { shots: inB.length, xgPerShot: xgB.length ? sum(xgB) / xgB.length : null },
+        ...meanTest(xgA, xgB)
+      };
+    }),
+    points: { a: shotsA.map(point), b: shotsB.map(point) }
+  };
+}
+
+function compareSlices(slices, { alpha = 0.05 } = {}) {
+  const [a, b] = SLICES.map(name => summarize(slices[name]));
+  const inA = new Set(a.plays);
+  const overlap = b.plays.filter(play => inA.has(play)).length;
+
+  const result = {
+    alpha,
+    slices: Object.fromEntries(SLICES.map((name, index) => {
+      const slice = [a, b][index];
+      return [name, { label: slice.label, plays: slice.plays.length, games: slice.games.length, shots: slice.shots.length }];
+    })),
+    overlap,
+    keyStats: keyStats(a, b),
+    playTypes: playTypes(a, b),
+    shotMap: shotMap(a, b),
+    distanceXG: distanceXG(a, b)
+  };
+
+  // Only tests with enough data on both sides count towards the adjustment
+  const tests = [
+    ...result.keyStats,
+    ...result.playTypes,
+    ...result.shotMap.flatMap(zone => [zone.share, zone.conversionRate]),
+    ...result.distanceXG.bands
+  ];
+  tests.filter(test => test.pValue === null).forEach(test => {
+    test.qValue = null;
+    test.significant = false;
+  });
+  const tested = tests.filter(test => test.pValue !== null);
+  const qValues = adjustPValues(tested.map(test => test.pValue));
+  tested.forEach((test, index) => {
+    test.qValue = qValues[index];
+    test.significant = test.qValue < alpha;
+  });
+  result.tests = tested.length;
+  result.significant = tested.filter(test => test.significant).length;
+  return result;
+}
+
+module.exports = { REST, KEY_STATS, selectSlices, compareSlices };
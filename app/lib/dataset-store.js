@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const csvParse = require('csv-parse/sync');
+const { COLUMNS, OPTIONAL_COLUMNS, DEFAULT_SEASON_START_MONTH } = require('./schema');
+
+// Uploaded datasets live under DATA_DIR/datasets as normalised CSV files plus an
+// index.json with their metadata. The bundled sample_data.csv is always available
+// as the "sample" dataset so a fresh checkout still has something to analyse.
+//
+// Uploads belong to a workspace (DATA_DIR/datasets/<workspace>/<name>.csv) and
+// names are unique per workspace. Functions that look datasets up take a
+// selector: a plain name, or { name, workspace } to search that workspace.
+// Each dataset records the month its seasons start in (seasonStartMonth, see
+// schema.seasonFor); the audit checks Season against Date with it.
+//
+// Uploads from before workspaces existed have no workspace; they are only
+// visible without a workspace (the CLI scripts) until their uploader's first
+// workspace adopts them.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+const DATASETS_DIR = path.join(DATA_DIR, 'datasets');
+const INDEX_PATH = path.join(DATASETS_DIR, 'index.json');
+
+const SAMPLE_DATASET = {
+  name: 'sample',
+  file: path.join(__dirname, '..', '..', 'sample_data.csv'),
+  seasonStartMonth: DEFAULT_SEASON_START_MONTH,
+  builtIn: true
+};
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+function isValidName(name) {
+  return NAME_PATTERN.test(name) && name !== SAMPLE_DATASET.name;
+}
+
+function readIndex() {
+  try {
+    return JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Error reading dataset index:', err);
+    }
+    return [];
+  }
+}
+
+function writeIndex(entries) {
+  fs.mkdirSync(DATASETS_DIR, { recursive: true });
+  fs.writeFileSync(INDEX_PATH, JSON.stringify(entries, null, 2));
+}
+
+function toPublic(entry) {
+  const { file, ...meta } = entry;
+  return meta;
+}
+
+function parseSelector(selector) {
+  if (selector && typeof selector === 'object') {
+    return { name: selector.name, workspace: selector.workspace || null };
+  }
+  return { name: selector, workspace: null };
+}
+
+// Datasets stored before seasonStartMonth existed use the default
+function seasonStartMonthOf(dataset) {
+  return (dataset && dataset.seasonStartMonth) || DEFAULT_SEASON_START_MONTH;
+}
+
+// Human-readable form of a selector for error messages
+function describeSelector(selector) {
+  return parseSelector(selector).name || 'default';
+}
+
+// The workspace's own uploads; without a workspace, the pre-workspace ones
+function visibleEntries(workspace) {
+  return readIndex().filter(item => (item.workspace || null) === (workspace || null));
+}
+
+function listDatasets(workspace = null) {
+  const seen = new Set();
+  return [SAMPLE_DATASET, ...visibleEntries(workspace)]
+    .filter(entry => !seen.has(entry.name) && seen.add(entry.name))
+    .map(toPublic);
+}
+
+function getDataset(name, workspace = null) {
+  if (name === SAMPLE_DATASET.name) return SAMPLE_DATASET;
+  const entry = visibleEntries(workspace).find(item => item.name === name);
+  return entry ? { ...entry, file: path.join(DATASETS_DIR, entry.file) } : null;
+}
+
+// Picks the requested dataset, or the default one when no name is given:
+// DEFAULT_DATASET if configured, else the latest upload, else the latest
+// dataset started by live logging, else the sample file.
+function resolveDataset(selector) {
+  const { name, workspace } = parseSelector(selector);
+  if (name) return getDataset(normalizeName(name), workspace);
+  if (process.env.DEFAULT_DATASET) return getDataset(process.env.DEFAULT_DATASET, workspace);
+  const uploads = visibleEntries(workspace).sort((a, b) => Boolean(a.live) - Boolean(b.live) || b.uploadedAt.localeCompare(a.uploadedAt));
+  return uploads.length ? getDataset(uploads[0].name, workspace) : SAMPLE_DATASET;
+}
+
+function escapeCSV(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of a resolved dataset as { column: text } objects, the shape saveDataset
+// takes, so callers can edit a dataset and store it again.
+function readRows(dataset) {
+  const rows = csvParse.parse(fs.readFileSync(dataset.file, 'utf8'), {
+    // The sample file leaves the ID header blank
+    columns: header => header.map((name, index) => (index === 0 && name.trim() === '' ? 'ID' : name.trim())),
+    skip_empty_lines: true,
+    trim: true,
+    bom: true,
+  });
+  // Files stored before the Team or player columns existed get their defaults
+  return rows.map(row => ({ ...OPTIONAL_COLUMNS, ...row }));
+}
+
+// Stores already-validated rows under the given name, replacing any previous
+// upload with the same name in the same workspace. A replaced upload keeps its
+// season start month unless a new one is given. live: the rows were logged
+// from the touchline. Such writes keep the previous uploadedAt, so logging
+// never makes a dataset the latest upload, and a dataset they create is marked
+// live and only becomes the default when the workspace has no real upload.
+function saveDataset(name, rows, { uploadedBy = null, workspace = null, seasonStartMonth = null, live = false } = {}) {
+  const lines = [COLUMNS.map(escapeCSV).join(',')];
+  rows.forEach(row => {
+    lines.push(COLUMNS.map(column => escapeCSV(row[column])).join(','));
+  });
+
+  const file = workspace ? `${workspace}/${name}.csv` : `${name}.csv`;
+  fs.mkdirSync(path.dirname(path.join(DATASETS_DIR, file)), { recursive: true });
+  fs.writeFileSync(path.join(DATASETS_DIR, file), lines.join('\n') + '\n');
+
+  const isSame = item => item.name === name && (item.workspace || null) === workspace;
+  const entries = readIndex();
+  const previous = entries.find(isSame);
+  const entry = {
+    name,
+    workspace,
+    file,
+    rowCount: rows.length,
+    gameCount: new Set(rows.map(row => row['Game ID'])).size,
+    seasonStartMonth: seasonStartMonth || seasonStartMonthOf(previous),
+    uploadedAt: live && previous ? previous.uploadedAt : new Date().toISOString(),
+    uploadedBy
+  };
+  if (live && (!previous || previous.live)) entry.live = true;
+  const kept = entries.filter(item => !isSame(item));
+  kept.push(entry);
+  writeIndex(kept);
+
+  return toPublic(entry);
+}
+
+// Uploads from before workspaces existed carry no workspace
+function hasLegacyDatasets(userId) {
+  return readIndex().some(item => !item.workspace && item.uploadedBy === userId);
+}
+
+// Moves the user's uploads from before workspaces existed into their personal
+// workspace, like adoptLegacyHistory does for saved analyses. The files stay
+// where they are; only the index entries change.
+function adoptLegacyDatasets(userId, workspace) {
+  const entries = readIndex();
+  const taken = new Set(entries.filter(item => item.workspace === workspace).map(item => item.name));
+  const adopted = entries.filter(item => !item.workspace && item.uploadedBy === userId && !taken.has(item.name));
+  if (!adopted.length) return 0;
+  adopted.forEach(item => {
+    item.workspace = workspace;
+  });
+  writeIndex(entries);
+  return adopted.length;
+}
+
+module.exports = {
+  DATA_DIR,
+  normalizeName,
+  isValidName,
+  describeSelector,
+  seasonStartMonthOf,
+  listDatasets,
+  getDataset,
+  resolveDataset,
+  readRows,
+  saveDataset,
+  hasLegacyDatasets,
+  adoptLegacyDatasets
+};
@@ -0,0 +1,189 @@
+const { ENUMS } = require('./schema');
+const { isGoal } = require('./match-data');
+const { aggregate } = require('./aggregate');
+const { rollingGames } = require('./trends');
+const { twoProportionTest } = require('./stats');
+const { factList } = require('./grounding');
+
+// Pre-match dossier on one opponent: our record against them overall and by
+// season, which of our play types, locations and assist types worked or
+// failed against them compared with every other opponent, when we scored,
+// and recent form. dossierFacts turns it into numbered facts for a grounded
+// LLM narrative.
+
+const RECORD_METRICS = ['games', 'plays', 'shots', 'goals', 'xgSum', 'conversionRate', 'xgPerShot', 'successRate', 'avgWinImpact'];
+const BREAKDOWNS = { playType: 'Play type', location: 'Location', assistType: 'Assist type' };
+const BREAKDOWN_METRICS = ['plays', 'shots', 'goals', 'successRate', 'conversionRate', 'xgPerShot'];
+// A value "worked" or "failed" when its success rate against the opponent is
+// this many points above or below ours against everyone else, over enough plays
+const VERDICT_MARGIN = 10;
+const MIN_PLAYS = 3;
+const TIME_BUCKETS = [[1, 15], [16, 30], [31, 45], [46, 60], [61, 75], [76, 90]];
+
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+}
+
+const perGame = row => ({
+  ...row,
+  goalsPerGame: row.games ? row.goals / row.games : 0,
+  xgPerGame: row.games ? row.xgSum / row.games : 0
+});
+
+function record(plays) {
+  return perGame(aggregate(plays, { metrics: RECORD_METRICS })[0]);
+}
+
+// One row per value of the field, best against the opponent first
+function breakdown(opponentPlays, otherPlays, field) {
+  const successes = plays => plays.filter(play => play.success).length;
+  return aggregate(opponentPlays, { groupBy: [field], metrics: BREAKDOWN_METRICS })
+    .filter(row => row[field] !== null)
+    .map(({ [field]: value, ...row }) => {
+      const mine = opponentPlays.filter(play => play[field] === value);
+      const others = otherPlays.filter(play => play[field] === value);
+      const test = twoProportionTest(successes(others), others.length, successes(mine), mine.length);
+      const difference = test.diff * 100;
+      let verdict = 'as usual';
+      if (mine.length < MIN_PLAYS || !others.length) verdict = 'too few plays';
+      else if (difference >= VERDICT_MARGIN) verdict = 'worked';
+      else if (difference <= -VERDICT_MARGIN) verdict = 'failed';
+      return {
+        value,
+        ...row,
+        otherPlays: others.length,
+        otherSuccessRate: test.p1 * 100,
+        difference,
+        pValue: test.pValue,
+        verdict
+      };
+    })
+    .sort((a, b) => b.difference - a.difference);
+}
+
+function scoringTimes(opponentPlays) {
+  const goals = opponentPlays.filter(isGoal).filter(play => play.minute !== null);
+  const share = count => (goals.length ? (count / goals.length) * 100 : 0);
+  return {
+    goals: goals.length,
+    buckets: TIME_BUCKETS.map(([from, to]) => {
+      const count = goals.filter(play => play.minute >= from && play.minute <= to).length;
+      return { from, to, goals: count, share: share(count) };
+    }),
+    phases: ENUMS['Phase of Match'].map(phase => {
+      const count = goals.filter(play => play.phaseOfMatch === phase).length;
+      return { phase, goals: count, share: share(count) };
+    })
+  };
+}
+
+// Least-squares change per game, null with fewer than two games
+function slope(values) {
+  if (values.length < 2) return null;
+  const meanX = (values.length - 1) / 2;
+  const meanY = values.reduce((total, value) => total + value, 0) / values.length;
+  let covariance = 0;
+  let spread = 0;
+  values.forEach((value, index) => {
+    covariance += (index - meanX) * (value - meanY);
+    spread += (index - meanX) ** 2;
+  });
+  return covariance / spread;
+}
+
+const trend = games => ({
+  goals: slope(games.map(game => game.goals)),
+  xG: slope(games.map(game => game.xG))
+});
+
+// plays are our plays (already narrowed to a squad or seasons); the dossier
+// compares those against the opponent with those against everyone else.
+// window is the rolling average length in games, recent how many of our
+// latest games make up the recent form.
+function buildDossier(plays, opponent, { window = 3, recent = 10 } = {}) {
+  const opponentPlays = plays.filter(play => play.opponent === opponent);
+  if (!opponentPlays.length) {
+    throw notFound(`No plays against ${opponent}`);
+  }
+  const otherPlays = plays.filter(play => play.opponent !== opponent);
+
+  const vsOpponent = rollingGames(opponentPlays, window);
+  const lastGames = rollingGames(plays, window).slice(-recent);
+  const breakdowns = {};
+  Object.keys(BREAKDOWNS).forEach(field => {
+    breakdowns[field] = breakdown(opponentPlays, otherPlays, field);
+  });
+
+  return {
+    opponent,
+    lastMet: vsOpponent[vsOpponent.length - 1].date,
+    record: {
+      vsOpponent: record(opponentPlays),
+      vsOthers: otherPlays.length ? record(otherPlays) : null
+    },
+    bySeason: aggregate(opponentPlays, { groupBy: ['season'], metrics: RECORD_METRICS }).map(perGame),
+    breakdowns,
+    scoringTimes: scoringTimes(opponentPlays),
+    recentForm: {
+      window,
+      recent,
+      vsOpponent,
+      lastGames,
+      trend: { vsOpponent: trend(vsOpponent), lastGames: trend(lastGames) }
+    }
+  };
+}
+
+// The dossier's numbers as grounding facts, for the narrative prompt. Keys of
+// the breakdown facts start with "worked:" or "failed:".
+function dossierFacts(dossier) {
+  const { facts, add } = factList();
+  const { opponent } = dossier;
+  const { vsOpponent, vsOthers } = dossier.record;
+
+  add('games', `Games against ${opponent}`, vsOpponent.games, 'games');
+  add('goalsPerGame', `Our goals per game against ${opponent}`, vsOpponent.goalsPerGame, 'goals', 2);
+  add('xgPerGame', `Our xG per game against ${opponent}`, vsOpponent.xgPerGame, 'xG', 2);
+  add('conversionRate', `Our conversion rate (goals per shot) against ${opponent}`, vsOpponent.conversionRate, '%', 1);
+  add('successRate', `Our successful plays against ${opponent}`, vsOpponent.successRate, '%', 1);
+  if (vsOthers) {
+    add('otherGoalsPerGame', 'Our goals per game against every other opponent', vsOthers.goalsPerGame, 'goals', 2);
+    add('otherConversionRate', 'Our conversion rate against every other opponent', vsOthers.conversionRate, '%', 1);
+  }
+
+  dossier.bySeason.forEach(season => {
+    add(`season:${season.season}`, `Our goals per game against ${opponent} in season ${season.season} (${season.games} games)`, season.goalsPerGame, 'goals', 2);
+  });
+
+  Object.keys(BREAKDOWNS).forEach(field => {
+    dossier.breakdowns[field]
+      .filter(row => row.verdict === 'worked' || row.verdict === 'failed')
+      .forEach(row => {
+        add(
+          `${row.verdict}:${field}:${row.value}`,
+          `${BREAKDOWNS[field]} ${row.value}: success rate against ${opponent} over ${row.plays} plays (${row.otherSuccessRate.toFixed(1)}% against other opponents)`,
+          row.successRate,
+          '%',
+          1
+        );
+      });
+  });
+
+  dossier.scoringTimes.buckets.filter(bucket => bucket.goals).forEach(bucket => {
+    add(`minutes:${bucket.from}`, `Share of our goals against ${opponent} scored in minutes ${bucket.from}–${bucket.to}`, bucket.share, '%', 1);
+  });
+
+  const { recent, trend: trends } = dossier.recentForm;
+  if (trends.vsOpponent.goals !== null) {
+    add('trendGoalsVsOpponent', `Trend in our goals per game across our games against ${opponent} (change per game)`, trends.vsOpponent.goals, 'goals', 2);
+  }
+  if (trends.lastGames.goals !== null) {
+    add('trendGoals', `Trend in our goals per game over our last ${recent} games (change per game)`, trends.lastGames.goals, 'goals', 2);
+    add('trendXG', `Trend in our xG per game over our last ${recent} games (change per game)`, trends.lastGames.xG, 'xG', 2);
+  }
+  return facts;
+}
+
+module.exports = { BREAKDOWNS, VERDICT_MARGIN, buildDossier, dossierFacts };
@@ -0,0 +1,65 @@
+const { loadPlays } = require('./match-data');
+const { matchScenario } = require('./scenario');
+const { searchIndex } = require('./play-index');
+const { listRosters } = require('./roster-store');
+const { playersInQuery, playerProfile } = require('./players');
+
+const yesNo = value => (value ? 'Yes' : 'No');
+
+// Evidence rows shown in a prompt
+const PROMPT_ROWS = 5;
+
+// One prompt line per play. Game IDs are only shown where the prompt allows citing them.
+function describePlay(play, { includeGameId = false } = {}) {
+  const parts = [
+    `Team: ${play.team}`,
+    `Opponent: ${play.opponent}`,
+    `Minute: ${play.minute}`,
+    `Play Type: ${play.playType}`,
+    `Shot Attempt: ${yesNo(play.shotAttempt)}`,
+    `Shot Outcome: ${play.shotOutcome || ''}`,
+    `xG: ${play.xG}`,
+    `Location: ${play.location}`,
+    `Outcome: ${play.outcome}`
+  ];
+  if (play.gameState) parts.push(`Game State: ${play.gameState} ${play.scoreFor}-${play.scoreAgainst}`);
+  if (includeGameId) parts.unshift(`Game ID: ${play.gameId}`);
+  if (play.matchType === 'similar') {
+    parts.push(`Similar play (${Math.round(play.similarity * 100)}% match)`);
+  }
+  return `- ${parts.join(', ')}`;
+}
+
+// Retrieval shared by the researcher, model and conclusion endpoints: exact and
+// nearest-neighbour matching for a structured scenario, the play index otherwise.
+function findRelevantPlays(datasetName, query, scenario = null) {
+  const plays = loadPlays(datasetName);
+  return scenario ? matchScenario(plays, scenario) : searchIndex(plays, query);
+}
+
+// Profiles of the rostered players a question names. datasetName is a
+// selector with the workspace, whose rosters are searched.
+function findNamedPlayers(datasetName, query) {
+  const rosters = listRosters(datasetName.workspace);
+  const ids = playersInQuery(query, rosters);
+  if (!ids.length) return [];
+  const plays = loadPlays(datasetName);
+  return ids.map(id => playerProfile(plays, rosters, id));
+}
+
+function formatRelevantPlays(plays, { limit = PROMPT_ROWS, includeGameId = false } = {}) {
+  if (!plays.length) {
+    return 'No directly matching rows found for this query.';
+  }
+  const lines = plays.slice(0, limit).map(play => describePlay(play, { includeGameId }));
+  let header = 'Relevant match data rows:';
+  if (plays[0].matchType) {
+    const exact = plays.filter(play => play.matchType === 'exact').length;
+    header = exact
+      ? `Relevant match data rows (${exact} plays match the scenario exactly):`
+      : 'No play matches the scenario exactly. Closest historical plays:';
+  }
+  return `${header}\n${lines.join('\n')}\n`;
+}
+
+module.exports = { PROMPT_ROWS, describePlay, findRelevantPlays, findNamedPlayers, formatRelevantPlays };
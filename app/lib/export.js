@@ -0,0 +1,71 @@
+const { FIELDS } = require('./match-data');
+const { badRequest } = require('./play-query');
+
+// CSV and JSON downloads of plays, aggregate tables and saved analyses.
+
+const FORMATS = ['csv', 'json'];
+
+function parseFormat(value) {
+  const format = String(value || 'csv').toLowerCase();
+  if (!FORMATS.includes(format)) {
+    throw badRequest(`format must be one of ${FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+// RFC 4180 quoting: fields with commas, quotes or line breaks are quoted
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: keys of the row objects, or { key, label } for a different header
+function toCSV(columns, rows) {
+  const specs = columns.map(column => (typeof column === 'string' ? { key: column, label: column } : column));
+  const lines = [specs.map(spec => csvCell(spec.label)).join(',')];
+  rows.forEach(row => {
+    lines.push(specs.map(spec => csvCell(row[spec.key])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Plays go out under the dataset's own column names and Yes/No values, so an
+// exported file can be uploaded again as a dataset.
+function playColumns() {
+  return Object.keys(FIELDS).map(column => ({ key: FIELDS[column].key, label: column }));
+}
+
+function toCSVValues(play) {
+  const row = {};
+  Object.values(FIELDS).forEach(({ key, type }) => {
+    const value = play[key];
+    row[key] = type === 'boolean' && value !== null ? (value ? 'Yes' : 'No') : value;
+  });
+  return row;
+}
+
+function playsToCSV(plays) {
+  return toCSV(playColumns(), plays.map(toCSVValues));
+}
+
+// One row per saved analysis with its answer texts
+const ANALYSIS_COLUMNS = ['id', 'name', 'query', 'dataset', 'createdBy', 'createdAt', 'researcher', 'model', 'xG', 'conclusion'];
+
+function analysisRow(analysis) {
+  const text = step => (analysis[step] ? analysis[step].text : null);
+  const prediction = analysis.model && analysis.model.prediction;
+  return {
+    ...analysis,
+    researcher: text('researcher'),
+    model: text('model'),
+    xG: prediction ? prediction.xG : null,
+    conclusion: text('conclusion')
+  };
+}
+
+function analysesToCSV(analyses) {
+  return toCSV(ANALYSIS_COLUMNS, analyses.map(analysisRow));
+}
+
+module.exports = { FORMATS, parseFormat, toCSV, playsToCSV, analysesToCSV };
@@ -0,0 +1,236 @@
+const { isGoal, GAME_STATES } = require('./match-data');
+const { PHASES, phaseFor } = require('./schema');
+
+// Evidence-grounded answers. The statistics for the retrieved plays are
+// computed here and put into the prompt as numbered facts ([F1], [F2], ...).
+// The model answers with JSON that cites those IDs, and every number in the
+// answer is checked against the facts, the evidence rows and the question.
+// Numbers nothing backs are flagged, not silently passed on.
+
+// Numeric play fields the evidence rows show, so quoting a row is allowed
+const EVIDENCE_FIELDS = ['gameId', 'season', 'minute', 'shotDistance', 'xG', 'numberOfPasses', 'scoreFor', 'scoreAgainst'];
+
+const mean = values => values.reduce((total, value) => total + value, 0) / values.length;
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Facts describe the exact matches when there are any, otherwise every
+// retrieved play (the nearest neighbours, or the keyword search results).
+function factBasis(plays) {
+  const exact = plays.filter(play => play.matchType === 'exact');
+  if (exact.length) return { plays: exact, label: 'Plays matching the scenario exactly' };
+  if (plays.length && plays[0].matchType) return { plays, label: 'Closest comparable plays (no exact match)' };
+  return { plays, label: 'Plays matching the query' };
+}
+
+// facts is [{ id, key, label, value, unit, display }] in prompt order and
+// add(key, label, value, unit, digits) appends one. unit is '%', 'xG',
+// 'minute' or a count noun; display is the value as it should be quoted.
+function factList() {
+  const facts = [];
+  const add = (key, label, value, unit, digits = 0) => {
+    const rounded = round(value, digits);
+    const text = digits ? rounded.toFixed(digits) : String(rounded);
+    const display = unit === '%' ? `${text}%` : unit === 'xG' ? `${text} xG` : unit === 'minute' ? `minute ${text}` : `${text} ${unit}`;
+    facts.push({ id: `F${facts.length + 1}`, key, label, value: rounded, unit, display });
+  };
+  return { facts, add };
+}
+
+// A player profile (see players.js) for a player the question names
+function addPlayerFacts(add, player) {
+  const key = `player:${player.id}`;
+  add(`${key}:shots`, `${player.name}: shots`, player.shots, 'shots');
+  add(`${key}:goals`, `${player.name}: goals`, player.goals, 'goals');
+  if (player.shots) {
+    add(`${key}:xG`, `${player.name}: total xG of their shots`, player.xG, 'xG', 2);
+    add(`${key}:goalsMinusXG`, `${player.name}: goals minus xG`, player.goalsMinusXG, 'goals', 2);
+  }
+  add(`${key}:assists`, `${player.name}: assists`, player.assists, 'assists');
+  add(`${key}:keyPasses`, `${player.name}: passes that led to a shot`, player.keyPasses, 'passes');
+  if (player.involvementsPer90 !== null) {
+    add(`${key}:involvementsPer90`, `${player.name}: shots and assists per 90 minutes`, player.involvementsPer90, 'plays', 2);
+  }
+  player.favouriteLocations.forEach(location => {
+    add(`${key}:location:${location.location}`, `${player.name}: share of their shots and assists from ${location.location}`, location.share, '%', 1);
+  });
+}
+
+// The statistics of the retrieved plays (and the xG model's estimate, and the
+// profiles of players named in the question)
+function computeFacts(retrieved = [], { prediction = null, players = [] } = {}) {
+  const { facts, add } = factList();
+  const { plays, label } = factBasis(retrieved);
+  add('plays', label, plays.length, 'plays');
+
+  if (plays.length) {
+    const shots = plays.filter(play => play.shotAttempt);
+    const goals = plays.filter(isGoal).length;
+    const xgShots = shots.filter(play => play.xG !== null);
+    const minutes = plays.map(play => play.minute).filter(minute => minute !== null);
+
+    add('games', 'Distinct games among them', new Set(plays.map(play => `${play.team}:${play.gameId}`)).size, 'games');
+    add('shots', 'Shots among them', shots.length, 'shots');
+    add('goals', 'Goals among them', goals, 'goals');
+    if (shots.length) add('goalRate', 'Goal rate (goals per shot)', (goals / shots.length) * 100, '%', 1);
+    add('successRate', 'Successful plays', (plays.filter(play => play.success).length / plays.length) * 100, '%', 1);
+    if (xgShots.length) add('meanXG', 'Mean xG per shot', mean(xgShots.map(play => play.xG)), 'xG', 2);
+
+    if (minutes.length) {
+      add('minuteMedian', 'Median minute', median(minutes), 'minute');
+      add('minuteFirst', 'Earliest minute', Math.min(...minutes), 'minute');
+      add('minuteLast', 'Latest minute', Math.max(...minutes), 'minute');
+      PHASES.forEach(phase => {
+        const count = minutes.filter(minute => phaseFor(minute) === phase.name).length;
+        add(`phase${phase.name}`, `Share of plays in minutes ${phase.from}–${phase.to} (${phase.name})`, (count / minutes.length) * 100, '%', 1);
+      });
+    }
+
+    // Only plays from games with recorded opponent goals have a game state
+    const withState = plays.filter(play => play.gameState);
+    if (withState.length) {
+      GAME_STATES.forEach(state => {
+        const inState = withState.filter(play => play.gameState === state);
+        add(`state:${state}`, `Share of plays with a known score played while ${state}`, (inState.length / withState.length) * 100, '%', 1);
+        if (inState.length) add(`state:${state}:goals`, `Goals scored from plays while ${state}`, inState.filter(isGoal).length, 'goals');
+      });
+    }
+  }
+
+  if (prediction) {
+    add('modelXG', 'Local xG model estimate for the scenario', prediction.xG, 'xG', 2);
+    add('modelCILow', 'Lower bound of the model\'s 95% interval', prediction.ci[0], 'xG', 2);
+    add('modelCIHigh', 'Upper bound of the model\'s 95% interval', prediction.ci[1], 'xG', 2);
+  }
+  players.forEach(player => addPlayerFacts(add, player));
+  return facts;
+}
+
+function formatFacts(facts) {
+  return `Computed facts for this scenario (the only statistics you may quote):\n${facts.map(fact => `[${fact.id}] ${fact.label}: ${fact.display}`).join('\n')}`;
+}
+
+// Appended to every prompt that has facts
+const ANSWER_FORMAT = `Answer format: reply with one JSON object and nothing else:
+{"answer": "<your full answer in markdown>", "citations": [{"factId": "F1", "value": <the number as you quoted it>}]}
+Every statistic in the answer must come from the computed facts and be followed by its ID in square brackets, e.g. "4 goals from 17 shots [F4][F3]". Minutes, xG values and distances of the individual plays listed above may be quoted as they are. Do not state any other numbers, estimates or percentages.`;
+
+// The model's JSON, tolerating code fences and text around it. Anything that is
+// not the expected object is kept as a plain-text answer.
+function parseGroundedAnswer(raw) {
+  const text = String(raw || '').trim();
+  const candidates = [text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '')];
+  if (text.indexOf('{') !== -1) candidates.push(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed.answer === 'string') {
+        return { answer: parsed.answer, citations: Array.isArray(parsed.citations) ? parsed.citations : [], format: 'json' };
+      }
+    } catch (err) {
+      // Not JSON; try the next candidate
+    }
+  }
+  return { answer: text, citations: [], format: 'text' };
+}
+
+// Numbers as written in a text, skipping citation IDs, dates, list markers and
+// digits that belong to a word (U19). Units and ordinals may follow (20m, 75th).
+function numbersIn(text) {
+  const cleaned = String(text || '')
+    .replace(/\[F\d+\]/g, ' ')
+    .replace(/\b\d{4}-\d{2}-\d{2}\b/g, ' ')
+    .replace(/^(\s*)\d+[.)]\s/gm, '$1 ');
+  const numbers = [];
+  const pattern = /\d+(?:\.\d+)?/g;
+  let match;
+  while ((match = pattern.exec(cleaned))) {
+    const before = cleaned[match.index - 1] || ' ';
+    const after = cleaned.slice(match.index + match[0].length);
+    if (/[A-Za-z_.]/.test(before)) continue;
+    if (/^[A-Za-z]/.test(after) && !/^(m|st|nd|rd|th|v|x|s)\b/i.test(after)) continue;
+    numbers.push({
+      literal: match[0],
+      value: Number(match[0]),
+      excerpt: cleaned.slice(Math.max(0, match.index - 40), match.index + match[0].length + 20).replace(/\s+/g, ' ').trim()
+    });
+  }
+  return numbers;
+}
+
+// A quoted number is backed by a value it could be a rounding of. Signs are
+// not part of a quoted number ("down 0.05 a game" quotes -0.05).
+function backs(value, { literal, value: quoted }) {
+  const decimals = (literal.split('.')[1] || '').length;
+  return Math.abs(Math.abs(value) - quoted) <= 0.5 * 10 ** -decimals + 1e-9;
+}
+
+// The numbers of a checked answer ({ text, grounding }) that its own check
+// backed. Flagged numbers stay flagged when a later answer repeats them.
+function backedNumbers({ text, grounding }) {
+  const flagged = new Set(grounding.unsupported.map(number => number.value));
+  return numbersIn(text).filter(number => !flagged.has(number.literal)).map(number => number.value);
+}
+
+// context: { query, plays, sources } where sources are checked answers
+// ({ text, grounding }) fed to this one, e.g. the researcher and model answers
+// behind a conclusion
+function checkGrounding(answer, citations, facts, { query = '', plays = [], sources = [] } = {}) {
+  const factsById = new Map(facts.map(fact => [fact.id, fact]));
+  const allowed = [
+    ...facts.map(fact => fact.value),
+    ...facts.flatMap(fact => numbersIn(fact.label).map(number => number.value)),
+    ...numbersIn(query).map(number => number.value),
+    ...sources.flatMap(backedNumbers),
+    ...plays.flatMap(play => EVIDENCE_FIELDS.map(field => play[field]).filter(value => typeof value === 'number'))
+  ];
+
+  const seen = new Set();
+  const unsupported = numbersIn(answer)
+    .filter(number => !allowed.some(value => backs(value, number)))
+    .filter(number => {
+      const key = `${number.literal}|${number.excerpt}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(({ literal, excerpt }) => ({ value: literal, excerpt }));
+
+  const checked = citations
+    .filter(citation => citation && citation.factId)
+    .map(citation => {
+      const fact = factsById.get(String(citation.factId));
+      const value = citation.value === undefined || citation.value === null ? null : Number(citation.value);
+      const matches = value === null || (fact && numbersIn(String(citation.value)).every(number => backs(fact.value, number)));
+      return { factId: String(citation.factId), value, valid: Boolean(fact) && Boolean(matches) };
+    });
+
+  const cited = new Set([...(String(answer).match(/\[F\d+\]/g) || []).map(marker => marker.slice(1, -1)), ...checked.map(citation => citation.factId)]);
+  const unknownFactIds = [...cited].filter(id => !factsById.has(id));
+
+  return {
+    grounded: !unsupported.length && !unknownFactIds.length && checked.every(citation => citation.valid),
+    citedFactIds: [...cited].filter(id => factsById.has(id)),
+    citations: checked,
+    unsupported,
+    unknownFactIds
+  };
+}
+
+// Raw model output -> { text, grounding }: the answer text the pages show and
+// the facts, citations and flagged numbers behind it
+function groundAnswer(raw, facts, context = {}) {
+  const { answer, citations, format } = parseGroundedAnswer(raw);
+  return {
+    text: answer,
+    grounding: { format, facts, ...checkGrounding(answer, citations, facts, context) }
+  };
+}
+
+module.exports = { ANSWER_FORMAT, factList, computeFacts, formatFacts, parseGroundedAnswer, numbersIn, checkGrounding, groundAnswer };
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, resolveDataset } = require('./dataset-store');
+
+// Every question a signed-in user asks is kept as an "analysis": the query and
+// scenario, the evidence rows that were retrieved, and the researcher, model and
+// conclusion answers as each page completes. Analyses belong to a workspace and
+// are shared by its members: one JSON file per workspace under DATA_DIR/history.
+// Only the author, or a member who can manage the workspace, may rename or
+// delete one.
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+
+// Oldest analyses are dropped beyond this many per workspace
+const MAX_ANALYSES = 500;
+// Evidence rows kept per analysis (the prompts only ever show the first few)
+const MAX_EVIDENCE = 20;
+
+const STEPS = ['researcher', 'model', 'conclusion'];
+
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+}
+
+function forbidden(message) {
+  const error = new Error(message);
+  error.status = 403;
+  return error;
+}
+
+// Before workspaces, history files were keyed by the user id alone
+function historyFile(owner) {
+  // Ids are opaque strings; keep the file name safe whatever they contain
+  const key = crypto.createHash('sha256').update(String(owner)).digest('hex').slice(0, 32);
+  return path.join(HISTORY_DIR, `${key}.json`);
+}
+
+function workspaceFile(workspaceId) {
+  return historyFile(`workspace:${workspaceId}`);
+}
+
+function readFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Error reading analysis history:', err);
+    }
+    return [];
+  }
+}
+
+function readHistory(workspaceId) {
+  return readFile(workspaceFile(workspaceId));
+}
+
+function writeHistory(workspaceId, analyses) {
+  fs.mkdirSync(HISTORY_DIR, { recursive: true });
+  fs.writeFileSync(workspaceFile(workspaceId), JSON.stringify(analyses.slice(-MAX_ANALYSES), null, 2));
+}
+
+function hasLegacyHistory(userId) {
+  return fs.existsSync(historyFile(userId));
+}
+
+// Moves a user's pre-workspace history into their personal workspace
+function adoptLegacyHistory(userId, workspaceId) {
+  const legacy = historyFile(userId);
+  const analyses = readFile(legacy);
+  if (!analyses.length) return 0;
+  const adopted = analyses.map(analysis => ({ createdBy: userId, ...analysis }));
+  writeHistory(workspaceId, [...readHistory(workspaceId), ...adopted]);
+  fs.unlinkSync(legacy);
+  return adopted.length;
+}
+
+// List view: everything except the evidence rows and answer texts
+function toSummary(analysis) {
+  const summary = {
+    id: analysis.id,
+    name: analysis.name,
+    query: analysis.query,
+    scenario: analysis.scenario,
+    dataset: analysis.dataset,
+    createdBy: analysis.createdBy || null,
+    createdAt: analysis.createdAt,
+    updatedAt: analysis.updatedAt
+  };
+  STEPS.forEach(step => {
+    summary[step] = analysis[step] ? { provider: analysis[step].provider, model: analysis[step].model } : null;
+  });
+  return summary;
+}
+
+// Newest first
+function listAnalyses(workspaceId) {
+  return readHistory(workspaceId).reverse().map(toSummary);
+}
+
+function getAnalysis(workspaceId, id) {
+  const analysis = readHistory(workspaceId).find(item => item.id === id);
+  if (!analysis) throw notFound(`Analysis "${id}" not found`);
+  return analysis;
+}
+
+// Stores one step's answer. Without an analysisId, or with one that no longer
+// exists or that another member started, a new analysis is started from the
+// request's query and scenario: members never overwrite each other's answers.
+// step: researcher | model | conclusion
+// context: { query, scenario, dataset, evidence } as used to build the prompt
+// result: { text, provider, model, ...extra } e.g. the xG prediction
+function recordStep(workspaceId, userId, analysisId, step, { query, scenario = null, dataset, evidence = [] }, result) {
+  const analyses = readHistory(workspaceId);
+  const now = new Date().toISOString();
+  let analysis = analysisId && analyses.find(item => item.id === analysisId && item.createdBy === userId);
+
+  if (!analysis) {
+    analysis = {
+      id: crypto.randomUUID(),
+      name: query,
+      query,
+      scenario,
+      // The name the request resolved to, so a default-dataset question stays reproducible
+      dataset: (resolveDataset(dataset) || {}).name || null,
+      evidence: [],
+      createdBy: userId,
+      researcher: null,
+      model: null,
+      conclusion: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    analyses.push(analysis);
+  }
+
+  if (evidence.length && !analysis.evidence.length) {
+    analysis.evidence = evidence.slice(0, MAX_EVIDENCE);
+  }
+  analysis[step] = { ...result, createdAt: now };
+  analysis.updatedAt = now;
+
+  writeHistory(workspaceId, analyses);
+  return analysis;
+}
+
+// Records a step in the request's workspace and returns the analysis id.
+// Requests without a user or workspace are not kept, and failures are only logged: saving
+// history must never cost the user their answer.
+function recordForRequest(req, analysisId, step, context, result) {
+  if (!req.user || !req.workspace) return null;
+  try {
+    return recordStep(req.workspace.id, req.user.id, analysisId, step, context, result).id;
+  } catch (err) {
+    console.error('Error saving analysis history:', err);
+    return null;
+  }
+}
+
+// canManage: the member may edit analyses other members started
+function findEditable(analyses, id, userId, canManage) {
+  const analysis = analyses.find(item => item.id === id);
+  if (!analysis) throw notFound(`Analysis "${id}" not found`);
+  if (!canManage && analysis.createdBy !== userId) {
+    throw forbidden('Only the author or a workspace owner can change this analysis');
+  }
+  return analysis;
+}
+
+function renameAnalysis(workspaceId, id, name, { userId, canManage = false }) {
+  const analyses = readHistory(workspaceId);
+  const analysis = findEditable(analyses, id, userId, canManage);
+  analysis.name = name;
+  analysis.updatedAt = new Date().toISOString();
+  writeHistory(workspaceId, analyses);
+  return toSummary(analysis);
+}
+
+function deleteAnalysis(workspaceId, id, { userId, canManage = false }) {
+  const analyses = readHistory(workspaceId);
+  const analysis = findEditable(analyses, id, userId, canManage);
+  writeHistory(workspaceId, analyses.filter(item => item !== analysis));
+}
+
+module.exports = {
+  listAnalyses,
+  getAnalysis,
+  recordStep,
+  recordForRequest,
+  renameAnalysis,
+  deleteAnalysis,
+  hasLegacyHistory,
+  adoptLegacyHistory
+};
@@ -0,0 +1,180 @@
+const csvParse = require('csv-parse/sync');
+const { badRequest } = require('../play-query');
+const { toMetres } = require('./pitch');
+
+// Generic event CSVs with x/y coordinates, one row per event (Opta, Wyscout
+// and tracking-provider exports all come close). Headers are matched to fields
+// by the aliases below, case-insensitively; `columns` maps a field to any
+// other header. Coordinates are on a 100 x 100 pitch unless `pitch` says
+// otherwise, each team attacking toward the far end.
+
+const ALIASES = {
+  id: ['id', 'event_id', 'eventid'],
+  match: ['match', 'match_id', 'matchid', 'game', 'game_id', 'gameid'],
+  date: ['date', 'match_date'],
+  opponent: ['opponent'],
+  team: ['team', 'team_name', 'club'],
+  possession: ['possession', 'possession_id', 'sequence', 'sequence_id'],
+  period: ['period', 'half'],
+  minute: ['minute', 'min'],
+  second: ['second', 'sec'],
+  type: ['type', 'event', 'event_type', 'action'],
+  outcome: ['outcome', 'result'],
+  x: ['x', 'start_x', 'x_start', 'location_x'],
+  y: ['y', 'start_y', 'y_start', 'location_y'],
+  endX: ['end_x', 'x_end', 'endx', 'pass_end_x'],
+  endY: ['end_y', 'y_end', 'endy', 'pass_end_y'],
+  xG: ['xg', 'shot_xg'],
+  playerId: ['player_id', 'playerid'],
+  playerName: ['player', 'player_name'],
+  position: ['position', 'player_position'],
+  pattern: ['play_pattern', 'pattern', 'situation'],
+  assistType: ['assist_type', 'pass_type']
+};
+const REQUIRED = ['team', 'minute', 'type', 'x', 'y'];
+
+// Event types by keyword, first match wins (a goal kick is a pass)
+const TYPES = [
+  ['pass', /pass|cross|goal ?kick|throw|corner|free ?kick/],
+  ['shot', /shot|goal/],
+  ['dribble', /dribble|take.?on/],
+  ['carry', /carry|run/],
+  ['loss', /dispossess|miscontrol|loss|lost|turnover/]
+];
+const SHOT_OUTCOMES = [
+  ['Goal', /goal/],
+  ['Saved by GK', /save/],
+  ['On Target', /on target/],
+  ['Missed', /miss|wide|off|post|bar|block|wayward/]
+];
+const PATTERNS = [['corner', /corner/], ['free kick', /free ?kick/], ['counter', /counter/]];
+const ASSIST_TYPES = [['Cutback', /cut.?back/], ['Cross', /cross/], ['Through Ball', /through/]];
+const SUCCESS = /^(success(ful)?|complete(d)?|won|yes|true|1)$/;
+
+const DEFAULT_PITCH = { length: 100, width: 100, flipY: false };
+
+const keyword = (list, text) => (list.find(([, pattern]) => pattern.test(text)) || [null])[0];
+
+// field -> header, from `columns` first and then the aliases
+function resolveColumns(header, columns = {}) {
+  const mapping = {};
+  Object.entries(columns).forEach(([field, name]) => {
+    if (!ALIASES[field]) throw badRequest(`columns.${field} is not a field (use ${Object.keys(ALIASES).join(', ')})`);
+    if (!header.includes(name)) throw badRequest(`columns.${field}: the CSV has no "${name}" column`);
+    mapping[field] = name;
+  });
+  Object.entries(ALIASES).forEach(([field, aliases]) => {
+    if (mapping[field]) return;
+    const name = header.find(column => aliases.includes(column.trim().toLowerCase()));
+    if (name) mapping[field] = name;
+  });
+  const missing = REQUIRED.filter(field => !mapping[field]);
+  if (missing.length) {
+    throw badRequest(`The CSV has no ${missing.join(', ')} column (map it with columns.${missing[0]})`);
+  }
+  return mapping;
+}
+
+function parsePitch(pitch = {}) {
+  const merged = { ...DEFAULT_PITCH, ...pitch };
+  if (!(merged.length > 0) || !(merged.width > 0)) throw badRequest('pitch length and width must be positive numbers');
+  return { length: Number(merged.length), width: Number(merged.width), flipY: Boolean(merged.flipY) };
+}
+
+const numberOrNull = value => (value === undefined || value === '' ? null : Number(value));
+
+// One CSV row in the importers' common shape (see index.js), or null when
+// its type is not one the importers use
+function toEvent(get, index, pitch) {
+  const typeText = get('type').toLowerCase();
+  const type = keyword(TYPES, typeText);
+  if (!type) return null;
+  const outcome = get('outcome').toLowerCase();
+  const minute = Number(get('minute'));
+  const endX = numberOrNull(get('endX'));
+  const endY = numberOrNull(get('endY'));
+  const event = {
+    id: get('id') || String(index + 1),
+    minute,
+    time: minute * 60 + (Number(get('second')) || 0),
+    type,
+    point: toMetres(numberOrNull(get('x')), numberOrNull(get('y')), pitch),
+    end: endX === null || endY === null ? null : toMetres(endX, endY, pitch),
+    playerId: get('playerId') || null,
+    playerName: get('playerName') || null,
+    position: get('position') || null,
+    pattern: keyword(PATTERNS, `${get('pattern')} ${typeText}`.toLowerCase()),
+    lost: type === 'loss' || (outcome !== '' && !SUCCESS.test(outcome))
+  };
+  if (type === 'pass') {
+    event.assistType = keyword(ASSIST_TYPES, `${get('assistType')} ${typeText}`.toLowerCase());
+  } else if (type === 'shot') {
+    // A "goal" event is a scored shot whatever its outcome column says
+    event.shotOutcome = keyword(SHOT_OUTCOMES, /goal/.test(typeText) && !/shot/.test(typeText) ? 'goal' : outcome) || get('outcome');
+    event.xG = numberOrNull(get('xG'));
+    event.lost = false;
+  }
+  return event;
+}
+
+// input is the CSV text
+function parse(input, { team, opponent, date, columns, pitch }) {
+  if (!input || typeof input !== 'string' || input.trim() === '') throw badRequest('csv is required');
+  let records;
+  try {
+    records = csvParse.parse(input, { columns: true, skip_empty_lines: true, relax_column_count: true, trim: true, bom: true });
+  } catch (err) {
+    throw badRequest(`Could not parse CSV: ${err.message}`);
+  }
+  if (!records.length) throw badRequest('The CSV has no events');
+
+  const header = Object.keys(records[0]);
+  const mapping = resolveColumns(header, columns);
+  const scale = parsePitch(pitch);
+  const used = new Set(Object.values(mapping));
+
+  const teams = [...new Set(records.map(record => record[mapping.team]).filter(Boolean))];
+  const ignoredEventTypes = {};
+  const games = new Map();
+  // Without a possession column a possession runs until the other team or
+  // a new period has the ball
+  const sequence = new Map();
+
+  records.forEach((record, index) => {
+    const get = field => (mapping[field] ? String(record[mapping[field]] || '').trim() : '');
+    const matchId = get('match') || '1';
+    if (!games.has(matchId)) games.set(matchId, { date: null, opponent: null, teams: new Set(), events: [] });
+    const game = games.get(matchId);
+    game.teams.add(get('team'));
+    if (!game.date && get('date')) game.date = get('date').slice(0, 10);
+    if (!game.opponent && get('opponent')) game.opponent = get('opponent');
+
+    const owner = `${get('team')}:${get('period')}`;
+    const state = sequence.get(matchId) || { owner: null, count: 0 };
+    if (state.owner !== owner) Object.assign(state, { owner, count: state.count + 1 });
+    sequence.set(matchId, state);
+
+    const event = toEvent(get, index, scale);
+    if (!event) {
+      const name = get('type') || '(blank)';
+      ignoredEventTypes[name] = (ignoredEventTypes[name] || 0) + 1;
+      return;
+    }
+    if (get('team') !== team) return;
+    event.possession = `${get('period')}:${get('possession') || state.count}`;
+    game.events.push(event);
+  });
+
+  return {
+    teams,
+    games: [...games.values()].filter(game => game.teams.has(team)).map(game => ({
+      date: date || game.date,
+      opponent: opponent || game.opponent || [...game.teams].find(name => name && name !== team) || null,
+      events: game.events
+    })),
+    ignoredEventTypes,
+    unmappedColumns: header.filter(column => !used.has(column))
+  };
+}
+
+module.exports = { ALIASES, parse };
@@ -0,0 +1,261 @@
+const { MAX_XG, WIN_IMPACT, PLAYER_ID_PATTERN, phaseFor, seasonFor } = require('../schema');
+const { getModel, pickModelInputs, predict } = require('../xg-model');
+const { badRequest } = require('../play-query');
+const { FINAL_THIRD, HALF, locationFor, distanceToGoal } = require('./pitch');
+const statsbomb = require('./statsbomb');
+const eventCSV = require('./event-csv');
+
+// Converts open event data into Play2Win rows. Each adapter parses its format
+// into games of the squad's in-possession events:
+//   { id, possession, minute, time (seconds), type: pass|shot|carry|dribble|loss,
+//     point, end ({ x, y } in metres, see pitch.js), lost, playerId, playerName,
+//     position, pattern: corner|free kick|counter|null,
+//     assistType (passes), shotOutcome, xG, keyPassId (shots) }
+// and each possession that reached the opponent's half or ended in a shot
+// becomes one play. The rows still go through validateRecords like any CSV.
+
+const FORMATS = { 'statsbomb': statsbomb, 'event-csv': eventCSV };
+
+// Play2Win has no full-back or goalkeeper roles; defenders cover both
+const POSITIONS = [
+  ['Winger', /wing/i],
+  ['Striker', /forward|striker|attack/i],
+  ['Defender', /back|defen|keeper|goalkeeper/i],
+  ['Midfielder', /midfield/i]
+];
+const DEFAULT_INVOLVEMENT = 'Midfielder';
+// Possessions this quick count as quick attacks even when not counters
+const QUICK_ATTACK_SECONDS = 15;
+const MAX_MINUTE = 90;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const yesNo = value => (value ? 'Yes' : 'No');
+
+function involvementFor(position) {
+  return (POSITIONS.find(([, pattern]) => pattern.test(position || '')) || [null])[0];
+}
+
+// Counts values filled in by default or changed on the way in, by column
+function tally() {
+  const counts = {};
+  return {
+    counts,
+    add(key) {
+      counts[key] = (counts[key] || 0) + 1;
+    }
+  };
+}
+
+// Source player IDs that are not valid roster IDs are left out
+function playerIdOf(event, warnings) {
+  if (!event || !event.playerId) return '';
+  if (PLAYER_ID_PATTERN.test(event.playerId)) return event.playerId;
+  warnings.add('Player ID not usable as a roster ID left out');
+  return '';
+}
+
+// Estimates xG for shots the source gave none with the local xG model of the
+// dataset being imported into (selector), like live logging does. A new
+// dataset uses the workspace's default one; when that has no usable model,
+// the sample's. The model is only loaded once a shot needs it; modelDataset
+// then names the dataset it was trained on, for the import report.
+function createXGEstimator(selector) {
+  let model = null;
+  const estimator = {
+    modelDataset: null,
+    estimate(inputs) {
+      if (!model) {
+        try {
+          model = getModel(selector, { allowStale: true });
+        } catch (err) {
+          if (err.status !== 404 && err.status !== 422) throw err;
+          model = getModel('sample', { allowStale: true });
+        }
+        estimator.modelDataset = model.dataset;
+      }
+      const { xG } = predict(model, pickModelInputs(inputs));
+      return Math.min(MAX_XG, Math.round(xG * 100) / 100);
+    }
+  };
+  return estimator;
+}
+
+// The pass a shot came from: StatsBomb names it; sources without key passes
+// use the last completed pass before the shot
+function keyPassFor(events, shot) {
+  if (shot.keyPassId !== undefined) return events.find(event => event.id === shot.keyPassId) || null;
+  const before = events.slice(0, events.indexOf(shot));
+  return before.reverse().find(event => event.type === 'pass' && !event.lost) || null;
+}
+
+function playTypeFor(pattern, isShot, passes) {
+  if (pattern === 'corner') return 'Corner';
+  if (pattern === 'free kick') return 'Free Kick';
+  if (pattern === 'counter') return 'Counterattack';
+  if (isShot && passes < 2) return 'Shot Attempt';
+  return 'Pass Sequence';
+}
+
+function outcomeFor(shot, last) {
+  if (shot) {
+    if (shot.shotOutcome === 'Goal' || shot.shotOutcome === 'Saved by GK') return shot.shotOutcome;
+    return 'Turnover';
+  }
+  return last.lost ? 'Turnover' : 'Retained Possession';
+}
+
+// One play per possession, or null when the possession never threatened.
+// Minute and location are taken where the play ended: the shot, or else the
+// possession's last event.
+function buildPlay(events, game, { defaults, warnings, xg, seasonStartMonth }) {
+  const shots = events.filter(event => event.type === 'shot');
+  const points = events.flatMap(event => [event.point, event.end]).filter(Boolean);
+  if (!shots.length && !points.some(point => point.x >= HALF)) return null;
+
+  const first = events[0];
+  const last = events[events.length - 1];
+  const shot = shots[shots.length - 1] || null;
+  const passes = events.filter(event => event.type === 'pass').length;
+  const pattern = first.pattern;
+  const keyPass = shot ? keyPassFor(events, shot) : null;
+  const lead = shot || last;
+  const where = lead.point || points[points.length - 1] || null;
+
+  let minute = lead.minute;
+  if (minute > MAX_MINUTE) {
+    warnings.add(`Minute after ${MAX_MINUTE} recorded as ${MAX_MINUTE}`);
+    minute = MAX_MINUTE;
+  }
+
+  let playerInvolvement = involvementFor(lead.position);
+  if (!playerInvolvement) {
+    defaults.add('Player Involvement');
+    playerInvolvement = DEFAULT_INVOLVEMENT;
+  }
+
+  const playType = playTypeFor(pattern, Boolean(shot), passes);
+  const playContext = pattern === 'corner' || pattern === 'free kick' ? 'Set Piece' : pattern === 'counter' ? 'Fast Break' : 'Open Play';
+  const playSpeed = pattern === 'counter' || last.time - first.time <= QUICK_ATTACK_SECONDS ? 'Quick Attack' : 'Slow Build-up';
+  const assistType = (keyPass && keyPass.assistType) || 'None';
+  const location = where ? locationFor(where) : '';
+  const shotDistance = shot && shot.point ? distanceToGoal(shot.point) : null;
+  const outcome = outcomeFor(shot, last);
+  const shooterId = playerIdOf(shot, warnings);
+  const assisterId = playerIdOf(keyPass, warnings);
+
+  let xG = '0.00';
+  if (shot) {
+    let value = shot.xG;
+    if (value === null || value === undefined) {
+      defaults.add('xG');
+      value = xg.estimate({
+        shotDistance, location, playType, playContext, assistType, playSpeed,
+        numberOfPasses: passes, secondChance: shots.length > 1
+      });
+    } else if (value > MAX_XG) {
+      warnings.add(`xG above ${MAX_XG} capped`);
+      value = MAX_XG;
+    }
+    xG = value.toFixed(2);
+  }
+
+  return {
+    'Date': game.date,
+    'Season': String(seasonFor(game.date, seasonStartMonth)),
+    'Minute': String(minute),
+    'Opponent': game.opponent,
+    'Play Type': playType,
+    'Shot Attempt': yesNo(shot),
+    'Shot Distance': shotDistance === null ? '' : String(shotDistance),
+    'Shot Outcome': shot ? shot.shotOutcome || '' : '',
+    'xG': xG,
+    'Number of Passes': String(passes),
+    'Second Chance': yesNo(shots.length > 1),
+    'Play Context': playContext,
+    'Location on Field': location,
+    'Outcome': outcome,
+    'Success': yesNo(outcome !== 'Turnover'),
+    'Win Impact': WIN_IMPACT[outcome],
+    'Assist Type': assistType,
+    'Final Third Entry': yesNo(points.some(point => point.x >= FINAL_THIRD)),
+    'Play Speed': playSpeed,
+    'Player Involvement': playerInvolvement,
+    'Phase of Match': phaseFor(minute),
+    'Shooter ID': shooterId,
+    'Assister ID': assisterId !== shooterId ? assisterId : ''
+  };
+}
+
+function groupPossessions(events) {
+  const possessions = new Map();
+  events.forEach(event => {
+    if (!possessions.has(event.possession)) possessions.set(event.possession, []);
+    possessions.get(event.possession).push(event);
+  });
+  return [...possessions.values()];
+}
+
+// format: 'statsbomb' (input { events, match } or the events array) or
+// 'event-csv' (input the CSV text). The team's plays get IDs and game IDs
+// counting on from firstId and firstGameId; squad names the Team column when
+// it differs from the source's team name. xgModel is the dataset-store
+// selector whose xG model fills in missing xG (the sample's by default).
+// Returns { rows, report } with rows keyed by column, not yet validated.
+function importEvents(format, input, options = {}) {
+  const adapter = FORMATS[format];
+  if (!adapter) throw badRequest(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+  const team = typeof options.team === 'string' ? options.team.trim() : '';
+  if (!team) throw badRequest('team is required (the team name used in the event data)');
+  if (options.date && !DATE_PATTERN.test(options.date)) throw badRequest('date must be a YYYY-MM-DD date');
+
+  const parsed = adapter.parse(input, { ...options, team });
+  if (!parsed.teams.includes(team)) {
+    throw badRequest(`No events for team "${team}" (the data has ${parsed.teams.join(', ') || 'no teams'})`);
+  }
+
+  const squad = typeof options.squad === 'string' && options.squad.trim() ? options.squad.trim() : team;
+  const defaults = tally();
+  const warnings = tally();
+  const xg = createXGEstimator(options.xgModel || 'sample');
+  const players = new Map();
+  const rows = [];
+  let id = options.firstId || 1;
+  let possessionCount = 0;
+
+  parsed.games.forEach((game, index) => {
+    if (!game.date || !DATE_PATTERN.test(game.date)) throw badRequest('date is required (the match data has no YYYY-MM-DD date)');
+    if (!game.opponent) throw badRequest('opponent is required (the match data names no opponent)');
+    const gameId = (options.firstGameId || 1) + index;
+
+    game.events.forEach(event => {
+      if (event.playerId && PLAYER_ID_PATTERN.test(event.playerId) && !players.has(event.playerId)) {
+        players.set(event.playerId, { id: event.playerId, name: event.playerName, position: involvementFor(event.position) });
+      }
+    });
+    groupPossessions(game.events).forEach(events => {
+      possessionCount++;
+      const play = buildPlay(events, game, { defaults, warnings, xg, seasonStartMonth: options.seasonStartMonth });
+      if (!play) return;
+      rows.push({ 'ID': String(id++), 'Game ID': String(gameId), ...play, 'Team': squad });
+    });
+  });
+
+  return {
+    rows,
+    report: {
+      format,
+      games: parsed.games.length,
+      possessions: possessionCount,
+      plays: rows.length,
+      skipped: possessionCount - rows.length,
+      unmapped: { eventTypes: parsed.ignoredEventTypes, columns: parsed.unmappedColumns },
+      defaults: defaults.counts,
+      warnings: warnings.counts,
+      // The dataset whose xG model estimated missing xG, when any was missing
+      xgModel: xg.modelDataset,
+      players: [...players.values()]
+    }
+  };
+}
+
+module.exports = { FORMATS, importEvents };
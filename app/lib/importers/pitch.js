@@ -0,0 +1,51 @@
+// Pitch geometry for the importers. Adapters convert their coordinates to
+// metres on a 105 x 68 m pitch, attacking toward x = 105, with y measured from
+// the attacking side's left touchline. The zones match the dashboard's shot
+// map: wings are the lanes outside the penalty box, inside the box the three
+// sides split its width, and the bands beyond it run to 24 m ("close to box"),
+// 35 m ("outside box") and then midfield.
+
+const LENGTH = 105;
+const WIDTH = 68;
+const GOAL = { x: LENGTH, y: WIDTH / 2 };
+const BOX = { depth: 16.5, left: 13.84, right: 54.16 };
+const CLOSE_TO_BOX = 24;
+const OUTSIDE_BOX = 35;
+// Start of the final third
+const FINAL_THIRD = (LENGTH * 2) / 3;
+const HALF = LENGTH / 2;
+
+// Scales coordinates on a length x width pitch to metres; flipY when the
+// source measures y from the right touchline
+function toMetres(x, y, { length, width, flipY = false }) {
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+  const across = (y / width) * WIDTH;
+  return { x: (x / length) * LENGTH, y: flipY ? WIDTH - across : across };
+}
+
+function lane(y) {
+  if (y < BOX.left) return 'Left wing';
+  return y > BOX.right ? 'Right wing' : 'Central';
+}
+
+// The Location on Field value for a point. Central has no "close to box"
+// zone, so the band beyond the D counts as outside the box.
+function locationFor({ x, y }) {
+  const depth = LENGTH - x;
+  if (depth <= BOX.depth && y >= BOX.left && y <= BOX.right) {
+    const third = (BOX.right - BOX.left) / 3;
+    const side = y < BOX.left + third ? 'Left wing' : y > BOX.right - third ? 'Right wing' : 'Central';
+    return `${side} inside box`;
+  }
+  const side = lane(y);
+  if (depth <= CLOSE_TO_BOX) return side === 'Central' ? 'Central outside box' : `${side} close to box`;
+  if (depth <= OUTSIDE_BOX) return `${side} outside box`;
+  return `${side} midfield`;
+}
+
+// Metres to the centre of the goal, rounded like the Shot Distance column
+function distanceToGoal({ x, y }) {
+  return Math.round(Math.hypot(GOAL.x - x, GOAL.y - y));
+}
+
+module.exports = { LENGTH, WIDTH, FINAL_THIRD, HALF, toMetres, locationFor, distanceToGoal };
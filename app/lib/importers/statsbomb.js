@@ -0,0 +1,108 @@
+const { badRequest } = require('../play-query');
+const { toMetres } = require('./pitch');
+
+// StatsBomb open-data events (one match's events JSON, optionally with its
+// entry from the matches file). StatsBomb draws every team attacking toward
+// x = 120 on a 120 x 80 pitch, y from the attacking side's left.
+
+const PITCH = { length: 120, width: 80 };
+
+const EVENT_TYPES = {
+  'Pass': 'pass',
+  'Shot': 'shot',
+  'Carry': 'carry',
+  'Dribble': 'dribble',
+  'Dispossessed': 'loss',
+  'Miscontrol': 'loss'
+};
+const SHOT_OUTCOMES = {
+  'Goal': 'Goal',
+  'Saved': 'Saved by GK',
+  'Saved To Post': 'Saved by GK',
+  'Saved Off Target': 'Saved by GK',
+  'Off T': 'Missed',
+  'Wayward': 'Missed',
+  'Post': 'Missed',
+  'Blocked': 'Missed'
+};
+const PATTERNS = { 'From Corner': 'corner', 'From Free Kick': 'free kick', 'From Counter': 'counter' };
+// Penalty shoot-outs are not match play
+const SHOOTOUT_PERIOD = 5;
+
+const point = location => (Array.isArray(location) ? toMetres(location[0], location[1], PITCH) : null);
+const nameOf = value => (value && value.name) || null;
+
+function assistTypeOf(pass) {
+  if (pass.cross) return 'Cross';
+  if (pass.cut_back) return 'Cutback';
+  if (pass.through_ball || nameOf(pass.technique) === 'Through Ball') return 'Through Ball';
+  return null;
+}
+
+// One StatsBomb event in the importers' common shape (see index.js)
+function toEvent(raw, type) {
+  const details = raw[raw.type.name.toLowerCase()] || {};
+  const event = {
+    id: raw.id,
+    possession: String(raw.possession),
+    // StatsBomb counts minutes from 0
+    minute: raw.minute + 1,
+    time: raw.minute * 60 + (raw.second || 0),
+    type,
+    point: point(raw.location),
+    end: point(details.end_location),
+    playerId: raw.player ? String(raw.player.id) : null,
+    playerName: nameOf(raw.player),
+    position: nameOf(raw.position),
+    pattern: PATTERNS[nameOf(raw.play_pattern)] || null,
+    lost: type === 'loss'
+  };
+  if (type === 'pass') {
+    // Completed passes have no outcome
+    event.lost = Boolean(details.outcome);
+    event.assistType = assistTypeOf(details);
+  } else if (type === 'dribble') {
+    event.lost = nameOf(details.outcome) !== 'Complete';
+  } else if (type === 'shot') {
+    const outcome = nameOf(details.outcome);
+    event.shotOutcome = SHOT_OUTCOMES[outcome] || outcome;
+    event.xG = typeof details.statsbomb_xg === 'number' ? details.statsbomb_xg : null;
+    event.keyPassId = details.key_pass_id || null;
+  }
+  return event;
+}
+
+// input is the events array, or { events, match }
+function parse(input, { team, opponent, date }) {
+  const events = Array.isArray(input) ? input : input && input.events;
+  if (!Array.isArray(events)) throw badRequest('events must be an array of StatsBomb events');
+  const match = (!Array.isArray(input) && input.match) || {};
+
+  const teams = [...new Set(events.map(raw => nameOf(raw.team)).filter(Boolean))];
+  const ignoredEventTypes = {};
+  const ours = [];
+  events.forEach(raw => {
+    if (!raw.type || raw.period === SHOOTOUT_PERIOD) return;
+    const type = EVENT_TYPES[raw.type.name];
+    if (!type) {
+      ignoredEventTypes[raw.type.name] = (ignoredEventTypes[raw.type.name] || 0) + 1;
+      return;
+    }
+    if (nameOf(raw.team) === team && nameOf(raw.possession_team) === team) ours.push(toEvent(raw, type));
+  });
+
+  const home = match.home_team && match.home_team.home_team_name;
+  const away = match.away_team && match.away_team.away_team_name;
+  return {
+    teams,
+    games: [{
+      date: date || match.match_date || null,
+      opponent: opponent || (home === team ? away : home) || teams.find(name => name !== team) || null,
+      events: ours
+    }],
+    ignoredEventTypes,
+    unmappedColumns: []
+  };
+}
+
+module.exports = { parse };
@@ -0,0 +1,375 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, resolveDataset, seasonStartMonthOf, readRows, saveDataset, normalizeName, isValidName } = require('./dataset-store');
+const { DEFAULT_TEAM, MAX_XG, WIN_IMPACT, phaseFor, seasonFor, validateRow } = require('./schema');
+const { loadPlays, isGoal } = require('./match-data');
+const { aggregate, PRESETS } = require('./aggregate');
+const { getModel, pickModelInputs, predict } = require('./xg-model');
+const { badRequest } = require('./play-query');
+const { opponentGoalsByGame } = require('./opponent-goals-store');
+
+// Games logged live from the touchline console. Each game lives in
+// DATA_DIR/live-games.json with its match clock; its plays are written straight
+// into a workspace dataset, so every dashboard and AI endpoint sees them as soon
+// as they are logged.
+const GAMES_PATH = path.join(DATA_DIR, 'live-games.json');
+
+// Dataset games write to unless the user names another one, so logging never
+// touches an uploaded season file by default
+const LIVE_DATASET = 'live';
+
+// Defaults for the columns the console does not ask for
+const DEFAULT_CONTEXT = { 'Free Kick': 'Set Piece', 'Corner': 'Set Piece', 'Counterattack': 'Fast Break' };
+const SHOT_OUTCOMES = { 'Goal': 'Goal', 'Saved by GK': 'Saved by GK' };
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const hasValue = value => value !== undefined && value !== null && value !== '';
+const yesNo = value => (value === true || value === 'Yes' || value === 'true' ? 'Yes' : 'No');
+
+// Match clock
+
+function elapsedMs(clock, now = Date.now()) {
+  return clock.elapsedMs + (clock.running ? now - Date.parse(clock.startedAt) : 0);
+}
+
+function clockMinute(clock) {
+  return Math.min(90, Math.max(1, Math.floor(elapsedMs(clock) / 60000) + 1));
+}
+
+// start | pause | set (jump to the start of a minute, e.g. 46 after half-time)
+function updateClock(clock, action, minute) {
+  const now = Date.now();
+  switch (action) {
+    case 'start':
+      if (!clock.running) {
+        clock.running = true;
+        clock.startedAt = new Date(now).toISOString();
+      }
+      break;
+    case 'pause':
+      clock.elapsedMs = elapsedMs(clock, now);
+      clock.running = false;
+      clock.startedAt = null;
+      break;
+    case 'set': {
+      const value = Number(minute);
+      if (!Number.isInteger(value) || value < 1 || value > 90) {
+        throw badRequest('minute must be an integer between 1 and 90');
+      }
+      clock.elapsedMs = (value - 1) * 60000;
+      clock.startedAt = clock.running ? new Date(now).toISOString() : null;
+      break;
+    }
+    default:
+      throw badRequest('action must be one of start, pause, set');
+  }
+}
+
+// Game store
+
+function readGames() {
+  try {
+    return JSON.parse(fs.readFileSync(GAMES_PATH, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Error reading live games:', err);
+    }
+    return [];
+  }
+}
+
+function writeGames(games) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(GAMES_PATH, JSON.stringify(games, null, 2));
+}
+
+// Game IDs are only unique within a dataset, so ?dataset= picks between games
+// that share one; otherwise the most recently started game wins.
+function findGame(games, workspace, gameId, datasetName) {
+  const wanted = Number(gameId);
+  const game = games
+    .filter(item => item.workspace === workspace && item.gameId === wanted)
+    .filter(item => !datasetName || item.dataset === normalizeName(datasetName))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0];
+  if (!game) throw httpError(404, `Live game ${gameId} not found`);
+  return game;
+}
+
+function selectorFor(game) {
+  return { name: game.dataset, workspace: game.workspace };
+}
+
+// The game's dataset rows; a dataset that has not been written yet is empty
+function readGameRows(game) {
+  const dataset = resolveDataset(selectorFor(game));
+  return { dataset, rows: dataset && !dataset.builtIn ? readRows(dataset) : [] };
+}
+
+function storeGameRows(game, dataset, rows, userId) {
+  saveDataset(game.dataset, rows, {
+    uploadedBy: (dataset && dataset.uploadedBy) || userId,
+    workspace: game.workspace,
+    live: true
+  });
+}
+
+const maxOf = (rows, column) => rows.reduce((max, row) => Math.max(max, Number(row[column]) || 0), 0);
+
+function listGames(workspace) {
+  return readGames()
+    .filter(game => game.workspace === workspace)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(toPublic);
+}
+
+// elapsedNowMs lets the console tick the clock locally without trusting its own time
+function toPublic(game) {
+  return { ...game, clock: { ...game.clock, minute: clockMinute(game.clock), elapsedNowMs: elapsedMs(game.clock) } };
+}
+
+// Starts a game in the named dataset, or the workspace's live one. Its Game ID
+// continues after the highest one in the dataset and in other live games.
+function createGame(workspace, userId, { dataset: datasetName, team, opponent, date } = {}) {
+  if (!hasValue(opponent)) throw badRequest('opponent is required');
+  const day = hasValue(date) ? String(date) : new Date().toISOString().slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) throw badRequest('date must be a YYYY-MM-DD date');
+
+  const name = hasValue(datasetName) ? normalizeName(datasetName) : LIVE_DATASET;
+  if (!isValidName(name)) {
+    throw badRequest('Use 1-64 letters, numbers, dashes or underscores for the dataset ("sample" is read-only)');
+  }
+
+  const games = readGames();
+  const game = {
+    workspace,
+    dataset: name,
+    gameId: 0,
+    team: hasValue(team) ? String(team).trim() : DEFAULT_TEAM,
+    opponent: String(opponent).trim(),
+    date: day,
+    season: seasonFor(day, seasonStartMonthOf(resolveDataset({ name, workspace }))),
+    clock: { running: false, startedAt: null, elapsedMs: 0 },
+    // Plays in the order they were logged, for undo
+    playIds: [],
+    createdBy: userId,
+    createdAt: new Date().toISOString()
+  };
+  const { rows } = readGameRows(game);
+  const liveIds = games.filter(item => item.workspace === workspace && item.dataset === name).map(item => item.gameId);
+  game.gameId = Math.max(maxOf(rows, 'Game ID'), ...liveIds, 0) + 1;
+
+  games.push(game);
+  writeGames(games);
+  return toPublic(game);
+}
+
+function setClock(workspace, gameId, { action, minute, dataset } = {}) {
+  const games = readGames();
+  const game = findGame(games, workspace, gameId, dataset);
+  updateClock(game.clock, action, minute);
+  writeGames(games);
+  return toPublic(game);
+}
+
+// xG from the local model, scored on the shot's distance and location plus the
+// other tapped details. The dataset's own model is reused even when slightly
+// stale; new datasets with too few shots borrow the sample's model.
+function estimateXG(game, play) {
+  let model;
+  try {
+    model = getModel(selectorFor(game), { allowStale: true });
+  } catch (err) {
+    if (err.status !== 404 && err.status !== 422) throw err;
+    model = getModel('sample', { allowStale: true });
+  }
+  const { xG } = predict(model, pickModelInputs(play));
+  return Math.min(MAX_XG, Math.round(xG * 100) / 100);
+}
+
+// Builds a full CSV row from what the analyst tapped. Minute and phase come from
+// the match clock unless given; success, win impact and the shot outcome of
+// goals and saves follow from the outcome.
+function buildRow(game, input, id) {
+  const minute = hasValue(input.minute) ? Number(input.minute) : clockMinute(game.clock);
+  const shotOutcome = input.shotOutcome || SHOT_OUTCOMES[input.outcome] || '';
+  const isShot = Boolean(shotOutcome) || hasValue(input.shotDistance);
+  const playContext = input.playContext || DEFAULT_CONTEXT[input.playType] || 'Open Play';
+  const playSpeed = input.playSpeed || (input.playType === 'Counterattack' ? 'Quick Attack' : 'Slow Build-up');
+  const numberOfPasses = hasValue(input.numberOfPasses) ? input.numberOfPasses : 1;
+  const inBoxArea = /inside box|close to box/.test(input.location || '');
+
+  const row = {
+    'ID': String(id),
+    'Game ID': String(game.gameId),
+    'Date': game.date,
+    'Season': String(game.season),
+    'Minute': String(minute),
+    'Team': game.team,
+    'Opponent': game.opponent,
+    'Play Type': input.playType || '',
+    'Shot Attempt': yesNo(isShot),
+    'Shot Distance': isShot && hasValue(input.shotDistance) ? String(input.shotDistance) : '',
+    'Shot Outcome': isShot ? shotOutcome : '',
+    'xG': '0.00',
+    'Number of Passes': String(numberOfPasses),
+    'Second Chance': yesNo(input.secondChance),
+    'Play Context': playContext,
+    'Location on Field': input.location || '',
+    'Outcome': input.outcome || '',
+    'Success': yesNo(Boolean(input.outcome) && input.outcome !== 'Turnover'),
+    'Win Impact': WIN_IMPACT[input.outcome] || '',
+    'Assist Type': input.assistType || 'None',
+    'Final Third Entry': yesNo(hasValue(input.finalThirdEntry) ? input.finalThirdEntry : isShot || inBoxArea),
+    'Play Speed': playSpeed,
+    'Player Involvement': input.playerInvolvement || 'Midfielder',
+    'Phase of Match': Number.isInteger(minute) ? phaseFor(minute) : '',
+    'Shooter ID': isShot && hasValue(input.shooterId) ? String(input.shooterId).trim() : '',
+    'Assister ID': hasValue(input.assisterId) ? String(input.assisterId).trim() : ''
+  };
+
+  const errors = validateRow(row);
+  if (errors.length) {
+    const error = badRequest('Invalid play');
+    error.details = errors;
+    throw error;
+  }
+
+  if (isShot) {
+    row['xG'] = estimateXG(game, {
+      shotDistance: Number(row['Shot Distance']),
+      location: row['Location on Field'],
+      playType: row['Play Type'],
+      playContext,
+      assistType: row['Assist Type'],
+      playSpeed,
+      numberOfPasses: Number(numberOfPasses),
+      secondChance: row['Second Chance'] === 'Yes'
+    }).toFixed(2);
+  }
+  return row;
+}
+
+// The tapped details behind a stored row, for edits
+function rowToInput(row) {
+  return {
+    minute: row['Minute'],
+    playType: row['Play Type'],
+    location: row['Location on Field'],
+    outcome: row['Outcome'],
+    assistType: row['Assist Type'],
+    shotOutcome: row['Shot Outcome'],
+    shotDistance: row['Shot Distance'],
+    numberOfPasses: row['Number of Passes'],
+    secondChance: row['Second Chance'],
+    playContext: row['Play Context'],
+    playSpeed: row['Play Speed'],
+    playerInvolvement: row['Player Involvement'],
+    finalThirdEntry: row['Final Third Entry'],
+    shooterId: row['Shooter ID'],
+    assisterId: row['Assister ID']
+  };
+}
+
+function findRowIndex(rows, game, playId) {
+  const index = rows.findIndex(row =>
+    Number(row['ID']) === Number(playId) && Number(row['Game ID']) === game.gameId && row['Team'] === game.team
+  );
+  if (index === -1) throw httpError(404, `Play ${playId} not found in game ${game.gameId}`);
+  return index;
+}
+
+// Everything the console shows: the game, its plays, goals, score and shot
+// map. The opponent's goals are recorded through /api/scorelines.
+function gameView(game) {
+  let plays = [];
+  try {
+    plays = loadPlays(selectorFor(game)).filter(play => play.gameId === game.gameId && play.team === game.team);
+  } catch (err) {
+    if (err.status !== 404) throw err;
+  }
+  const opponentGoals = opponentGoalsByGame(game.workspace, game.dataset).get(`${game.team}:${game.gameId}`) || [];
+  return {
+    game: toPublic(game),
+    score: { for: plays.filter(isGoal).length, against: opponentGoals.length, opponentGoals },
+    plays: plays.slice().sort((a, b) => a.minute - b.minute || a.id - b.id),
+    goalsTimeline: plays.filter(isGoal).map(play => ({
+      id: play.id,
+      minute: play.minute,
+      playType: play.playType,
+      location: play.location,
+      xG: play.xG
+    })),
+    shotMap: aggregate(plays, PRESETS.shotMap)
+  };
+}
+
+function getGame(workspace, gameId, { dataset } = {}) {
+  return gameView(findGame(readGames(), workspace, gameId, dataset));
+}
+
+function logPlay(workspace, gameId, input, { dataset: datasetName, userId } = {}) {
+  const games = readGames();
+  const game = findGame(games, workspace, gameId, datasetName);
+  const { dataset, rows } = readGameRows(game);
+  const id = maxOf(rows, 'ID') + 1;
+
+  rows.push(buildRow(game, input, id));
+  storeGameRows(game, dataset, rows, userId);
+  game.playIds.push(id);
+  writeGames(games);
+  return { playId: id, ...gameView(game) };
+}
+
+// Changing the outcome or distance re-derives the shot outcome unless it is
+// given too, so a goal edited to a turnover does not keep "Goal".
+function editPlay(workspace, gameId, playId, patch, { dataset: datasetName, userId } = {}) {
+  const game = findGame(readGames(), workspace, gameId, datasetName);
+  const { dataset, rows } = readGameRows(game);
+  const index = findRowIndex(rows, game, playId);
+
+  const input = { ...rowToInput(rows[index]), ...patch };
+  if ((patch.outcome !== undefined || patch.shotDistance !== undefined) && patch.shotOutcome === undefined) {
+    delete input.shotOutcome;
+  }
+  rows[index] = buildRow(game, input, Number(playId));
+  storeGameRows(game, dataset, rows, userId);
+  return { playId: Number(playId), ...gameView(game) };
+}
+
+function deletePlay(workspace, gameId, playId, { dataset: datasetName, userId } = {}) {
+  const games = readGames();
+  const game = findGame(games, workspace, gameId, datasetName);
+  const { dataset, rows } = readGameRows(game);
+  rows.splice(findRowIndex(rows, game, playId), 1);
+  storeGameRows(game, dataset, rows, userId);
+  game.playIds = game.playIds.filter(id => id !== Number(playId));
+  writeGames(games);
+  return gameView(game);
+}
+
+// Removes the most recently logged play that still exists
+function undoLastPlay(workspace, gameId, { dataset: datasetName, userId } = {}) {
+  const game = findGame(readGames(), workspace, gameId, datasetName);
+  const { rows } = readGameRows(game);
+  const remaining = new Set(rows.filter(row => Number(row['Game ID']) === game.gameId && row['Team'] === game.team).map(row => Number(row['ID'])));
+  const last = game.playIds.filter(id => remaining.has(id)).pop();
+  if (last === undefined) throw httpError(409, 'Nothing to undo');
+  return { undonePlayId: last, ...deletePlay(workspace, gameId, last, { dataset: game.dataset, userId }) };
+}
+
+module.exports = {
+  LIVE_DATASET,
+  listGames,
+  createGame,
+  getGame,
+  setClock,
+  logPlay,
+  editPlay,
+  deletePlay,
+  undoLastPlay
+};
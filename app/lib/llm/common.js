@@ -0,0 +1,71 @@
+// Helpers shared by the LLM provider adapters
+
+function configError(message, details) {
+  const error = new Error(message);
+  error.status = 500;
+  error.details = details;
+  return error;
+}
+
+// "LLM_MODEL=a,b" overrides the adapter's default model fallback list
+function modelList(value, defaults) {
+  const models = String(value || '').split(',').map(model => model.trim()).filter(Boolean);
+  return models.length ? models : defaults;
+}
+
+function isModelUnavailable(error) {
+  const message = (error.message || '').toLowerCase();
+  return error.status === 404 || message.includes('not found') || message.includes('404') || message.includes('model');
+}
+
+// Calls generateWith(model) for each model in turn, moving on only when a model
+// is unavailable. Other errors (API key, quota, ...) are thrown immediately.
+async function tryModels(models, generateWith) {
+  let lastError = null;
+  for (const model of models) {
+    try {
+      const text = await generateWith(model);
+      if (!text) throw new Error(`Empty response from ${model}`);
+      return { model, text };
+    } catch (error) {
+      lastError = error;
+      if (isModelUnavailable(error)) {
+        console.log(`Model ${model} not available (${error.message}), trying next...`);
+        continue;
+      }
+      throw error;
+    }
+  }
+  throw lastError || new Error('All model attempts failed');
+}
+
+// Streaming counterpart of tryModels: yields text chunks from the first model
+// that starts answering and records its name in info.model. Falling back is
+// only possible before the first chunk.
+async function* streamModels(models, streamWith, info = {}) {
+  let lastError = null;
+  for (const model of models) {
+    let started = false;
+    try {
+      for await (const text of streamWith(model)) {
+        if (!text) continue;
+        started = true;
+        info.model = model;
+        yield text;
+      }
+      if (started) return;
+      throw new Error(`Empty response from ${model}`);
+    } catch (error) {
+      if (started) throw error;
+      lastError = error;
+      if (isModelUnavailable(error)) {
+        console.log(`Model ${model} not available (${error.message}), trying next...`);
+        continue;
+      }
+      throw error;
+    }
+  }
+  throw lastError || new Error('All model attempts failed');
+}
+
+module.exports = { configError, modelList, tryModels, streamModels };
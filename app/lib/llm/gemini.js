@@ -0,0 +1,32 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { configError, modelList, tryModels, streamModels } = require('./common');
+
+// gemini-2.0-flash is the newest and fastest model
+const DEFAULT_MODELS = ['gemini-2.0-flash', 'gemini-1.5-pro', 'gemini-pro', 'gemini-1.0-pro'];
+
+function createProvider({ apiKey = process.env.GEMINI_API_KEY, models = modelList(process.env.LLM_MODEL, DEFAULT_MODELS) } = {}) {
+  if (!apiKey) {
+    throw configError('Gemini API key not configured', 'Please set GEMINI_API_KEY in your .env file');
+  }
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  async function generate({ prompt }) {
+    return tryModels(models, async model => {
+      const result = await genAI.getGenerativeModel({ model }).generateContent(prompt);
+      return result.response && result.response.text ? result.response.text() : null;
+    });
+  }
+
+  function stream({ prompt }, info) {
+    return streamModels(models, async function* (model) {
+      const result = await genAI.getGenerativeModel({ model }).generateContentStream(prompt);
+      for await (const chunk of result.stream) {
+        yield chunk.text();
+      }
+    }, info);
+  }
+
+  return { name: 'gemini', generate, stream };
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,57 @@
+const gemini = require('./gemini');
+const openai = require('./openai');
+const stub = require('./stub');
+const { configError } = require('./common');
+
+// Every adapter exposes the same interface:
+//   provider.generate({ task, prompt, query, plays, prediction, researcher, model })
+//     -> Promise<{ model, text }>
+//   provider.stream(sameRequest, info) -> async iterable of text chunks;
+//     info.model is set to the model that answered
+// task is 'researcher', 'model', 'conclusion' or 'dossier'. Real providers
+// only send the prompt; the stub builds its answer from the structured fields.
+const PROVIDERS = {
+  gemini: gemini.createProvider,
+  openai: openai.createProvider,
+  'openai-compatible': openai.createCompatibleProvider,
+  stub: stub.createProvider
+};
+
+// LLM_PROVIDER wins; otherwise the first provider with a key, else the stub
+function defaultProviderName() {
+  if (process.env.GEMINI_API_KEY) return 'gemini';
+  if (process.env.OPENAI_API_KEY) return 'openai';
+  if (process.env.LLM_BASE_URL) return 'openai-compatible';
+  return 'stub';
+}
+
+const providers = new Map();
+
+function getProvider(name = process.env.LLM_PROVIDER || defaultProviderName()) {
+  if (!PROVIDERS[name]) {
+    throw configError(`Unknown LLM provider "${name}"`, `LLM_PROVIDER must be one of ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (!providers.has(name)) {
+    if (name === 'stub') {
+      console.warn('Using the offline stub LLM provider; answers are templated from the match data.');
+    }
+    providers.set(name, PROVIDERS[name]());
+  }
+  return providers.get(name);
+}
+
+// Runs a request to completion and resolves to { text, model }. With onToken
+// the provider streams and each chunk is passed on as it arrives; returning
+// false from onToken (e.g. the client went away) stops generation early.
+async function complete(provider, request, onToken) {
+  if (!onToken) return provider.generate(request);
+  const info = {};
+  let text = '';
+  for await (const chunk of provider.stream(request, info)) {
+    text += chunk;
+    if (onToken(chunk) === false) break;
+  }
+  return { text, model: info.model || null };
+}
+
+module.exports = { PROVIDERS, getProvider, complete };
@@ -0,0 +1,61 @@
+const { OpenAI } = require('openai');
+const { configError, modelList, tryModels, streamModels } = require('./common');
+
+const DEFAULT_MODELS = ['gpt-4o-mini', 'gpt-4o'];
+
+function chatProvider(name, client, models) {
+  async function generate({ prompt }) {
+    return tryModels(models, async model => {
+      const completion = await client.chat.completions.create({
+        model,
+        messages: [{ role: 'user', content: prompt }]
+      });
+      return completion.choices[0] && completion.choices[0].message.content;
+    });
+  }
+
+  function stream({ prompt }, info) {
+    return streamModels(models, async function* (model) {
+      const chunks = await client.chat.completions.create({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        stream: true
+      });
+      for await (const chunk of chunks) {
+        yield chunk.choices[0] && chunk.choices[0].delta.content;
+      }
+    }, info);
+  }
+
+  return { name, generate, stream };
+}
+
+// api.openai.com (or OPENAI_BASE_URL, e.g. an Azure/proxy endpoint)
+function createProvider({
+  apiKey = process.env.OPENAI_API_KEY,
+  baseURL = process.env.OPENAI_BASE_URL,
+  models = modelList(process.env.LLM_MODEL, DEFAULT_MODELS)
+} = {}) {
+  if (!apiKey) {
+    throw configError('OpenAI API key not configured', 'Please set OPENAI_API_KEY in your .env file');
+  }
+  return chatProvider('openai', new OpenAI({ apiKey, baseURL }), models);
+}
+
+// Any server speaking the OpenAI chat API: Ollama, LM Studio, vLLM, llama.cpp...
+// These usually ignore the API key but the client requires one.
+function createCompatibleProvider({
+  baseURL = process.env.LLM_BASE_URL,
+  apiKey = process.env.LLM_API_KEY || 'not-needed',
+  models = modelList(process.env.LLM_MODEL, [])
+} = {}) {
+  if (!baseURL || !models.length) {
+    throw configError(
+      'OpenAI-compatible provider not configured',
+      'Please set LLM_BASE_URL (e.g. http://localhost:11434/v1) and LLM_MODEL in your .env file'
+    );
+  }
+  return chatProvider('openai-compatible', new OpenAI({ apiKey, baseURL }), models);
+}
+
+module.exports = { createProvider, createCompatibleProvider };
@@ -0,0 +1,181 @@
+const { isGoal } = require('../match-data');
+const { describePlay } = require('../evidence');
+
+// Deterministic offline provider. Instead of calling a model it fills a
+// template per task from the retrieved plays (and xG prediction), so the AI
+// pages work without network access or an API key, and give the same answer
+// for the same request. With computed facts (see grounding.js) it quotes and
+// cites them and replies in the JSON the prompts ask for.
+
+const NOTE = '_Offline stub response generated from the retrieved match data._';
+
+const percent = value => `${value.toFixed(0)}%`;
+
+function summarize(plays = []) {
+  const shots = plays.filter(play => play.shotAttempt);
+  const xgShots = shots.filter(play => play.xG !== null);
+  return {
+    plays: plays.length,
+    exact: plays.filter(play => play.matchType !== 'similar').length,
+    shots: shots.length,
+    goals: plays.filter(isGoal).length,
+    avgXG: xgShots.length ? xgShots.reduce((total, play) => total + play.xG, 0) / xgShots.length : null,
+    successRate: plays.length ? (plays.filter(play => play.success).length / plays.length) * 100 : null
+  };
+}
+
+// good / bad from the evidence, null when there is none
+function verdictFor(summary) {
+  if (!summary.plays) return null;
+  return summary.successRate >= 50 || (summary.avgXG !== null && summary.avgXG >= 0.2) ? 'good' : 'bad';
+}
+
+function evidenceLines(summary, plays) {
+  const lines = [
+    `${summary.plays} comparable plays in the data (${summary.exact} direct matches): ${summary.shots} shots and ${summary.goals} goals.`,
+    `Success rate ${percent(summary.successRate)}${summary.avgXG === null ? '' : `, average xG per shot ${summary.avgXG.toFixed(2)}`}.`
+  ];
+  if (plays.length) lines.push(`Example: ${describePlay(plays[0]).slice(2)}.`);
+  return lines;
+}
+
+// "12 plays [F1]" for the fact with this key, or null
+function cite(facts, key) {
+  const fact = facts.find(item => item.key === key);
+  return fact ? `${fact.display} [${fact.id}]` : null;
+}
+
+function citedLines(facts, plays) {
+  const rates = [cite(facts, 'successRate') && `success rate ${cite(facts, 'successRate')}`, cite(facts, 'goalRate') && `goal rate ${cite(facts, 'goalRate')}`, cite(facts, 'meanXG') && `mean xG per shot ${cite(facts, 'meanXG')}`]
+    .filter(Boolean);
+  const lines = [
+    `${facts[0].label}: ${cite(facts, 'plays')}, with ${cite(facts, 'shots')} and ${cite(facts, 'goals')}.`,
+    `${rates.join(', ').replace(/^./, letter => letter.toUpperCase())}.`
+  ];
+  if (cite(facts, 'minuteMedian')) {
+    lines.push(`Typical timing: ${cite(facts, 'minuteMedian')}, from ${cite(facts, 'minuteFirst')} to ${cite(facts, 'minuteLast')}.`);
+  }
+  if (cite(facts, 'state:trailing')) {
+    lines.push(`Scoreline: ${cite(facts, 'state:leading')} of the plays came while leading, ${cite(facts, 'state:level')} level and ${cite(facts, 'state:trailing')} trailing.`);
+  }
+  // Players the question named (see addPlayerFacts in grounding.js)
+  facts.filter(fact => /^player:.+:goals$/.test(fact.key)).forEach(fact => {
+    const key = fact.key.replace(/:goals$/, '');
+    const name = fact.label.slice(0, fact.label.lastIndexOf(':'));
+    lines.push(`${name}: ${cite(facts, `${key}:goals`)} from ${cite(facts, `${key}:shots`)}, and ${cite(facts, `${key}:assists`)}.`);
+  });
+  if (plays.length) lines.push(`Example: ${describePlay(plays[0]).slice(2)}.`);
+  return lines;
+}
+
+function supportingLines(summary, plays, facts) {
+  return facts ? citedLines(facts, plays) : evidenceLines(summary, plays);
+}
+
+function researcherAnswer({ query, plays = [], facts }) {
+  const summary = summarize(plays);
+  const verdict = verdictFor(summary);
+  if (!verdict) {
+    return `**Research question:** ${query}\n\nThere isn't enough history in the dataset to call this play either way.\n\n${NOTE}`;
+  }
+  const headline = verdict === 'good' ? 'This looks like a smart move.' : 'This is a risky play.';
+  const points = supportingLines(summary, plays, facts).map((line, index) => `${index + 1}. ${line}`);
+  return `**Research question:** ${query}\n\n${headline}\n\n${points.join('\n')}\n\n${NOTE}`;
+}
+
+function modelAnswer({ query, plays = [], prediction, facts }) {
+  const summary = summarize(plays);
+  let estimate = 'No estimate: there are no comparable shots in the data.';
+  if (facts && prediction) {
+    estimate = `${cite(facts, 'modelXG')} (95% interval ${cite(facts, 'modelCILow')} to ${cite(facts, 'modelCIHigh')}) from the local xG model.`;
+  } else if (facts && cite(facts, 'meanXG')) {
+    estimate = `${cite(facts, 'meanXG')}, the mean of comparable shots.`;
+  } else if (prediction) {
+    estimate = `${prediction.xG.toFixed(2)} xG (95% CI ${prediction.ci[0].toFixed(2)}–${prediction.ci[1].toFixed(2)}) from the local xG model.`;
+  } else if (summary.avgXG !== null) {
+    estimate = `${summary.avgXG.toFixed(2)} xG, the average of comparable shots.`;
+  }
+  return [
+    `**Query:** ${query}`,
+    `**Model Analysis:**\n${summary.plays ? supportingLines(summary, [], facts).map(line => `- ${line}`).join('\n') : '- No comparable plays found.'}`,
+    `**AI Model Prediction:**\n${estimate}`,
+    facts
+      ? `**Confidence & Model Insights:**\nBased on ${cite(facts, 'plays')}; small samples mean low confidence.`
+      : `**Confidence & Model Insights:**\nBased on ${summary.plays} plays; fewer than 10 comparable plays means low confidence.`,
+    NOTE
+  ].join('\n\n');
+}
+
+// Decision from the evidence, or failing that from the two analyses' wording
+function conclusionAnswer({ query, plays = [], researcher = '', model = '', facts }) {
+  const summary = summarize(plays);
+  let verdict = verdictFor(summary);
+  if (!verdict) {
+    verdict = /risky|not a good|bad play|avoid/i.test(`${researcher}\n${model}`) ? 'bad' : 'good';
+  }
+  const bullets = summary.plays
+    ? supportingLines(summary, plays, facts)
+    : ['The researcher and model analyses were combined without additional match data.'];
+  const recommendations = verdict === 'good'
+    ? ['Keep using this pattern and drill the final pass.', 'Review the misses to see what separated them from the goals.']
+    : ['Recycle possession rather than forcing this play.', 'Work the ball into a higher-xG location before shooting.'];
+  return [
+    `Play Assessment: ${query || 'the proposed play'}`,
+    bullets.map(line => `- ${line}`).join('\n'),
+    `Coach's Decision: ${verdict === 'good' ? 'This is a good play.' : 'This is not a good play.'}`,
+    `Recommendations:\n${recommendations.map((line, index) => `${index + 1}. ${line}`).join('\n')}`,
+    NOTE
+  ].join('\n\n');
+}
+
+// Quotes the dossier facts (see dossier.js) section by section
+function dossierAnswer({ query, facts = [] }) {
+  const keyed = prefix => facts.filter(fact => fact.key.startsWith(prefix));
+  const quote = fact => `${fact.label}: ${fact.display} [${fact.id}]`;
+  const sections = [
+    `**${query}**`,
+    `**Record:** ${cite(facts, 'games')}, averaging ${cite(facts, 'goalsPerGame')} and ${cite(facts, 'xgPerGame')} per game at ${cite(facts, 'conversionRate')} conversion.` +
+      (cite(facts, 'otherGoalsPerGame') ? ` Against everyone else we average ${cite(facts, 'otherGoalsPerGame')} per game.` : '')
+  ];
+  [['Worked', 'worked:'], ['Struggled', 'failed:'], ['When we scored', 'minutes:'], ['By season', 'season:']].forEach(([title, prefix]) => {
+    if (keyed(prefix).length) sections.push(`**${title}:**\n${keyed(prefix).map(fact => `- ${quote(fact)}`).join('\n')}`);
+  });
+  const trends = keyed('trend');
+  if (trends.length) sections.push(`**Form:**\n${trends.map(fact => `- ${quote(fact)}`).join('\n')}`);
+  sections.push(NOTE);
+  return sections.join('\n\n');
+}
+
+const TEMPLATES = {
+  researcher: researcherAnswer,
+  model: modelAnswer,
+  conclusion: conclusionAnswer,
+  dossier: dossierAnswer
+};
+
+function createProvider() {
+  async function generate(request) {
+    const template = TEMPLATES[request.task] || researcherAnswer;
+    const text = template(request);
+    if (!request.facts) return { model: 'stub', text };
+
+    const citations = [...new Set(text.match(/\[F\d+\]/g) || [])].map(marker => {
+      const fact = request.facts.find(item => `[${item.id}]` === marker);
+      return { factId: fact.id, value: fact.value };
+    });
+    return { model: 'stub', text: JSON.stringify({ answer: text, citations }) };
+  }
+
+  // Word by word, so the streaming pages can be exercised offline too
+  async function* stream(request, info = {}) {
+    const { model, text } = await generate(request);
+    info.model = model;
+    for (const word of text.match(/\S+\s*/g) || []) {
+      yield word;
+    }
+  }
+
+  return { name: 'stub', generate, stream };
+}
+
+module.exports = { createProvider };
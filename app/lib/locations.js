@@ -0,0 +1,65 @@
+// "Location on Field" values decomposed into a side of the pitch and a depth
+// (distance from goal), so zones can be compared instead of string-matched.
+
+const SIDES = { 'Left wing': -1, 'Central': 0, 'Right wing': 1 };
+
+// inside box < close to box < outside box < midfield
+const DEPTHS = { 'inside box': 0, 'close to box': 0.5, 'outside box': 1, 'midfield': 2 };
+
+function parseLocation(location) {
+  if (!location) return null;
+  const match = String(location).match(/^(Left wing|Right wing|Central)\s+(.+)$/i);
+  if (!match) return null;
+  const side = Object.keys(SIDES).find(name => name.toLowerCase() === match[1].toLowerCase());
+  const depth = Object.keys(DEPTHS).find(name => name === match[2].toLowerCase());
+  if (!depth) return null;
+  return { side, depth, x: SIDES[side], y: DEPTHS[depth] };
+}
+
+// 1 for the same zone, falling by 0.5 per step sideways or per depth band
+function locationSimilarity(a, b) {
+  if (a === b) return a ? 1 : 0;
+  const first = parseLocation(a);
+  const second = parseLocation(b);
+  if (!first || !second) return 0;
+  return Math.max(0, 1 - 0.5 * Math.abs(first.x - second.x) - 0.5 * Math.abs(first.y - second.y));
+}
+
+// Same scale against a zone described by a side and/or a depth only, e.g.
+// "left wing" is 1 for every left wing location and 0.5 for central ones
+function zoneSimilarity(location, { side, depth } = {}) {
+  const parsed = parseLocation(location);
+  if (!parsed || (!side && !depth)) return 0;
+  const distance = (side ? Math.abs(parsed.x - SIDES[side]) : 0) + (depth ? Math.abs(parsed.y - DEPTHS[depth]) : 0);
+  return Math.max(0, 1 - 0.5 * distance);
+}
+
+// Everyday words for sides and depths, for free-text questions. A side or
+// depth word only counts next to a pitch noun, so "the right call" or "the
+// middle of the season" do not pick a zone.
+const PITCH_NOUNS = '(wing|flank|side|channel|touchline)';
+const SIDE_WORDS = {
+  'Left wing': new RegExp(`\\bleft[- ]${PITCH_NOUNS}\\b|\\b(down|wide on|wide|from|on) the left\\b`),
+  'Right wing': new RegExp(`\\bright[- ]${PITCH_NOUNS}\\b|\\b(down|wide on|wide|from|on) the right\\b`),
+  'Central': /\b(central|centre|center) (channel|areas?|positions?|zone)\b|\b(through|down) the (middle|centre|center)\b|\bcentrally\b/
+};
+const DEPTH_WORDS = {
+  'inside box': /\b(inside|into|in) (the )?(box|penalty area|18)\b|\bsix[- ]yard\b/,
+  'close to box': /\b(edge of|close to|near|just outside) (the )?(box|area|penalty area)\b/,
+  'outside box': /\b(outside (the )?(box|penalty area)|long[- ]range|from distance)\b/,
+  'midfield': /\b(in|from|through|across) (the )?midfield\b|\bmidfield (area|zone|third)\b/
+};
+
+// { side, depth } mentioned in free text; either may be missing
+function zoneFromText(text) {
+  const lower = String(text || '').toLowerCase();
+  const find = words => Object.keys(words).find(name => words[name].test(lower));
+  const zone = {};
+  const side = find(SIDE_WORDS);
+  const depth = find(DEPTH_WORDS);
+  if (side) zone.side = side;
+  if (depth) zone.depth = depth;
+  return zone;
+}
+
+module.exports = { SIDES, DEPTHS, parseLocation, locationSimilarity, zoneSimilarity, zoneFromText };
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const csvParse = require('csv-parse/sync');
+const { resolveDataset, describeSelector } = require('./dataset-store');
+const { DEFAULT_TEAM } = require('./schema');
+const { goalsVersion, opponentGoalsByGame } = require('./opponent-goals-store');
+
+// CSV column -> typed play field. Every route works with these camelCase play
+// objects instead of raw CSV rows.
+const FIELDS = {
+  'ID': { key: 'id', type: 'number' },
+  'Game ID': { key: 'gameId', type: 'number' },
+  'Date': { key: 'date', type: 'string' },
+  'Season': { key: 'season', type: 'number' },
+  'Minute': { key: 'minute', type: 'number' },
+  // The squad being analysed; files without the column belong to DEFAULT_TEAM
+  'Team': { key: 'team', type: 'string' },
+  'Opponent': { key: 'opponent', type: 'string' },
+  'Play Type': { key: 'playType', type: 'string' },
+  'Shot Attempt': { key: 'shotAttempt', type: 'boolean' },
+  'Shot Distance': { key: 'shotDistance', type: 'number' },
+  'Shot Outcome': { key: 'shotOutcome', type: 'string' },
+  'xG': { key: 'xG', type: 'number' },
+  'Number of Passes': { key: 'numberOfPasses', type: 'number' },
+  'Second Chance': { key: 'secondChance', type: 'boolean' },
+  'Play Context': { key: 'playContext', type: 'string' },
+  'Location on Field': { key: 'location', type: 'string' },
+  'Outcome': { key: 'outcome', type: 'string' },
+  'Success': { key: 'success', type: 'boolean' },
+  'Win Impact': { key: 'winImpact', type: 'number' },
+  'Assist Type': { key: 'assistType', type: 'string' },
+  'Final Third Entry': { key: 'finalThirdEntry', type: 'boolean' },
+  'Play Speed': { key: 'playSpeed', type: 'string' },
+  'Player Involvement': { key: 'playerInvolvement', type: 'string' },
+  'Phase of Match': { key: 'phaseOfMatch', type: 'string' },
+  // Roster player IDs; null when the file has no player columns
+  'Shooter ID': { key: 'shooterId', type: 'string' },
+  'Assister ID': { key: 'assisterId', type: 'string' }
+};
+
+function convertValue(value, type) {
+  if (value === undefined || value === null || value === '') return null;
+  switch (type) {
+    case 'number': {
+      const number = Number(value);
+      return isNaN(number) ? null : number;
+    }
+    case 'boolean':
+      return value === 'Yes' || value === 'true';
+    default:
+      return value;
+  }
+}
+
+function toPlay(row) {
+  const play = {};
+  Object.keys(FIELDS).forEach(column => {
+    const { key, type } = FIELDS[column];
+    play[key] = convertValue(row[column], type);
+  });
+  play.team = play.team || DEFAULT_TEAM;
+  return play;
+}
+
+function parsePlays(csvContent) {
+  const rows = csvParse.parse(csvContent, {
+    // The sample file leaves the ID header blank
+    columns: header => header.map((name, index) => (index === 0 && name.trim() === '' ? 'ID' : name.trim())),
+    skip_empty_lines: true,
+    trim: true,
+    bom: true,
+  });
+  return rows.map(toPlay);
+}
+
+// Parsed datasets keyed by file path, reused until the file's mtime changes
+const cache = new Map();
+// The same plays with a workspace's game states (see withGameState), keyed by
+// workspace and file, rebuilt when the plays or the opponent goals change
+const stateCache = new Map();
+
+function readPlays(dataset) {
+  const { mtimeMs } = fs.statSync(dataset.file);
+  const cached = cache.get(dataset.file);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.plays;
+  }
+
+  const plays = parsePlays(fs.readFileSync(dataset.file, 'utf8'));
+  cache.set(dataset.file, { mtimeMs, plays });
+  return plays;
+}
+
+// datasetName is a dataset-store selector: a name, or { name, workspace }.
+// Only workspace selectors get scorelines; a plain name leaves them unknown.
+function loadPlays(datasetName) {
+  const dataset = resolveDataset(datasetName);
+  if (!dataset) {
+    const error = new Error(`Dataset "${describeSelector(datasetName)}" not found`);
+    error.status = 404;
+    throw error;
+  }
+
+  const plays = readPlays(dataset);
+  const workspace = (datasetName && typeof datasetName === 'object' && datasetName.workspace) || null;
+  const key = `${workspace || ''}|${dataset.file}`;
+  const version = goalsVersion();
+  const cached = stateCache.get(key);
+  if (cached && cached.source === plays && cached.version === version) {
+    return cached.plays;
+  }
+
+  const withState = withGameState(plays, workspace ? opponentGoalsByGame(workspace, dataset.name) : new Map());
+  stateCache.set(key, { source: plays, version, plays: withState });
+  return withState;
+}
+
+// Query helpers
+
+const isGoal = play => play.shotOutcome === 'Goal';
+
+function unique(plays, key) {
+  return [...new Set(plays.map(play => play[key]))].filter(value => value !== null && value !== undefined);
+}
+
+// Exact-match filter: { opponent: 'Thunder FC', phaseOfMatch: ['Early', 'Late'] }.
+// Criteria with value undefined, null or 'all' are ignored.
+function filterPlays(plays, criteria = {}) {
+  const active = Object.keys(criteria).filter(key => {
+    const value = criteria[key];
+    return value !== undefined && value !== null && value !== 'all';
+  });
+  if (!active.length) return plays;
+  return plays.filter(play => active.every(key => {
+    const value = criteria[key];
+    return Array.isArray(value) ? value.includes(play[key]) : play[key] === value;
+  }));
+}
+
+// Squads number their games independently, so a game is a team + Game ID pair
+const gameKey = play => `${play.team}:${play.gameId}`;
+
+// Game states, from our side of the score before the play, and game results
+const GAME_STATES = ['leading', 'level', 'trailing'];
+const RESULTS = ['W', 'D', 'L'];
+
+// Index into GAME_STATES and RESULTS for our goals against theirs
+const sideOf = (ours, theirs) => (ours > theirs ? 0 : ours === theirs ? 1 : 2);
+
+// Adds the score before each play (scoreFor, scoreAgainst), the game state
+// it was played in and the game's final result (W, D or L). opponentGoals
+// maps "team:gameId" to the minutes the opponent scored in; games without an
+// entry keep all four null. Our goals count from the next play of the game
+// on; an opponent goal from the following minute, since the plays of that
+// minute cannot be put in order with it.
+function withGameState(plays, opponentGoals) {
+  const ourGoals = new Map();
+  plays.filter(isGoal).forEach(play => {
+    const key = gameKey(play);
+    if (!ourGoals.has(key)) ourGoals.set(key, []);
+    ourGoals.get(key).push(play);
+  });
+
+  return plays.map(play => {
+    const against = opponentGoals.get(gameKey(play));
+    if (!against) return { ...play, scoreFor: null, scoreAgainst: null, gameState: null, result: null };
+    const goals = ourGoals.get(gameKey(play)) || [];
+    const result = RESULTS[sideOf(goals.length, against.length)];
+    if (play.minute === null) return { ...play, scoreFor: null, scoreAgainst: null, gameState: null, result };
+
+    const scoreFor = goals.filter(goal => goal.minute < play.minute || (goal.minute === play.minute && goal.id < play.id)).length;
+    const scoreAgainst = against.filter(minute => minute < play.minute).length;
+    return { ...play, scoreFor, scoreAgainst, gameState: GAME_STATES[sideOf(scoreFor, scoreAgainst)], result };
+  });
+}
+
+// Groups plays by game, ordered by Game ID, with the game-level fields lifted out
+function groupByGame(plays) {
+  const games = new Map();
+  plays.forEach(play => {
+    const key = gameKey(play);
+    if (!games.has(key)) {
+      games.set(key, {
+        gameId: play.gameId,
+        team: play.team,
+        opponent: play.opponent,
+        date: play.date,
+        season: play.season,
+        result: play.result === undefined ? null : play.result,
+        plays: []
+      });
+    }
+    games.get(key).plays.push(play);
+  });
+  return [...games.values()].sort((a, b) => a.gameId - b.gameId);
+}
+
+module.exports = {
+  FIELDS,
+  GAME_STATES,
+  RESULTS,
+  gameKey,
+  parsePlays,
+  loadPlays,
+  withGameState,
+  isGoal,
+  unique,
+  filterPlays,
+  groupByGame
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./dataset-store');
+
+// The minutes opponents scored in, per workspace, dataset and game, persisted
+// in DATA_DIR/opponent-goals.json. Datasets only hold our own plays, so these
+// records are what lets match-data.js rebuild the score during a game. A game
+// without a record has an unknown scoreline; one with no minutes was a clean
+// sheet. match-data.js loads this module, so it cannot use play-query's
+// badRequest.
+const GOALS_PATH = path.join(DATA_DIR, 'opponent-goals.json');
+
+const MAX_GOALS = 20;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function readRecords() {
+  try {
+    return JSON.parse(fs.readFileSync(GOALS_PATH, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Error reading opponent goals:', err);
+    }
+    return [];
+  }
+}
+
+function writeRecords(records) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(GOALS_PATH, JSON.stringify(records, null, 2));
+}
+
+// Changes whenever a record is saved, so cached plays know to rebuild scores
+function goalsVersion() {
+  try {
+    return fs.statSync(GOALS_PATH).mtimeMs;
+  } catch (err) {
+    return 0;
+  }
+}
+
+function parseMinutes(minutes) {
+  if (!Array.isArray(minutes)) throw httpError(400, 'minutes must be an array of minutes (empty for a clean sheet)');
+  if (minutes.length > MAX_GOALS) throw httpError(400, `At most ${MAX_GOALS} opponent goals per game`);
+  return minutes.map((minute, index) => {
+    const value = Number(minute);
+    if (!Number.isInteger(value) || value < 1 || value > 90) {
+      throw httpError(400, `minutes[${index}] must be an integer between 1 and 90`);
+    }
+    return value;
+  }).sort((a, b) => a - b);
+}
+
+function matches(record, workspace, dataset, team, gameId) {
+  return record.workspace === workspace && record.dataset === dataset && record.team === team && record.gameId === gameId;
+}
+
+// The dataset's records, by game ID
+function listOpponentGoals(workspace, dataset) {
+  return readRecords()
+    .filter(record => record.workspace === workspace && record.dataset === dataset)
+    .sort((a, b) => a.team.localeCompare(b.team) || a.gameId - b.gameId);
+}
+
+// "team:gameId" -> minutes, the shape match-data.js annotates plays from
+function opponentGoalsByGame(workspace, dataset) {
+  return new Map(listOpponentGoals(workspace, dataset).map(record => [`${record.team}:${record.gameId}`, record.minutes]));
+}
+
+// Replaces the opponent's goals in one game
+function saveOpponentGoals(workspace, dataset, { team, gameId, minutes } = {}, userId = null) {
+  const squad = String(team || '').trim();
+  if (!squad) throw httpError(400, 'team is required');
+  if (!Number.isInteger(Number(gameId)) || Number(gameId) < 1) throw httpError(400, 'gameId must be a positive integer');
+
+  const record = {
+    workspace,
+    dataset,
+    team: squad,
+    gameId: Number(gameId),
+    minutes: parseMinutes(minutes),
+    updatedBy: userId,
+    updatedAt: new Date().toISOString()
+  };
+  const records = readRecords().filter(item => !matches(item, workspace, dataset, squad, record.gameId));
+  records.push(record);
+  writeRecords(records);
+  return record;
+}
+
+// Forgets the game's record, making its scoreline unknown again
+function deleteOpponentGoals(workspace, dataset, team, gameId) {
+  const records = readRecords();
+  const remaining = records.filter(item => !matches(item, workspace, dataset, team, Number(gameId)));
+  if (remaining.length === records.length) throw httpError(404, `No opponent goals recorded for ${team} game ${gameId}`);
+  writeRecords(remaining);
+}
+
+module.exports = { MAX_GOALS, goalsVersion, listOpponentGoals, opponentGoalsByGame, saveOpponentGoals, deleteOpponentGoals };
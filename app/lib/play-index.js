@@ -0,0 +1,269 @@
+const { isGoal, unique } = require('./match-data');
+const { WEIGHTS, MAX_NEIGHBOURS, scenarioFromText, minuteSimilarity } = require('./scenario');
+const { locationSimilarity, zoneSimilarity, zoneFromText } = require('./locations');
+
+// Retrieval for free-text questions. Every play becomes a short document of
+// its field values plus descriptive words ("goal", "second half", ...) and is
+// indexed with TF-IDF. A question is scored against each play three ways:
+//   vector:  cosine similarity of the TF-IDF vectors
+//   keyword: share of the question's words the play contains
+//   fields:  the scenario read from the question (opponent, minutes, location,
+//            play type, ...), graded like the scenario builder, so minute 70
+//            is close to minute 75 and "left wing" is close to "Left wing
+//            close to box"
+// An index is built once per parsed dataset. loadPlays hands out a new array
+// whenever the file changes, so a changed dataset is re-indexed on next use.
+
+// Blend of the three scores; without recognised fields only text counts
+const SCORE_WEIGHTS = { fields: 0.5, vector: 0.3, keyword: 0.2 };
+const TEXT_ONLY_WEIGHTS = { fields: 0, vector: 0.6, keyword: 0.4 };
+// Plays scoring below this are not returned at all
+const MIN_SCORE = 0.1;
+// Share of the score given to vague timing words ("early", "late"). They are
+// everyday words, so they only nudge the ranking and never decide an exact match.
+const TIMING_WEIGHT = 0.1;
+const TIMING_WORDS = [
+  { pattern: /\b(late|closing|dying|final minutes)\b/, range: { minuteFrom: 60, minuteTo: 90 } },
+  { pattern: /\b(early|opening)\b/, range: { minuteFrom: 1, minuteTo: 30 } }
+];
+
+const STOPWORDS = new Set((
+  'a an and are as at be by did do does for from has have how i if in into is it its of on or our out should ' +
+  'so than that the their them then there they this to was we were what when where which who why will with would you your ' +
+  'play plays team game games match matches against vs versus'
+).split(' '));
+
+// Question words -> the terms the play documents use
+const SYNONYMS = {
+  counter: 'counterattack',
+  break: 'fast',
+  breakaway: 'counterattack',
+  setpiece: 'set',
+  scored: 'goal',
+  score: 'goal',
+  scoring: 'goal',
+  finish: 'goal',
+  shoot: 'shot',
+  shooting: 'shot',
+  keeper: 'saved',
+  goalkeeper: 'saved',
+  save: 'saved',
+  flank: 'wing',
+  side: 'wing',
+  area: 'box',
+  rebound: 'second',
+  cutback: 'cutback',
+  pullback: 'cutback',
+  lose: 'turnover',
+  lost: 'turnover',
+  losing: 'turnover'
+};
+
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('es')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/set[- ]piece/g, 'setpiece')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOPWORDS.has(word) && !/^\d+$/.test(word))
+    .map(word => SYNONYMS[word] || stem(word));
+}
+
+function playText(play) {
+  const words = [
+    play.team,
+    play.opponent,
+    play.playType,
+    play.playContext,
+    play.location,
+    play.outcome,
+    play.assistType === 'None' ? '' : `${play.assistType} assist`,
+    play.playSpeed,
+    play.playerInvolvement,
+    play.phaseOfMatch,
+    play.minute === null ? '' : play.minute <= 45 ? 'first half' : 'second half',
+    play.shotAttempt ? 'shot' : '',
+    play.shotOutcome,
+    isGoal(play) ? 'goal scored' : '',
+    play.success ? 'success' : 'failed',
+    play.secondChance ? 'second chance' : '',
+    play.finalThirdEntry ? 'final third' : ''
+  ];
+  return words.filter(Boolean).join(' ');
+}
+
+// term -> (1 + log tf) * idf, L2-normalised
+function vectorize(tokens, idf) {
+  const counts = new Map();
+  tokens.forEach(token => {
+    if (idf.has(token)) counts.set(token, (counts.get(token) || 0) + 1);
+  });
+  const vector = new Map();
+  let norm = 0;
+  counts.forEach((count, token) => {
+    const weight = (1 + Math.log(count)) * idf.get(token);
+    vector.set(token, weight);
+    norm += weight * weight;
+  });
+  norm = Math.sqrt(norm);
+  vector.forEach((weight, token) => vector.set(token, weight / norm));
+  return vector;
+}
+
+function cosine(a, b) {
+  let total = 0;
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  small.forEach((weight, token) => {
+    if (large.has(token)) total += weight * large.get(token);
+  });
+  return total;
+}
+
+function buildIndex(plays) {
+  const documents = plays.map(play => tokenize(playText(play)));
+  const documentFrequency = new Map();
+  documents.forEach(tokens => {
+    new Set(tokens).forEach(token => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+  });
+  const idf = new Map();
+  documentFrequency.forEach((count, token) => {
+    idf.set(token, Math.log((plays.length + 1) / (count + 1)) + 1);
+  });
+
+  return {
+    plays,
+    idf,
+    entries: documents.map((tokens, index) => ({
+      play: plays[index],
+      terms: new Set(tokens),
+      vector: vectorize(tokens, idf)
+    })),
+    teams: unique(plays, 'team'),
+    opponents: unique(plays, 'opponent')
+  };
+}
+
+const indexes = new WeakMap();
+
+function getIndex(plays) {
+  if (!indexes.has(plays)) indexes.set(plays, buildIndex(plays));
+  return indexes.get(plays);
+}
+
+// Longest name mentioned in the text, so "Thunder FC II" beats "Thunder FC"
+function findName(lower, names) {
+  return names
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .find(name => lower.includes(String(name).toLowerCase()));
+}
+
+function minuteRangeFromText(lower) {
+  const range = lower.match(/minutes?\s+(\d{1,2})\s*(?:-|–|to|and)\s*(\d{1,2})\b/);
+  if (range) return { minuteFrom: Number(range[1]), minuteTo: Number(range[2]) };
+  const single = lower.match(/\b(\d{1,2})(?:st|nd|rd|th)?[- ]min(?:ute)?s?\b/) || lower.match(/\bminute\s+(\d{1,2})\b/);
+  if (single) return { minuteFrom: Number(single[1]), minuteTo: Number(single[1]) };
+  if (/\bfirst half\b/.test(lower)) return { minuteFrom: 1, minuteTo: 45 };
+  if (/\bsecond half\b/.test(lower)) return { minuteFrom: 46, minuteTo: 90 };
+  return {};
+}
+
+// Minute range hinted at by a vague timing word, when no range is explicit
+function timingFromText(lower) {
+  const match = TIMING_WORDS.find(({ pattern }) => pattern.test(lower));
+  return match ? match.range : null;
+}
+
+// The structured parts of a question: the scenario builder's fields where they
+// are named outright, squad and opponent names from the dataset, minutes, and
+// a side/depth zone when no full location is given. A vague timing word is
+// kept apart as timing, which only boosts the ranking.
+function fieldsFromText(query, index) {
+  const lower = String(query || '').toLowerCase();
+  const { location, playType, playContext, assistType, playSpeed } = scenarioFromText(query);
+  const fields = { location, playType, playContext, assistType, playSpeed, ...minuteRangeFromText(lower) };
+  fields.team = findName(lower, index.teams);
+  fields.opponent = findName(lower, index.opponents);
+  if (!fields.location) fields.zone = zoneFromText(lower);
+  if (fields.zone && !fields.zone.side && !fields.zone.depth) delete fields.zone;
+  if (fields.minuteFrom === undefined) fields.timing = timingFromText(lower) || undefined;
+
+  Object.keys(fields).forEach(key => {
+    if (fields[key] === undefined) delete fields[key];
+  });
+  return fields;
+}
+
+// Weighted 0-1 agreement with the recognised fields; another squad scores 0
+function fieldScore(play, fields) {
+  if (fields.team && play.team !== fields.team) return 0;
+  let total = 0;
+  let weights = 0;
+  const add = (weight, similarity) => {
+    total += weight * similarity;
+    weights += weight;
+  };
+
+  if (fields.opponent) add(WEIGHTS.opponent, play.opponent === fields.opponent ? 1 : 0);
+  if (fields.minuteFrom !== undefined) add(WEIGHTS.minute, minuteSimilarity(play.minute, fields));
+  if (fields.location) add(WEIGHTS.location, locationSimilarity(play.location, fields.location));
+  if (fields.zone) add(WEIGHTS.location, zoneSimilarity(play.location, fields.zone));
+  ['playType', 'playContext', 'assistType', 'playSpeed'].forEach(field => {
+    if (fields[field]) add(WEIGHTS[field], play[field] === fields[field] ? 1 : 0);
+  });
+
+  return weights ? total / weights : 1;
+}
+
+// Ranks the plays for a free-text question. Plays agreeing with every
+// recognised field are "exact" matches and are all returned; up to
+// `neighbours` of the best other plays follow. Returned plays are copies
+// annotated with matchType, similarity (the blended score) and its parts.
+function searchIndex(plays, query, { neighbours = MAX_NEIGHBOURS } = {}) {
+  const index = getIndex(plays);
+  const { timing, ...fields } = fieldsFromText(query, index);
+  const hasFields = Object.keys(fields).length > 0;
+  const weights = hasFields ? SCORE_WEIGHTS : TEXT_ONLY_WEIGHTS;
+  const tokens = tokenize(query);
+  const queryTerms = [...new Set(tokens)];
+  const queryVector = vectorize(tokens, index.idf);
+
+  const scored = index.entries.map(entry => {
+    const scores = {
+      fields: hasFields ? fieldScore(entry.play, fields) : 0,
+      vector: queryVector.size ? cosine(queryVector, entry.vector) : 0,
+      keyword: queryTerms.length ? queryTerms.filter(term => entry.terms.has(term)).length / queryTerms.length : 0
+    };
+    let score = weights.fields * scores.fields + weights.vector * scores.vector + weights.keyword * scores.keyword;
+    if (timing) {
+      scores.timing = minuteSimilarity(entry.play.minute, timing);
+      score = (1 - TIMING_WEIGHT) * score + TIMING_WEIGHT * scores.timing;
+    }
+    return { play: entry.play, scores, score };
+  });
+  // A different squad named in the question rules a play out entirely
+  const candidates = scored.filter(item => !(fields.team && item.play.team !== fields.team));
+
+  const byScore = (a, b) => b.score - a.score || a.play.id - b.play.id;
+  const exact = hasFields ? candidates.filter(item => item.scores.fields === 1).sort(byScore) : [];
+  const similar = candidates
+    .filter(item => !exact.includes(item) && item.score >= MIN_SCORE)
+    .sort(byScore)
+    .slice(0, neighbours);
+
+  const annotate = matchType => ({ play, score, scores }) => ({
+    ...play,
+    matchType,
+    similarity: matchType === 'exact' ? 1 : score,
+    retrieval: { score, ...scores }
+  });
+  return [...exact.map(annotate('exact')), ...similar.map(annotate('similar'))];
+}
+
+module.exports = { SCORE_WEIGHTS, getIndex, fieldsFromText, searchIndex };
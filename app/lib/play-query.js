@@ -0,0 +1,221 @@
+const { FIELDS } = require('./match-data');
+
+// Shared query-string handling for the plays and aggregate endpoints.
+// Filters accept repeated or comma-separated values, e.g.
+// ?team=U19&opponent=Thunder FC,Golden Lions&seasonFrom=2015&minuteTo=30
+
+const PLAY_KEYS = Object.values(FIELDS).map(field => field.key);
+
+// Query parameter -> play field for the multi-value exact-match filters
+const LIST_FILTERS = {
+  team: 'team',
+  opponent: 'opponent',
+  playType: 'playType',
+  playContext: 'playContext',
+  location: 'location',
+  phaseOfMatch: 'phaseOfMatch',
+  shotOutcome: 'shotOutcome',
+  playerInvolvement: 'playerInvolvement',
+  shooterId: 'shooterId',
+  assisterId: 'assisterId',
+  // leading | level | trailing and W | D | L, for games with recorded opponent goals
+  gameState: 'gameState',
+  result: 'result'
+};
+
+// Query parameter -> [play field, bound] for the numeric range filters
+const RANGE_FILTERS = {
+  seasonFrom: ['season', 'min'],
+  seasonTo: ['season', 'max'],
+  minuteFrom: ['minute', 'min'],
+  minuteTo: ['minute', 'max']
+};
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values.flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+function toInteger(value, name) {
+  if (!/^-?\d+$/.test(String(value).trim())) {
+    throw badRequest(`${name} must be an integer`);
+  }
+  return Number(value);
+}
+
+// Turns req.query into { lists: { field: [values] }, ranges: { field: { min, max } } }
+function parseFilters(query = {}) {
+  const filters = { lists: {}, ranges: {} };
+
+  Object.keys(LIST_FILTERS).forEach(param => {
+    const values = toList(query[param]);
+    if (!values.length) return;
+    // shotOutcome=none selects plays without a shot
+    filters.lists[LIST_FILTERS[param]] = param === 'shotOutcome'
+      ? values.map(value => (value.toLowerCase() === 'none' ? null : value))
+      : values;
+  });
+
+  Object.keys(RANGE_FILTERS).forEach(param => {
+    if (query[param] === undefined || query[param] === '') return;
+    const [field, bound] = RANGE_FILTERS[param];
+    filters.ranges[field] = filters.ranges[field] || {};
+    filters.ranges[field][bound] = toInteger(query[param], param);
+  });
+
+  return filters;
+}
+
+function applyFilters(plays, filters) {
+  const lists = Object.entries(filters.lists);
+  const ranges = Object.entries(filters.ranges);
+  if (!lists.length && !ranges.length) return plays;
+
+  return plays.filter(play =>
+    lists.every(([field, values]) => values.includes(play[field])) &&
+    ranges.every(([field, { min, max }]) => {
+      const value = play[field];
+      if (value === null) return false;
+      return (min === undefined || value >= min) && (max === undefined || value <= max);
+    })
+  );
+}
+
+// "sort=-xG,minute" -> [{ field: 'xG', direction: -1 }, { field: 'minute', direction: 1 }].
+// Play id is always appended as a tie-breaker so cursors are stable.
+function parseSort(value) {
+  const sort = toList(value).map(item => {
+    const direction = item.startsWith('-') ? -1 : 1;
+    const field = item.replace(/^[-+]/, '');
+    if (!PLAY_KEYS.includes(field)) {
+      throw badRequest(`Cannot sort by unknown field "${field}"`);
+    }
+    return { field, direction };
+  });
+  if (!sort.some(item => item.field === 'id')) {
+    sort.push({ field: 'id', direction: 1 });
+  }
+  return sort;
+}
+
+// Nulls sort last regardless of direction
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return a < b ? -1 : 1;
+}
+
+function compareBySort(sort, a, b) {
+  for (const { field, direction } of sort) {
+    const result = compareValues(a[field], b[field]);
+    if (result !== 0) {
+      return a[field] === null || b[field] === null ? result : result * direction;
+    }
+  }
+  return 0;
+}
+
+function parseFields(value) {
+  const fields = toList(value);
+  const unknown = fields.filter(field => !PLAY_KEYS.includes(field));
+  if (unknown.length) {
+    throw badRequest(`Unknown fields: ${unknown.join(', ')}`);
+  }
+  return fields;
+}
+
+function parseLimit(value) {
+  if (value === undefined || value === '') return DEFAULT_LIMIT;
+  const limit = toInteger(value, 'limit');
+  if (limit < 1 || limit > MAX_LIMIT) {
+    throw badRequest(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  return limit;
+}
+
+// Cursors are opaque to clients: the sort spec plus the sort-key values of the
+// last play on the previous page, base64url-encoded.
+function encodeCursor(sortSpec, play) {
+  const payload = { s: sortSpec, v: parseSort(sortSpec).map(({ field }) => play[field]) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sortSpec) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw badRequest('Invalid cursor');
+  }
+  if (!payload || payload.s !== sortSpec || !Array.isArray(payload.v)) {
+    throw badRequest('Cursor does not match the requested sort');
+  }
+  const sort = parseSort(sortSpec);
+  const position = {};
+  sort.forEach(({ field }, index) => {
+    position[field] = payload.v[index] === undefined ? null : payload.v[index];
+  });
+  return position;
+}
+
+function pickFields(play, fields) {
+  if (!fields.length) return play;
+  const picked = {};
+  fields.forEach(field => {
+    picked[field] = play[field];
+  });
+  return picked;
+}
+
+// Filters, sorts and pages plays according to the request query
+function queryPlays(plays, query = {}) {
+  const filters = parseFilters(query);
+  const sortSpec = toList(query.sort).join(',');
+  const sort = parseSort(sortSpec);
+  const fields = parseFields(query.fields);
+  const limit = parseLimit(query.limit);
+
+  const matching = applyFilters(plays, filters).slice().sort((a, b) => compareBySort(sort, a, b));
+
+  let start = 0;
+  if (query.cursor) {
+    const position = decodeCursor(query.cursor, sortSpec);
+    start = matching.findIndex(play => compareBySort(sort, play, position) > 0);
+    if (start === -1) start = matching.length;
+  }
+
+  const page = matching.slice(start, start + limit);
+  const hasMore = start + limit < matching.length;
+
+  return {
+    data: page.map(play => pickFields(play, fields)),
+    total: matching.length,
+    pageInfo: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(sortSpec, page[page.length - 1]) : null
+    }
+  };
+}
+
+module.exports = {
+  PLAY_KEYS,
+  badRequest,
+  toList,
+  toInteger,
+  compareValues,
+  parseFilters,
+  applyFilters,
+  queryPlays
+};
@@ -0,0 +1,227 @@
+const { ENUMS } = require('./schema');
+const { isGoal, gameKey } = require('./match-data');
+const { badRequest } = require('./play-query');
+
+// Per-player analytics. Plays name their shooter and assister by roster ID;
+// the rosters (see roster-store.js) give the names, positions and minutes.
+// A player's involvements are the plays they shot or assisted.
+
+// Leaderboard columns that can be sorted on, best first
+const SORTS = ['goals', 'shots', 'xG', 'goalsMinusXG', 'assists', 'keyPasses', 'xA', 'involvements', 'involvementsPer90', 'goalsPer90'];
+const FAVOURITE_LOCATIONS = 3;
+const MAX_PROFILE_PLAYS = 100;
+
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+}
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+const xgOf = shots => sum(shots.map(play => play.xG || 0));
+const per90 = (count, minutes) => (minutes ? (count / minutes) * 90 : null);
+
+// id -> { id, name, position, number, seasons: [{ team, season, minutes }] },
+// with the name, position and number from the player's latest roster
+function buildDirectory(rosters) {
+  const directory = new Map();
+  rosters.slice().sort((a, b) => a.season - b.season).forEach(roster => {
+    roster.players.forEach(player => {
+      const entry = directory.get(player.id) || { id: player.id, seasons: [] };
+      Object.assign(entry, { name: player.name, position: player.position, number: player.number });
+      entry.seasons.push({ team: roster.team, season: roster.season, minutes: player.minutes });
+      directory.set(player.id, entry);
+    });
+  });
+  return directory;
+}
+
+// IDs that appear in plays but on no roster still get a row, named by ID
+function playerInfo(directory, id) {
+  return directory.get(id) || { id, name: id, position: null, number: null, seasons: [] };
+}
+
+// Squad games per "team:season" in a set of plays
+function gamesBySeason(plays) {
+  const games = new Map();
+  plays.forEach(play => {
+    const key = `${play.team}:${play.season}`;
+    if (!games.has(key)) games.set(key, new Set());
+    games.get(key).add(gameKey(play));
+  });
+  return games;
+}
+
+// Minutes available to the player in the filtered plays. Recorded season
+// minutes are scaled by the share of that season's games the filters kept;
+// without them every squad game counts as 90 minutes. null for players on
+// no roster.
+function minutesFor(player, games, allGames) {
+  let minutes = 0;
+  let estimated = false;
+  player.seasons.forEach(({ team, season, minutes: recorded }) => {
+    const key = `${team}:${season}`;
+    const count = games.has(key) ? games.get(key).size : 0;
+    if (!count) return;
+    if (recorded === null || recorded === undefined) {
+      minutes += count * 90;
+      estimated = true;
+    } else {
+      minutes += recorded * (count / allGames.get(key).size);
+    }
+  });
+  if (!player.seasons.length) return { minutes: null, minutesEstimated: false };
+  return { minutes, minutesEstimated: estimated };
+}
+
+function statsFor(player, plays, minutes) {
+  const shots = plays.filter(play => play.shooterId === player.id && play.shotAttempt);
+  const goals = shots.filter(isGoal).length;
+  const assisted = plays.filter(play => play.assisterId === player.id);
+  const assistedShots = assisted.filter(play => play.shotAttempt);
+  const assists = assisted.filter(isGoal).length;
+  const involved = plays.filter(play => play.shooterId === player.id || play.assisterId === player.id);
+  const xG = xgOf(shots);
+
+  return {
+    id: player.id,
+    name: player.name,
+    position: player.position,
+    number: player.number,
+    teams: [...new Set(player.seasons.map(item => item.team))],
+    games: new Set(involved.map(gameKey)).size,
+    shots: shots.length,
+    goals,
+    xG,
+    goalsMinusXG: goals - xG,
+    xgPerShot: shots.length ? xG / shots.length : null,
+    conversionRate: shots.length ? (goals / shots.length) * 100 : null,
+    keyPasses: assistedShots.length,
+    assists,
+    xA: xgOf(assistedShots),
+    involvements: involved.length,
+    ...minutes,
+    involvementsPer90: per90(involved.length, minutes.minutes),
+    goalsPer90: per90(goals, minutes.minutes)
+  };
+}
+
+// Player IDs involved in the plays, plus rostered players of the squads and
+// seasons the plays cover
+function playerIds(plays, directory) {
+  const games = gamesBySeason(plays);
+  const ids = new Set();
+  plays.forEach(play => {
+    if (play.shooterId) ids.add(play.shooterId);
+    if (play.assisterId) ids.add(play.assisterId);
+  });
+  directory.forEach(player => {
+    if (player.seasons.some(({ team, season }) => games.has(`${team}:${season}`))) ids.add(player.id);
+  });
+  return [...ids];
+}
+
+function parseSort(sort = 'goals') {
+  if (!SORTS.includes(sort)) throw badRequest(`sort must be one of ${SORTS.join(', ')}`);
+  return sort;
+}
+
+// plays are the filtered plays, allPlays the whole dataset (for scaling
+// recorded minutes); rows are sorted by `sort`, nulls last
+function leaderboard(plays, rosters, { allPlays = plays, sort = 'goals' } = {}) {
+  const key = parseSort(sort);
+  const directory = buildDirectory(rosters);
+  const games = gamesBySeason(plays);
+  const allGames = gamesBySeason(allPlays);
+  return playerIds(plays, directory)
+    .map(id => {
+      const player = playerInfo(directory, id);
+      return statsFor(player, plays, minutesFor(player, games, allGames));
+    })
+    .sort((a, b) => {
+      if (a[key] === b[key]) return b.involvements - a.involvements || a.name.localeCompare(b.name);
+      if (a[key] === null) return 1;
+      if (b[key] === null) return -1;
+      return b[key] - a[key];
+    });
+}
+
+function assistsByType(player, plays) {
+  const assisted = plays.filter(play => play.assisterId === player.id);
+  return ENUMS['Assist Type']
+    .map(assistType => {
+      const typed = assisted.filter(play => play.assistType === assistType);
+      const shots = typed.filter(play => play.shotAttempt);
+      return { assistType, chances: typed.length, keyPasses: shots.length, assists: typed.filter(isGoal).length, xA: xgOf(shots) };
+    })
+    .filter(row => row.chances);
+}
+
+function favouriteLocations(player, plays) {
+  const involved = plays.filter(play => play.shooterId === player.id || play.assisterId === player.id);
+  const counts = new Map();
+  involved.filter(play => play.location).forEach(play => {
+    const row = counts.get(play.location) || { location: play.location, involvements: 0, shots: 0, goals: 0 };
+    row.involvements++;
+    if (play.shooterId === player.id && play.shotAttempt) row.shots++;
+    if (play.shooterId === player.id && isGoal(play)) row.goals++;
+    counts.set(play.location, row);
+  });
+  return [...counts.values()]
+    .sort((a, b) => b.involvements - a.involvements || b.goals - a.goals)
+    .slice(0, FAVOURITE_LOCATIONS)
+    .map(row => ({ ...row, share: (row.involvements / involved.length) * 100 }));
+}
+
+// One player's stats overall and by season, their assists by type, favourite
+// locations and latest involvements
+function playerProfile(plays, rosters, id, { allPlays = plays } = {}) {
+  const directory = buildDirectory(rosters);
+  const involved = plays.filter(play => play.shooterId === id || play.assisterId === id);
+  if (!directory.has(id) && !involved.length) throw notFound(`Player "${id}" not found`);
+
+  const player = playerInfo(directory, id);
+  const allGames = gamesBySeason(allPlays);
+  const seasons = [...new Set([...player.seasons.map(item => item.season), ...involved.map(play => play.season)])].sort();
+  const bySeason = seasons.map(season => {
+    const seasonPlays = plays.filter(play => play.season === season);
+    return { season, ...statsFor(player, seasonPlays, minutesFor(player, gamesBySeason(seasonPlays), allGames)) };
+  }).filter(row => row.involvements || row.minutes);
+
+  return {
+    ...statsFor(player, plays, minutesFor(player, gamesBySeason(plays), allGames)),
+    rosters: player.seasons,
+    bySeason,
+    assistsByType: assistsByType(player, plays),
+    favouriteLocations: favouriteLocations(player, plays),
+    plays: involved
+      .slice()
+      .sort((a, b) => (b.date || '').localeCompare(a.date || '') || b.minute - a.minute)
+      .slice(0, MAX_PROFILE_PLAYS)
+      .map(play => ({ ...play, role: play.shooterId === id ? 'shooter' : 'assister' }))
+  };
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const mentions = (text, phrase) => new RegExp(`(^|[^\\p{L}\\d])${escapeRegExp(phrase)}($|[^\\p{L}\\d])`, 'iu').test(text);
+
+// Rostered players a question names, by full name, by a surname no teammate
+// shares, or by an ID that contains a digit (so IDs never match plain words)
+function playersInQuery(query, rosters) {
+  const directory = buildDirectory(rosters);
+  const surnames = new Map();
+  directory.forEach(player => {
+    const surname = player.name.split(/\s+/).pop().toLowerCase();
+    surnames.set(surname, (surnames.get(surname) || 0) + 1);
+  });
+  return [...directory.values()]
+    .filter(player => {
+      const surname = player.name.split(/\s+/).pop();
+      return mentions(query, player.name) ||
+        (surname.length >= 3 && surnames.get(surname.toLowerCase()) === 1 && mentions(query, surname)) ||
+        (/\d/.test(player.id) && mentions(query, player.id));
+    })
+    .map(player => player.id);
+}
+
+module.exports = { SORTS, buildDirectory, leaderboard, playerProfile, playersInQuery };
@@ -0,0 +1,234 @@
+const { isGoal, unique } = require('./match-data');
+const { aggregate, PRESETS } = require('./aggregate');
+const { SIDES, DEPTHS } = require('./locations');
+const { badRequest } = require('./play-query');
+
+// Printable scouting reports for one match or one opponent: key numbers, the
+// goals timeline, distance vs xG, the shot map and the workspace's saved
+// researcher, model and conclusion answers. Rendered to a self-contained HTML
+// page (inline SVG charts, no scripts besides the print button) so it prints
+// or saves to PDF from any browser.
+
+// Saved analyses picked automatically when none are named
+const MAX_AUTO_ANALYSES = 3;
+
+const STEP_TITLES = { researcher: 'Researcher', model: 'Model', conclusion: 'Conclusion' };
+
+function escapeHTML(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+}
+
+const fixed = (value, digits = 2) => (typeof value === 'number' ? value.toFixed(digits) : '–');
+
+// Narrows already-filtered plays to one game (gameId) or one opponent. A Game
+// ID shared by several squads needs ?team= to pick one.
+function selectReportPlays(plays, { gameId, opponent } = {}) {
+  if (gameId !== undefined) {
+    const gamePlays = plays.filter(play => play.gameId === gameId);
+    if (!gamePlays.length) throw notFound(`Game ${gameId} not found`);
+    const teams = unique(gamePlays, 'team');
+    if (teams.length > 1) {
+      throw badRequest(`Game ${gameId} exists for several squads (${teams.join(', ')}); add team=`);
+    }
+    return { kind: 'match', plays: gamePlays };
+  }
+  if (!opponent) throw badRequest('gameId or opponent is required');
+  const opponentPlays = plays.filter(play => play.opponent === opponent);
+  if (!opponentPlays.length) throw notFound(`No plays against "${opponent}"`);
+  return { kind: 'opponent', plays: opponentPlays };
+}
+
+// Analyses about this opponent: its scenario names it, or the question does
+function matchesOpponent(analysis, opponent) {
+  if (analysis.scenario && analysis.scenario.opponent) {
+    return analysis.scenario.opponent === opponent;
+  }
+  return String(analysis.query || '').toLowerCase().includes(String(opponent).toLowerCase());
+}
+
+function pickAnalyses(summaries, opponent) {
+  return summaries
+    .filter(summary => summary.researcher || summary.model || summary.conclusion)
+    .filter(summary => matchesOpponent(summary, opponent))
+    .slice(0, MAX_AUTO_ANALYSES);
+}
+
+function buildScoutingReport({ kind, plays }, analyses = []) {
+  const first = plays[0];
+  const teams = unique(plays, 'team');
+  const opponent = first.opponent;
+  const shots = plays.filter(play => play.shotAttempt);
+
+  return {
+    kind,
+    title: kind === 'match'
+      ? `Match report: ${first.team} vs ${opponent}, ${first.date}`
+      : `Scouting report: ${opponent}`,
+    opponent,
+    teams,
+    stats: aggregate(plays, PRESETS.keyStats)[0] || {},
+    games: aggregate(plays, { groupBy: ['date', 'team', 'gameId'], metrics: ['plays', 'shots', 'goals', 'xgSum'] })
+      .sort((a, b) => String(a.date).localeCompare(String(b.date))),
+    goals: plays.filter(isGoal).sort((a, b) => a.minute - b.minute),
+    shots: shots.filter(play => play.shotDistance !== null && play.xG !== null),
+    shotMap: aggregate(plays, PRESETS.shotMap),
+    analyses,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+// Charts
+
+function timelineSVG(goals) {
+  const width = 700;
+  const x = minute => 20 + (Math.min(90, minute || 0) / 90) * (width - 40);
+  const ticks = [0, 15, 30, 45, 60, 75, 90].map(minute => `
+    <line x1="${x(minute)}" y1="40" x2="${x(minute)}" y2="46" stroke="#999"/>
+    <text x="${x(minute)}" y="60" font-size="11" text-anchor="middle" fill="#666">${minute}'</text>`).join('');
+  const dots = goals.map(goal => `
+    <circle cx="${x(goal.minute)}" cy="30" r="${4 + Math.min(1, goal.xG || 0) * 10}" fill="#27ae60" fill-opacity="0.6" stroke="#1e8449">
+      <title>${escapeHTML(`${goal.minute}' ${goal.playType}, xG ${fixed(goal.xG)}`)}</title>
+    </circle>`).join('');
+  return `<svg viewBox="0 0 ${width} 70" width="100%" role="img" aria-label="Goals by minute">
+    <line x1="20" y1="43" x2="${width - 20}" y2="43" stroke="#999"/>${ticks}${dots}
+  </svg>`;
+}
+
+function scatterSVG(shots) {
+  const width = 700;
+  const height = 300;
+  const pad = 40;
+  const maxDistance = Math.max(40, ...shots.map(shot => shot.shotDistance));
+  const x = distance => pad + (distance / maxDistance) * (width - 2 * pad);
+  const y = xG => height - pad - Math.min(1, xG) * (height - 2 * pad);
+  const gridX = [0, 0.25, 0.5, 0.75, 1].map(share => Math.round(share * maxDistance)).map(distance => `
+    <text x="${x(distance)}" y="${height - pad + 16}" font-size="11" text-anchor="middle" fill="#666">${distance}m</text>`).join('');
+  const gridY = [0, 0.25, 0.5, 0.75, 1].map(xG => `
+    <line x1="${pad}" y1="${y(xG)}" x2="${width - pad}" y2="${y(xG)}" stroke="#eee"/>
+    <text x="${pad - 6}" y="${y(xG) + 4}" font-size="11" text-anchor="end" fill="#666">${xG.toFixed(2)}</text>`).join('');
+  const points = shots.map(shot => `
+    <circle cx="${x(shot.shotDistance)}" cy="${y(shot.xG)}" r="4" fill="${isGoal(shot) ? '#27ae60' : 'none'}" stroke="${isGoal(shot) ? '#1e8449' : '#7f8c8d'}">
+      <title>${escapeHTML(`${shot.shotDistance}m, xG ${fixed(shot.xG)}, ${shot.shotOutcome}`)}</title>
+    </circle>`).join('');
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Shot distance vs xG">
+    ${gridY}${gridX}
+    <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#999"/>
+    <line x1="${pad}" y1="${pad}" x2="${pad}" y2="${height - pad}" stroke="#999"/>
+    ${points}
+  </svg>`;
+}
+
+// Locations laid out as the pitch: wings left and right, nearest the goal on top
+function shotMapTable(rows) {
+  const byLocation = new Map(rows.map(row => [row.location, row]));
+  const sides = Object.keys(SIDES);
+  const cell = (side, depth) => {
+    const row = byLocation.get(`${side} ${depth}`);
+    if (!row) return '<td class="empty">–</td>';
+    return `<td><strong>${row.shots}</strong> shots · ${row.goals} goals<br>${fixed(row.xgAvg)} avg xG · ${fixed(row.conversionRate, 1)}%</td>`;
+  };
+  return `<table class="shot-map">
+    <tr><th></th>${sides.map(side => `<th>${side}</th>`).join('')}</tr>
+    ${Object.keys(DEPTHS).map(depth => `
+      <tr><th>${depth}</th>${sides.map(side => cell(side, depth)).join('')}</tr>`).join('')}
+  </table>`;
+}
+
+function analysisSection(analysis) {
+  const steps = Object.keys(STEP_TITLES).filter(step => analysis[step]);
+  return `<div class="analysis">
+    <h3>${escapeHTML(analysis.name)}</h3>
+    <div class="meta">${escapeHTML(analysis.createdAt.slice(0, 10))}${analysis.dataset ? ` · dataset ${escapeHTML(analysis.dataset)}` : ''}</div>
+    ${steps.map(step => {
+      const prediction = step === 'model' && analysis.model.prediction;
+      return `<h4>${STEP_TITLES[step]}${prediction ? ` (xG ${fixed(prediction.xG)})` : ''}</h4>
+        <div class="answer">${escapeHTML(analysis[step].text)}</div>`;
+    }).join('')}
+  </div>`;
+}
+
+function renderScoutingReport(report) {
+  const { stats } = report;
+  const statCells = [
+    ['Games', stats.games, 0],
+    ['Goals', stats.goals, 0],
+    ['Shots', stats.shots, 0],
+    ['Total xG', stats.xgSum, 2],
+    ['Conversion', stats.conversionRate, 1, '%'],
+    ['xG per shot', stats.xgPerShot, 2]
+  ].map(([label, value, digits, unit = '']) => `<div class="stat"><div class="value">${fixed(value || 0, digits)}${unit}</div><div class="label">${label}</div></div>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(report.title)}</title>
+<style>
+  body { font-family: sans-serif; color: #333; max-width: 900px; margin: 0 auto; padding: 20px; }
+  h1 { margin-bottom: 4px; }
+  h2 { border-bottom: 2px solid #007bff; padding-bottom: 4px; margin-top: 30px; }
+  .meta { color: #666; font-size: 13px; }
+  .stats { display: flex; gap: 10px; flex-wrap: wrap; }
+  .stat { flex: 1; min-width: 110px; background: #f8f9fa; border-radius: 6px; padding: 10px; text-align: center; }
+  .stat .value { font-size: 22px; font-weight: bold; }
+  .stat .label { font-size: 12px; color: #666; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { border: 1px solid #ddd; padding: 6px; text-align: left; vertical-align: top; }
+  th { background: #f8f9fa; }
+  .shot-map td { text-align: center; }
+  .shot-map td.empty { color: #bbb; }
+  .analysis { page-break-inside: avoid; margin-bottom: 20px; }
+  .answer { white-space: pre-wrap; font-size: 13px; line-height: 1.4; }
+  .print-button { position: fixed; top: 15px; right: 15px; background: #007bff; color: white; border: none; border-radius: 5px; padding: 10px 16px; cursor: pointer; }
+  @media print {
+    .print-button { display: none; }
+    body { padding: 0; }
+    h2 { page-break-after: avoid; }
+  }
+</style>
+</head>
+<body>
+  <button class="print-button" onclick="window.print()">Print / Save as PDF</button>
+  <h1>${escapeHTML(report.title)}</h1>
+  <div class="meta">${report.teams.length ? `Squads: ${escapeHTML(report.teams.join(', '))} · ` : ''}Generated ${escapeHTML(report.generatedAt.slice(0, 16).replace('T', ' '))} UTC</div>
+
+  <h2>Key Numbers</h2>
+  <div class="stats">${statCells}</div>
+  ${report.kind === 'opponent' ? `
+  <h2>Games</h2>
+  <table>
+    <tr><th>Date</th><th>Squad</th><th>Plays</th><th>Shots</th><th>Goals</th><th>xG</th></tr>
+    ${report.games.map(game => `<tr><td>${escapeHTML(game.date)}</td><td>${escapeHTML(game.team)}</td><td>${game.plays}</td><td>${game.shots}</td><td>${game.goals}</td><td>${fixed(game.xgSum)}</td></tr>`).join('')}
+  </table>` : ''}
+
+  <h2>Goals Timeline</h2>
+  ${report.goals.length ? `${timelineSVG(report.goals)}
+  <table>
+    <tr><th>Minute</th>${report.kind === 'opponent' ? '<th>Date</th>' : ''}<th>Play Type</th><th>Location</th><th>Assist</th><th>xG</th></tr>
+    ${report.goals.map(goal => `<tr><td>${goal.minute}'</td>${report.kind === 'opponent' ? `<td>${escapeHTML(goal.date)}</td>` : ''}<td>${escapeHTML(goal.playType)}</td><td>${escapeHTML(goal.location)}</td><td>${escapeHTML(goal.assistType)}</td><td>${fixed(goal.xG)}</td></tr>`).join('')}
+  </table>` : '<p class="meta">No goals.</p>'}
+
+  <h2>Distance vs Expected Goals</h2>
+  ${report.shots.length ? `${scatterSVG(report.shots)}<p class="meta">Filled dots are goals.</p>` : '<p class="meta">No shots with a recorded distance.</p>'}
+
+  <h2>Shot Map</h2>
+  ${report.shotMap.length ? shotMapTable(report.shotMap) : '<p class="meta">No shots.</p>'}
+
+  <h2>Saved Analyses</h2>
+  ${report.analyses.length ? report.analyses.map(analysisSection).join('') : '<p class="meta">No saved analyses about this opponent.</p>'}
+</body>
+</html>
+`;
+}
+
+module.exports = { MAX_AUTO_ANALYSES, selectReportPlays, pickAnalyses, buildScoutingReport, renderScoutingReport };
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./dataset-store');
+const { ENUMS, PLAYER_ID_PATTERN } = require('./schema');
+const { badRequest } = require('./play-query');
+
+// Squad rosters, one per workspace, squad and season, persisted in
+// DATA_DIR/rosters.json. Plays name their shooter and assister by player ID
+// (the Shooter ID and Assister ID columns); a player keeps the same ID from
+// season to season, so their rows across rosters make up their career.
+const ROSTERS_PATH = path.join(DATA_DIR, 'rosters.json');
+
+const MAX_PLAYERS = 60;
+
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+}
+
+function readRosters() {
+  try {
+    return JSON.parse(fs.readFileSync(ROSTERS_PATH, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Error reading rosters:', err);
+    }
+    return [];
+  }
+}
+
+function writeRosters(rosters) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(ROSTERS_PATH, JSON.stringify(rosters, null, 2));
+}
+
+const hasValue = value => value !== undefined && value !== null && value !== '';
+
+function optionalInteger(value, label, min, max) {
+  if (!hasValue(value)) return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw badRequest(`${label} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// { id, name, position, number, minutes }: minutes are the minutes the player
+// played that season, when known, for the per-90 figures
+function parsePlayers(players) {
+  if (!Array.isArray(players)) throw badRequest('players must be an array');
+  if (players.length > MAX_PLAYERS) throw badRequest(`A roster holds at most ${MAX_PLAYERS} players`);
+  const seen = new Set();
+  return players.map((player, index) => {
+    const label = `players[${index}]`;
+    const id = String((player && player.id) || '').trim();
+    if (!PLAYER_ID_PATTERN.test(id)) {
+      throw badRequest(`${label}.id must be 1-32 letters, numbers, dashes or underscores`);
+    }
+    if (seen.has(id)) throw badRequest(`${label}.id "${id}" appears twice`);
+    seen.add(id);
+    const name = String(player.name || '').trim();
+    if (!name || name.length > 80) throw badRequest(`${label}.name is required (at most 80 characters)`);
+    const position = hasValue(player.position) ? player.position : null;
+    if (position !== null && !ENUMS['Player Involvement'].includes(position)) {
+      throw badRequest(`${label}.position must be one of ${ENUMS['Player Involvement'].join(', ')}`);
+    }
+    return {
+      id,
+      name,
+      position,
+      number: optionalInteger(player.number, `${label}.number`, 1, 99),
+      minutes: optionalInteger(player.minutes, `${label}.minutes`, 0, 10000)
+    };
+  });
+}
+
+// Every roster of the workspace, oldest season first
+function listRosters(workspace) {
+  return readRosters()
+    .filter(roster => roster.workspace === workspace)
+    .sort((a, b) => a.season - b.season || a.team.localeCompare(b.team));
+}
+
+function getRoster(workspace, team, season) {
+  const roster = readRosters().find(item => item.workspace === workspace && item.team === team && item.season === Number(season));
+  if (!roster) throw notFound(`No ${season} roster for ${team}`);
+  return roster;
+}
+
+// Replaces the squad's roster for the season
+function saveRoster(workspace, { team, season, players } = {}, userId = null) {
+  const squad = String(team || '').trim();
+  if (!squad) throw badRequest('team is required');
+  if (!/^\d{4}$/.test(String(season))) throw badRequest('season must be a four-digit year');
+
+  const roster = {
+    workspace,
+    team: squad,
+    season: Number(season),
+    players: parsePlayers(players),
+    updatedBy: userId,
+    updatedAt: new Date().toISOString()
+  };
+  const rosters = readRosters().filter(item => !(item.workspace === workspace && item.team === squad && item.season === roster.season));
+  rosters.push(roster);
+  writeRosters(rosters);
+  return roster;
+}
+
+module.exports = { MAX_PLAYERS, listRosters, getRoster, saveRoster };
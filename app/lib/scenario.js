@@ -0,0 +1,194 @@
+const { ENUMS } = require('./schema');
+const { locationSimilarity } = require('./locations');
+const { badRequest } = require('./play-query');
+
+// Structured scenario posted by the scenario builder:
+// { team, opponent, minuteFrom, minuteTo, location, playType, playContext, assistType, playSpeed }
+// plus optional shot details for the xG model: shotDistance, numberOfPasses, secondChance
+const CATEGORY_FIELDS = {
+  location: ENUMS['Location on Field'],
+  playType: ENUMS['Play Type'],
+  playContext: ENUMS['Play Context'],
+  assistType: ENUMS['Assist Type'],
+  playSpeed: ENUMS['Play Speed']
+};
+
+// Relative weight of each field when ranking nearest-neighbour plays
+const WEIGHTS = {
+  opponent: 1,
+  minute: 1,
+  location: 2,
+  playType: 1.5,
+  playContext: 1,
+  assistType: 1,
+  playSpeed: 1
+};
+
+// Plays this many minutes outside the window no longer count as close in time
+const MINUTE_FALLOFF = 30;
+const MAX_NEIGHBOURS = 20;
+
+// Scenario fields that can be recognised in free text
+const TEXT_FIELDS = {
+  ...CATEGORY_FIELDS,
+  assistType: CATEGORY_FIELDS.assistType.filter(value => value !== 'None')
+};
+
+// Best-effort extraction of a scenario from a free-text question, e.g.
+// "counterattack from the left wing inside box, 18m out after a cutback".
+// Longer values win so "Left wing inside box" is not read as "Central inside box".
+function scenarioFromText(text) {
+  const lower = String(text || '').toLowerCase();
+  const scenario = {};
+
+  Object.keys(TEXT_FIELDS).forEach(field => {
+    const match = TEXT_FIELDS[field]
+      .slice()
+      .sort((a, b) => b.length - a.length)
+      .find(value => lower.includes(value.toLowerCase()));
+    if (match) scenario[field] = match;
+  });
+
+  const distance = lower.match(/(\d+(?:\.\d+)?)\s*(?:m|meters?|metres?|yards?|yds?)\b/);
+  if (distance) scenario.shotDistance = Number(distance[1]);
+
+  const passes = lower.match(/(\d+)\s*pass(?:es)?\b/);
+  if (passes) scenario.numberOfPasses = Number(passes[1]);
+
+  if (/second[- ]chance|rebound/.test(lower)) scenario.secondChance = true;
+
+  return scenario;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '' || value === 'all';
+}
+
+// Validates a posted scenario and drops empty fields. Returns null when no
+// field is set so callers can fall back to keyword retrieval.
+function normalizeScenario(input) {
+  if (!input || typeof input !== 'object') return null;
+  const scenario = {};
+
+  ['team', 'opponent'].forEach(field => {
+    if (!isBlank(input[field])) scenario[field] = String(input[field]).trim();
+  });
+  Object.keys(CATEGORY_FIELDS).forEach(field => {
+    if (isBlank(input[field])) return;
+    if (!CATEGORY_FIELDS[field].includes(input[field])) {
+      throw badRequest(`scenario.${field} must be one of ${CATEGORY_FIELDS[field].join(', ')}`);
+    }
+    scenario[field] = input[field];
+  });
+  ['minuteFrom', 'minuteTo'].forEach(field => {
+    if (isBlank(input[field])) return;
+    const minute = Number(input[field]);
+    if (!Number.isInteger(minute) || minute < 1 || minute > 90) {
+      throw badRequest(`scenario.${field} must be a minute between 1 and 90`);
+    }
+    scenario[field] = minute;
+  });
+  if (scenario.minuteFrom !== undefined && scenario.minuteTo !== undefined && scenario.minuteFrom > scenario.minuteTo) {
+    throw badRequest('scenario.minuteFrom must not be after scenario.minuteTo');
+  }
+  ['shotDistance', 'numberOfPasses'].forEach(field => {
+    if (isBlank(input[field])) return;
+    const value = Number(input[field]);
+    if (isNaN(value) || value < 0) {
+      throw badRequest(`scenario.${field} must be a non-negative number`);
+    }
+    scenario[field] = value;
+  });
+  if (!isBlank(input.secondChance)) {
+    scenario.secondChance = input.secondChance === true || input.secondChance === 'Yes' || input.secondChance === 'true';
+  }
+
+  return Object.keys(scenario).length ? scenario : null;
+}
+
+// Plain-English summary, used as the question when only a scenario is posted
+function describeScenario(scenario) {
+  const parts = [];
+  if (scenario.playType) parts.push(scenario.playType);
+  if (scenario.playSpeed) parts.push(`(${scenario.playSpeed})`);
+  if (scenario.playContext) parts.push(`in ${scenario.playContext}`);
+  if (scenario.location) parts.push(`from ${scenario.location}`);
+  if (scenario.shotDistance !== undefined) parts.push(`(${scenario.shotDistance}m out)`);
+  if (scenario.assistType && scenario.assistType !== 'None') parts.push(`after a ${scenario.assistType}`);
+  if (scenario.team) parts.push(`for ${scenario.team}`);
+  if (scenario.opponent) parts.push(`vs ${scenario.opponent}`);
+  if (scenario.minuteFrom !== undefined || scenario.minuteTo !== undefined) {
+    parts.push(`between minutes ${scenario.minuteFrom || 1} and ${scenario.minuteTo || 90}`);
+  }
+  return `How effective is this play: ${parts.join(' ') || 'any play'}?`;
+}
+
+// Pulls { query, scenario } out of an AI endpoint request body. The question
+// defaults to a description of the scenario when only the form was filled in.
+function scenarioRequest(body = {}) {
+  const scenario = normalizeScenario(body.scenario);
+  const query = String(body.query || '').trim() || (scenario ? describeScenario(scenario) : '');
+  return { query, scenario };
+}
+
+function minuteSimilarity(minute, scenario) {
+  const from = scenario.minuteFrom === undefined ? 1 : scenario.minuteFrom;
+  const to = scenario.minuteTo === undefined ? 90 : scenario.minuteTo;
+  if (minute === null) return 0;
+  if (minute >= from && minute <= to) return 1;
+  const distance = minute < from ? from - minute : minute - to;
+  return Math.max(0, 1 - distance / MINUTE_FALLOFF);
+}
+
+// Weighted 0-1 similarity between a play and the scenario, over the set fields only.
+// The team is a hard filter: another squad's plays are never similar.
+function scenarioSimilarity(play, scenario) {
+  if (scenario.team && play.team !== scenario.team) return 0;
+  let total = 0;
+  let weights = 0;
+  const add = (field, similarity) => {
+    total += WEIGHTS[field] * similarity;
+    weights += WEIGHTS[field];
+  };
+
+  if (scenario.opponent) add('opponent', play.opponent === scenario.opponent ? 1 : 0);
+  if (scenario.minuteFrom !== undefined || scenario.minuteTo !== undefined) {
+    add('minute', minuteSimilarity(play.minute, scenario));
+  }
+  if (scenario.location) add('location', locationSimilarity(play.location, scenario.location));
+  ['playType', 'playContext', 'assistType', 'playSpeed'].forEach(field => {
+    if (scenario[field]) add(field, play[field] === scenario[field] ? 1 : 0);
+  });
+
+  if (!weights) return scenario.team ? 1 : 0;
+  return total / weights;
+}
+
+// Every play that matches the scenario exactly, followed by the closest
+// non-exact plays. Returned plays are copies annotated with matchType and similarity.
+function matchScenario(plays, scenario, { neighbours = MAX_NEIGHBOURS } = {}) {
+  const scored = plays.map(play => ({ play, similarity: scenarioSimilarity(play, scenario) }));
+  const exact = scored.filter(item => item.similarity === 1);
+  const similar = scored
+    .filter(item => item.similarity < 1 && item.similarity > 0)
+    .sort((a, b) => b.similarity - a.similarity || a.play.id - b.play.id)
+    .slice(0, neighbours);
+
+  return [
+    ...exact.map(item => ({ ...item.play, matchType: 'exact', similarity: 1 })),
+    ...similar.map(item => ({ ...item.play, matchType: 'similar', similarity: item.similarity }))
+  ];
+}
+
+module.exports = {
+  CATEGORY_FIELDS,
+  WEIGHTS,
+  MAX_NEIGHBOURS,
+  scenarioFromText,
+  normalizeScenario,
+  describeScenario,
+  scenarioRequest,
+  minuteSimilarity,
+  scenarioSimilarity,
+  matchScenario
+};
@@ -0,0 +1,243 @@
+// Match-data schema as documented in the README (26 columns, one row per play)
+
+// Squad the plays belong to when a file has no Team column, e.g. the sample data
+const DEFAULT_TEAM = process.env.DEFAULT_TEAM || 'Paris X Gen';
+
+// Columns a file may leave out; every row then gets the default value
+const OPTIONAL_COLUMNS = { 'Team': DEFAULT_TEAM, 'Shooter ID': '', 'Assister ID': '' };
+
+const COLUMNS = [
+  'ID',
+  'Game ID',
+  'Date',
+  'Season',
+  'Minute',
+  'Team',
+  'Opponent',
+  'Play Type',
+  'Shot Attempt',
+  'Shot Distance',
+  'Shot Outcome',
+  'xG',
+  'Number of Passes',
+  'Second Chance',
+  'Play Context',
+  'Location on Field',
+  'Outcome',
+  'Success',
+  'Win Impact',
+  'Assist Type',
+  'Final Third Entry',
+  'Play Speed',
+  'Player Involvement',
+  'Phase of Match',
+  // Roster player IDs (see roster-store.js); empty when nobody was recorded
+  'Shooter ID',
+  'Assister ID'
+];
+
+const YES_NO = ['Yes', 'No'];
+
+const ENUMS = {
+  'Play Type': ['Pass Sequence', 'Counterattack', 'Shot Attempt', 'Free Kick', 'Corner'],
+  'Shot Attempt': YES_NO,
+  'Shot Outcome': ['Goal', 'Missed', 'On Target', 'Saved by GK'],
+  'Second Chance': YES_NO,
+  'Play Context': ['Open Play', 'Set Piece', 'Fast Break'],
+  'Location on Field': [
+    'Central inside box',
+    'Central outside box',
+    'Central midfield',
+    'Left wing inside box',
+    'Left wing close to box',
+    'Left wing outside box',
+    'Left wing midfield',
+    'Right wing inside box',
+    'Right wing close to box',
+    'Right wing outside box',
+    'Right wing midfield'
+  ],
+  'Outcome': ['Goal', 'Turnover', 'Retained Possession', 'Saved by GK'],
+  'Success': YES_NO,
+  'Win Impact': ['3', '2', '1', '-1'],
+  'Assist Type': ['None', 'Cross', 'Cutback', 'Through Ball'],
+  'Final Third Entry': YES_NO,
+  'Play Speed': ['Quick Attack', 'Slow Build-up'],
+  'Player Involvement': ['Striker', 'Midfielder', 'Winger', 'Defender'],
+  'Phase of Match': ['Early', 'Middle', 'Late']
+};
+
+const MAX_XG = 0.7;
+
+// Win Impact of each Outcome
+const WIN_IMPACT = { 'Goal': '3', 'Saved by GK': '2', 'Retained Possession': '1', 'Turnover': '-1' };
+
+// Minute bands of the Phase of Match column, as in the sample data. Minutes
+// past the last band still count as Late.
+const PHASES = [
+  { name: 'Early', from: 1, to: 30 },
+  { name: 'Middle', from: 31, to: 59 },
+  { name: 'Late', from: 60, to: 90 }
+];
+
+function phaseFor(minute) {
+  return (PHASES.find(phase => minute <= phase.to) || PHASES[PHASES.length - 1]).name;
+}
+
+// Seasons are named after the year they end in. By default a season starts
+// in July, as in the sample data, so August 2023 is season 2024. Datasets can
+// set their own start month (dataset-store.js); 1 means calendar-year seasons.
+const DEFAULT_SEASON_START_MONTH = 7;
+
+function seasonFor(date, startMonth = DEFAULT_SEASON_START_MONTH) {
+  const [year, month] = date.split('-').map(Number);
+  return startMonth > 1 && month >= startMonth ? year + 1 : year;
+}
+
+function isSeasonStartMonth(value) {
+  return Number.isInteger(value) && value >= 1 && value <= 12;
+}
+
+const PLAYER_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+const isInteger = (value) => /^-?\d+$/.test(value);
+const isNumber = (value) => value !== '' && !isNaN(Number(value));
+
+function isValidDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// The sample file ships with an unnamed first column, so accept '' as the ID header
+function validateHeader(header) {
+  const normalized = header.map((name, index) => (index === 0 && name === '' ? 'ID' : name));
+  const missing = COLUMNS.filter(column => !normalized.includes(column) && !(column in OPTIONAL_COLUMNS));
+  const unexpected = normalized.filter(column => !COLUMNS.includes(column));
+  return { columns: normalized, missing, unexpected };
+}
+
+// Returns a list of { column, message } problems for a single row object
+function validateRow(row) {
+  const errors = [];
+  const fail = (column, message) => errors.push({ column, message });
+
+  if (!isInteger(row['Game ID']) || Number(row['Game ID']) < 1) {
+    fail('Game ID', `must be a positive integer, got "${row['Game ID']}"`);
+  }
+  if (!isValidDate(row['Date'])) {
+    fail('Date', `must be a YYYY-MM-DD date, got "${row['Date']}"`);
+  }
+  if (!/^\d{4}$/.test(row['Season'])) {
+    fail('Season', `must be a four-digit year, got "${row['Season']}"`);
+  }
+  if (!isInteger(row['Minute']) || Number(row['Minute']) < 1 || Number(row['Minute']) > 90) {
+    fail('Minute', `must be an integer between 1 and 90, got "${row['Minute']}"`);
+  }
+  if (!row['Team']) {
+    fail('Team', 'is required');
+  }
+  if (!row['Opponent']) {
+    fail('Opponent', 'is required');
+  }
+
+  Object.keys(ENUMS).forEach(column => {
+    // Shot Outcome is checked together with Shot Attempt below
+    if (column === 'Shot Outcome') return;
+    if (!ENUMS[column].includes(row[column])) {
+      fail(column, `must be one of ${ENUMS[column].join(', ')}, got "${row[column]}"`);
+    }
+  });
+
+  if (!isNumber(row['xG']) || Number(row['xG']) < 0 || Number(row['xG']) > MAX_XG) {
+    fail('xG', `must be a number between 0 and ${MAX_XG.toFixed(2)}, got "${row['xG']}"`);
+  }
+  if (!isInteger(row['Number of Passes']) || Number(row['Number of Passes']) < 0) {
+    fail('Number of Passes', `must be a non-negative integer, got "${row['Number of Passes']}"`);
+  }
+
+  if (row['Shot Attempt'] === 'Yes') {
+    if (!isNumber(row['Shot Distance']) || Number(row['Shot Distance']) < 0) {
+      fail('Shot Distance', `must be a non-negative number when Shot Attempt is Yes, got "${row['Shot Distance']}"`);
+    }
+    if (!ENUMS['Shot Outcome'].includes(row['Shot Outcome'])) {
+      fail('Shot Outcome', `must be one of ${ENUMS['Shot Outcome'].join(', ')} when Shot Attempt is Yes, got "${row['Shot Outcome']}"`);
+    }
+  } else if (row['Shot Attempt'] === 'No') {
+    if (row['Shot Distance']) {
+      fail('Shot Distance', 'must be empty when Shot Attempt is No');
+    }
+    if (row['Shot Outcome']) {
+      fail('Shot Outcome', 'must be empty when Shot Attempt is No');
+    }
+    if (row['Shooter ID']) {
+      fail('Shooter ID', 'must be empty when Shot Attempt is No');
+    }
+  }
+
+  ['Shooter ID', 'Assister ID'].forEach(column => {
+    if (row[column] && !PLAYER_ID_PATTERN.test(row[column])) {
+      fail(column, `must be 1-32 letters, numbers, dashes or underscores, got "${row[column]}"`);
+    }
+  });
+  if (row['Shooter ID'] && row['Shooter ID'] === row['Assister ID']) {
+    fail('Assister ID', 'must differ from Shooter ID');
+  }
+
+  return errors;
+}
+
+// Validates parsed CSV records (arrays, header first). Row numbers in errors are
+// 1-based with the header as row 1, so they line up with a spreadsheet view.
+function validateRecords(records) {
+  if (!records.length) {
+    return { header: null, validRows: [], errors: [{ row: 1, column: null, message: 'File is empty' }] };
+  }
+
+  const header = validateHeader(records[0].map(value => String(value).trim()));
+  if (header.missing.length || header.unexpected.length) {
+    const problems = [];
+    if (header.missing.length) problems.push(`missing columns: ${header.missing.join(', ')}`);
+    if (header.unexpected.length) problems.push(`unexpected columns: ${header.unexpected.join(', ')}`);
+    return { header, validRows: [], errors: [{ row: 1, column: null, message: `Invalid header (${problems.join('; ')})` }] };
+  }
+
+  const validRows = [];
+  const errors = [];
+  records.slice(1).forEach((values, index) => {
+    const rowNumber = index + 2;
+    if (values.length !== header.columns.length) {
+      errors.push({ row: rowNumber, column: null, message: `expected ${header.columns.length} columns, got ${values.length}` });
+      return;
+    }
+    const row = { ...OPTIONAL_COLUMNS };
+    header.columns.forEach((column, i) => {
+      row[column] = String(values[i]).trim();
+    });
+    const rowErrors = validateRow(row);
+    if (rowErrors.length) {
+      rowErrors.forEach(error => errors.push({ row: rowNumber, ...error }));
+    } else {
+      validRows.push(row);
+    }
+  });
+
+  return { header, validRows, errors };
+}
+
+module.exports = {
+  COLUMNS,
+  OPTIONAL_COLUMNS,
+  DEFAULT_TEAM,
+  ENUMS,
+  MAX_XG,
+  PLAYER_ID_PATTERN,
+  WIN_IMPACT,
+  PHASES,
+  DEFAULT_SEASON_START_MONTH,
+  phaseFor,
+  seasonFor,
+  isSeasonStartMonth,
+  validateRow,
+  validateRecords
+};
@@ -0,0 +1,36 @@
+const { isGoal, groupByGame } = require('./match-data');
+
+// Final scores per game, for the games whose opponent goals are recorded
+// (see opponent-goals-store.js). Plays carry the running score themselves;
+// this is the game-level view the scoreline editor works from.
+
+// Every game of the plays: { team, gameId, date, opponent, season, ourGoals
+// and opponentGoals (minutes), goalsFor, goalsAgainst, result }, with null
+// opponent goals, goalsAgainst and result when nothing is recorded. record
+// counts the results, and the games without one.
+function listScorelines(plays, opponentGoals) {
+  const games = groupByGame(plays).map(game => {
+    const minutes = opponentGoals.get(`${game.team}:${game.gameId}`) || null;
+    const ourGoals = game.plays.filter(isGoal).map(play => play.minute).sort((a, b) => a - b);
+    return {
+      team: game.team,
+      gameId: game.gameId,
+      date: game.date,
+      opponent: game.opponent,
+      season: game.season,
+      ourGoals,
+      opponentGoals: minutes,
+      goalsFor: ourGoals.length,
+      goalsAgainst: minutes ? minutes.length : null,
+      result: game.result
+    };
+  });
+
+  const record = { W: 0, D: 0, L: 0, unrecorded: 0 };
+  games.forEach(game => {
+    record[game.result || 'unrecorded']++;
+  });
+  return { games, record };
+}
+
+module.exports = { listScorelines };
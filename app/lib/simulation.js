@@ -0,0 +1,323 @@
+const { ENUMS } = require('./schema');
+const { isGoal, gameKey } = require('./match-data');
+const { badRequest } = require('./play-query');
+const { mean, variance, Z_95 } = require('./stats');
+
+// Monte Carlo what-if simulator. A profile of the plays against one opponent
+// (or every opponent) gives the plays per match, the play type, speed and
+// location mixes, and how often each value leads to a shot and a shot to a
+// goal. Matches are simulated from it twice: as played, and with the user's
+// tactical shifts applied to the mixes. Both runs use the same random numbers,
+// so the difference between them is the effect of the shifts, not noise.
+//
+// A play's chances combine its three fields independently: the base shot rate
+// times the lift of its play type, its speed and its location (each value's
+// rate over the base rate). The same holds for goals per shot and xG per shot.
+//
+// The profile is taken as exact: the intervals on the changes only measure
+// simulation noise, not how uncertain the profile's rates are.
+
+// Fields whose mix can be shifted
+const SHIFT_FIELDS = {
+  playType: ENUMS['Play Type'],
+  playSpeed: ENUMS['Play Speed'],
+  location: ENUMS['Location on Field']
+};
+
+const MIN_MATCHES = 100;
+const DEFAULT_MATCHES = 5000;
+const MAX_MATCHES = 50000;
+// The cost is per simulated play, so plays per run are capped as well as
+// matches: on the sample (about 5.5 plays per match) MAX_MATCHES fits, a
+// dataset with 100 plays per match gets 3000 matches
+const MAX_SIMULATED_PLAYS = 300000;
+// Plays simulated between yields to the event loop, so a long simulation does
+// not hold up other requests
+const CHUNK_PLAYS = 10000;
+// Opponent estimates are pulled toward the all-opponent values as if this many
+// average plays had been added, so 20 plays against a team do not read as gospel
+const PRIOR_PLAYS = 20;
+const MAX_PROBABILITY = 0.95;
+// Goal counts from this many up share the last bucket of the distribution
+const MAX_GOALS_BUCKET = 5;
+
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+}
+
+// mulberry32: small, fast and seedable, so a simulation can be repeated
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Knuth's method; plays per match are small numbers
+function poisson(random, lambda) {
+  const limit = Math.exp(-lambda);
+  let count = 0;
+  let product = random();
+  while (product > limit) {
+    count++;
+    product *= random();
+  }
+  return count;
+}
+
+function pick(random, mix) {
+  let remaining = random();
+  const entries = Object.entries(mix);
+  for (const [value, share] of entries) {
+    remaining -= share;
+    if (remaining < 0) return value;
+  }
+  return entries[entries.length - 1][0];
+}
+
+// (observed + prior * weight) / (n + weight)
+const shrink = (total, count, prior, weight = PRIOR_PLAYS) => (total + prior * weight) / (count + weight);
+
+// Rates of the plays against the opponent, shrunk toward the rates of all plays
+function rates(plays, allPlays) {
+  const shots = plays.filter(play => play.shotAttempt);
+  const allShots = allPlays.filter(play => play.shotAttempt);
+  const overall = {
+    shotRate: allPlays.length ? allShots.length / allPlays.length : 0,
+    goalRate: allShots.length ? allShots.filter(isGoal).length / allShots.length : 0,
+    xgPerShot: mean(allShots.map(play => play.xG || 0))
+  };
+  return {
+    shotRate: shrink(shots.length, plays.length, overall.shotRate),
+    goalRate: shrink(shots.filter(isGoal).length, shots.length, overall.goalRate),
+    xgPerShot: shrink(shots.reduce((total, play) => total + (play.xG || 0), 0), shots.length, overall.xgPerShot)
+  };
+}
+
+// Mean win impact of the plays that did not end in a goal, shots and other
+// plays apart; a goal is worth the mean win impact of goals
+function impacts(plays) {
+  const meanImpact = group => mean(group.map(play => play.winImpact).filter(value => value !== null));
+  return {
+    goal: meanImpact(plays.filter(isGoal)),
+    shot: meanImpact(plays.filter(play => play.shotAttempt && !isGoal(play))),
+    other: meanImpact(plays.filter(play => !play.shotAttempt))
+  };
+}
+
+// The distributions a simulation draws from. plays are the squad's plays
+// (already filtered); opponent narrows them, with every opponent as the prior.
+function buildProfile(plays, { opponent } = {}) {
+  const opponentPlays = opponent ? plays.filter(play => play.opponent === opponent) : plays;
+  if (!opponentPlays.length) {
+    throw notFound(opponent ? `No plays against ${opponent}` : 'No plays to simulate from');
+  }
+
+  const games = new Set(opponentPlays.map(gameKey)).size;
+  const allGames = new Set(plays.map(gameKey)).size;
+  const base = rates(opponentPlays, plays);
+  const profile = {
+    opponent: opponent || null,
+    games,
+    plays: opponentPlays.length,
+    // Shrunk like the rates, with PRIOR_PLAYS worth of average games as the prior
+    playsPerMatch: shrink(opponentPlays.length, games, plays.length / allGames, PRIOR_PLAYS / (plays.length / allGames)),
+    goalsPerMatch: opponentPlays.filter(isGoal).length / games,
+    ...base,
+    impacts: impacts(plays),
+    mix: {},
+    lift: {}
+  };
+
+  Object.keys(SHIFT_FIELDS).forEach(field => {
+    profile.mix[field] = {};
+    profile.lift[field] = {};
+    SHIFT_FIELDS[field].forEach(value => {
+      const count = opponentPlays.filter(play => play[field] === value).length;
+      const allShare = plays.filter(play => play[field] === value).length / plays.length;
+      profile.mix[field][value] = shrink(count, opponentPlays.length, allShare);
+      const valuePlays = plays.filter(play => play[field] === value);
+      // A value nobody has played yet neither helps nor hurts
+      if (!valuePlays.length) {
+        profile.lift[field][value] = { shotRate: 1, goalRate: 1, xgPerShot: 1 };
+        return;
+      }
+      const valueRates = rates(opponentPlays.filter(play => play[field] === value), valuePlays);
+      profile.lift[field][value] = {
+        shotRate: base.shotRate ? valueRates.shotRate / base.shotRate : 1,
+        goalRate: base.goalRate ? valueRates.goalRate / base.goalRate : 1,
+        xgPerShot: base.xgPerShot ? valueRates.xgPerShot / base.xgPerShot : 1
+      };
+    });
+  });
+  return profile;
+}
+
+// [{ field, from, to, share }] from a request body. from may be left out to
+// take the share proportionally from every other value ("target" a value).
+function parseShifts(shifts = []) {
+  if (!Array.isArray(shifts)) throw badRequest('shifts must be an array');
+  return shifts.map((shift, index) => {
+    const label = `shifts[${index}]`;
+    const values = SHIFT_FIELDS[shift && shift.field];
+    if (!values) throw badRequest(`${label}.field must be one of ${Object.keys(SHIFT_FIELDS).join(', ')}`);
+    if (!values.includes(shift.to)) throw badRequest(`${label}.to must be one of ${values.join(', ')}`);
+    const from = shift.from === undefined || shift.from === null || shift.from === '' ? null : shift.from;
+    if (from !== null && (!values.includes(from) || from === shift.to)) {
+      throw badRequest(`${label}.from must be another ${shift.field} value`);
+    }
+    const share = Number(shift.share);
+    if (!(share > 0 && share <= 1)) throw badRequest(`${label}.share must be above 0 and at most 1`);
+    return { field: shift.field, from, to: shift.to, share };
+  });
+}
+
+// The profile's mixes with the shifts applied in order. "Shift 20% of Pass
+// Sequences into Counterattacks" moves a fifth of the Pass Sequence share.
+function adjustMixes(mixes, shifts) {
+  const adjusted = {};
+  Object.keys(mixes).forEach(field => {
+    adjusted[field] = { ...mixes[field] };
+  });
+  shifts.forEach(({ field, from, to, share }) => {
+    const mix = adjusted[field];
+    const sources = from ? [from] : Object.keys(mix).filter(value => value !== to);
+    sources.forEach(value => {
+      const moved = mix[value] * share;
+      mix[value] -= moved;
+      mix[to] += moved;
+    });
+  });
+  return adjusted;
+}
+
+function playChances(profile, play) {
+  const chances = { shotRate: profile.shotRate, goalRate: profile.goalRate, xgPerShot: profile.xgPerShot };
+  Object.keys(SHIFT_FIELDS).forEach(field => {
+    const lift = profile.lift[field][play[field]];
+    Object.keys(chances).forEach(key => {
+      chances[key] *= lift[key];
+    });
+  });
+  chances.shotRate = Math.min(chances.shotRate, MAX_PROBABILITY);
+  chances.goalRate = Math.min(chances.goalRate, MAX_PROBABILITY);
+  return chances;
+}
+
+// Every play draws the same number of random numbers whatever happens, so the
+// baseline and adjusted runs stay in step match by match
+function simulateMatch(random, profile, mixes) {
+  const match = { goals: 0, shots: 0, xG: 0, winImpact: 0 };
+  const count = poisson(random, profile.playsPerMatch);
+  for (let index = 0; index < count; index++) {
+    const play = {};
+    Object.keys(SHIFT_FIELDS).forEach(field => {
+      play[field] = pick(random, mixes[field]);
+    });
+    const chances = playChances(profile, play);
+    const shotDraw = random();
+    const goalDraw = random();
+    if (shotDraw >= chances.shotRate) {
+      match.winImpact += profile.impacts.other;
+      continue;
+    }
+    match.shots++;
+    match.xG += chances.xgPerShot;
+    if (goalDraw < chances.goalRate) {
+      match.goals++;
+      match.winImpact += profile.impacts.goal;
+    } else {
+      match.winImpact += profile.impacts.shot;
+    }
+  }
+  return match;
+}
+
+function goalDistribution(matches) {
+  const counts = new Array(MAX_GOALS_BUCKET + 1).fill(0);
+  matches.forEach(match => {
+    counts[Math.min(match.goals, MAX_GOALS_BUCKET)]++;
+  });
+  return counts.map((count, goals) => ({
+    goals: goals === MAX_GOALS_BUCKET ? `${goals}+` : String(goals),
+    share: count / matches.length
+  }));
+}
+
+function summarize(matches, mixes) {
+  return {
+    expectedGoals: mean(matches.map(match => match.goals)),
+    xG: mean(matches.map(match => match.xG)),
+    shots: mean(matches.map(match => match.shots)),
+    winImpact: mean(matches.map(match => match.winImpact)),
+    scoringProbability: matches.filter(match => match.goals > 0).length / matches.length,
+    goalDistribution: goalDistribution(matches),
+    mix: mixes
+  };
+}
+
+// Mean of the paired differences with its 95% simulation interval: how far
+// the mean could move with another seed, not with another season of data
+function pairedChange(baseline, adjusted, key) {
+  const differences = baseline.map((match, index) => adjusted[index][key] - match[key]);
+  const average = mean(differences);
+  const margin = Z_95 * Math.sqrt(variance(differences) / differences.length);
+  return { value: average, simulationCI: [average - margin, average + margin] };
+}
+
+// The most matches a simulation from the profile may run
+function maxMatchesFor(profile) {
+  return Math.max(MIN_MATCHES, Math.min(MAX_MATCHES, Math.floor(MAX_SIMULATED_PLAYS / profile.playsPerMatch)));
+}
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+// Simulates `matches` matches as played and with the shifts, from the same
+// seed. Runs in chunks of about CHUNK_PLAYS plays, yielding in between.
+async function simulate(profile, { shifts = [], matches = DEFAULT_MATCHES, seed = 1 } = {}) {
+  const adjustedMixes = adjustMixes(profile.mix, shifts);
+  const runs = [profile.mix, adjustedMixes].map(mixes => ({ mixes, random: createRandom(seed), matches: [] }));
+  const chunk = Math.max(1, Math.floor(CHUNK_PLAYS / profile.playsPerMatch));
+  for (let done = 0; done < matches; done += chunk) {
+    if (done) await yieldToEventLoop();
+    const size = Math.min(chunk, matches - done);
+    runs.forEach(run => {
+      for (let index = 0; index < size; index++) {
+        run.matches.push(simulateMatch(run.random, profile, run.mixes));
+      }
+    });
+  }
+  const [baseline, adjusted] = runs.map(run => run.matches);
+
+  return {
+    matches,
+    seed,
+    shifts,
+    baseline: summarize(baseline, profile.mix),
+    adjusted: summarize(adjusted, adjustedMixes),
+    change: {
+      expectedGoals: pairedChange(baseline, adjusted, 'goals'),
+      xG: pairedChange(baseline, adjusted, 'xG'),
+      shots: pairedChange(baseline, adjusted, 'shots'),
+      winImpact: pairedChange(baseline, adjusted, 'winImpact')
+    }
+  };
+}
+
+module.exports = {
+  SHIFT_FIELDS,
+  MIN_MATCHES,
+  DEFAULT_MATCHES,
+  MAX_MATCHES,
+  maxMatchesFor,
+  buildProfile,
+  parseShifts,
+  adjustMixes,
+  simulate
+};
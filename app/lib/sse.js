@@ -0,0 +1,53 @@
+const { complete } = require('./llm');
+
+// Server-Sent Events over a POST response. Pages read it with fetch() and a
+// stream reader, since EventSource only supports GET.
+function openEventStream(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop reverse proxies (Render, nginx) from buffering the whole answer
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const stream = {
+    closed: false,
+    // Returns false once the client has disconnected
+    send(event, data) {
+      if (stream.closed) return false;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+    close() {
+      if (stream.closed) return;
+      stream.closed = true;
+      res.end();
+    }
+  };
+  res.on('close', () => {
+    stream.closed = true;
+  });
+  return stream;
+}
+
+// Streams one completion: a "meta" event, "token" events as text arrives, then
+// "done" with the full response (or "error"). onComplete({ text, model }) may
+// return extra fields for the "done" event. It is skipped when the client has
+// disconnected, since generation stops at that point and the text is partial.
+async function streamCompletion(res, provider, request, { meta = {}, onComplete } = {}) {
+  const stream = openEventStream(res);
+  stream.send('meta', { provider: provider.name, ...meta });
+  try {
+    const result = await complete(provider, request, chunk => stream.send('token', { text: chunk }));
+    if (stream.closed) return;
+    const extra = onComplete ? onComplete(result) : {};
+    stream.send('done', { response: result.text, provider: provider.name, modelName: result.model, ...meta, ...extra });
+  } catch (error) {
+    console.error(`Error streaming ${request.task} response:`, error);
+    stream.send('error', { error: 'Failed to generate response', details: error.message });
+  }
+  stream.close();
+}
+
+module.exports = { openEventStream, streamCompletion };
@@ -0,0 +1,95 @@
+// Small statistics toolkit for the trend, comparison and model code.
+// Tests use the normal approximation, which is fine at the sample sizes a
+// season (or any dashboard slice) produces; tiny samples just come out
+// as not significant.
+
+function mean(values) {
+  return values.length ? values.reduce((total, value) => total + value, 0) / values.length : 0;
+}
+
+// Sample variance (n - 1)
+function variance(values) {
+  if (values.length < 2) return 0;
+  const average = mean(values);
+  return values.reduce((total, value) => total + (value - average) ** 2, 0) / (values.length - 1);
+}
+
+// Abramowitz & Stegun 7.1.26, accurate to ~1e-7
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return sign * y;
+}
+
+function normalCdf(z) {
+  return 0.5 * (1 + erf(z / Math.SQRT2));
+}
+
+function twoSidedP(z) {
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+const Z_95 = 1.959964;
+
+// Two-proportion z-test: did x1/n1 and x2/n2 come from the same rate?
+// diff and its 95% interval are p2 - p1.
+function twoProportionTest(x1, n1, x2, n2) {
+  const p1 = n1 > 0 ? x1 / n1 : 0;
+  const p2 = n2 > 0 ? x2 / n2 : 0;
+  const diff = p2 - p1;
+  const result = { p1, p2, diff, z: 0, pValue: 1, ci: [diff, diff] };
+  if (n1 === 0 || n2 === 0) return result;
+
+  const pooled = (x1 + x2) / (n1 + n2);
+  const pooledSE = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  const se = Math.sqrt(p1 * (1 - p1) / n1 + p2 * (1 - p2) / n2);
+  if (pooledSE > 0) {
+    result.z = diff / pooledSE;
+    result.pValue = twoSidedP(result.z);
+  }
+  result.ci = [diff - Z_95 * se, diff + Z_95 * se];
+  return result;
+}
+
+// Welch's test for a difference in means (mean2 - mean1), normal approximation
+function meanDifferenceTest(values1, values2) {
+  const m1 = mean(values1);
+  const m2 = mean(values2);
+  const diff = m2 - m1;
+  const result = { mean1: m1, mean2: m2, diff, z: 0, pValue: 1, ci: [diff, diff] };
+  if (values1.length < 2 || values2.length < 2) return result;
+
+  const se = Math.sqrt(variance(values1) / values1.length + variance(values2) / values2.length);
+  if (se > 0) {
+    result.z = diff / se;
+    result.pValue = twoSidedP(result.z);
+    result.ci = [diff - Z_95 * se, diff + Z_95 * se];
+  }
+  return result;
+}
+
+// Benjamini-Hochberg adjusted p-values (q-values), in the order given. A
+// test's q-value is the smallest false discovery rate at which it would be
+// called significant among all the tests run together.
+function adjustPValues(pValues) {
+  const order = pValues.map((pValue, index) => index).sort((a, b) => pValues[a] - pValues[b]);
+  const qValues = new Array(pValues.length);
+  let running = 1;
+  for (let rank = order.length - 1; rank >= 0; rank--) {
+    running = Math.min(running, (pValues[order[rank]] * order.length) / (rank + 1));
+    qValues[order[rank]] = running;
+  }
+  return qValues;
+}
+
+module.exports = {
+  Z_95,
+  mean,
+  variance,
+  normalCdf,
+  twoSidedP,
+  twoProportionTest,
+  meanDifferenceTest,
+  adjustPValues
+};
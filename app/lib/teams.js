@@ -0,0 +1,66 @@
+const { groupByGame, unique, isGoal } = require('./match-data');
+const { aggregate } = require('./aggregate');
+
+// Our squads (the Team column) side by side, and head-to-head views of the
+// opponents two or more squads faced in the same season.
+
+const COMPARISON_METRICS = [
+  'games',
+  'plays',
+  'shots',
+  'goals',
+  'xgSum',
+  'xgPerShot',
+  'conversionRate',
+  'successRate',
+  'avgWinImpact'
+];
+
+// One row per squad plus per-season rows, for the side-by-side view
+function compareTeams(plays) {
+  return {
+    metrics: COMPARISON_METRICS,
+    teams: aggregate(plays, { groupBy: ['team'], metrics: COMPARISON_METRICS }),
+    bySeason: aggregate(plays, { groupBy: ['season', 'team'], metrics: COMPARISON_METRICS })
+  };
+}
+
+function gameSummary(game) {
+  return {
+    gameId: game.gameId,
+    date: game.date,
+    shots: game.plays.filter(play => play.shotAttempt).length,
+    goals: game.plays.filter(isGoal).length,
+    xG: game.plays.reduce((total, play) => total + (play.xG || 0), 0)
+  };
+}
+
+// Every opponent/season pair faced by at least minTeams squads, newest season
+// first. Each matchup lists the squads' totals and their individual games.
+function headToHead(plays, { minTeams = 2 } = {}) {
+  const matchups = new Map();
+  plays.forEach(play => {
+    const key = JSON.stringify([play.opponent, play.season]);
+    if (!matchups.has(key)) {
+      matchups.set(key, { opponent: play.opponent, season: play.season, plays: [] });
+    }
+    matchups.get(key).plays.push(play);
+  });
+
+  return [...matchups.values()]
+    .filter(matchup => unique(matchup.plays, 'team').length >= minTeams)
+    .sort((a, b) => b.season - a.season || String(a.opponent).localeCompare(String(b.opponent)))
+    .map(({ opponent, season, plays: matchupPlays }) => {
+      const games = groupByGame(matchupPlays);
+      return {
+        opponent,
+        season,
+        teams: aggregate(matchupPlays, { groupBy: ['team'], metrics: COMPARISON_METRICS }).map(row => ({
+          ...row,
+          results: games.filter(game => game.team === row.team).map(gameSummary)
+        }))
+      };
+    });
+}
+
+module.exports = { COMPARISON_METRICS, compareTeams, headToHead };
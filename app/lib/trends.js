@@ -0,0 +1,171 @@
+const { isGoal, groupByGame, gameKey } = require('./match-data');
+const { twoProportionTest, meanDifferenceTest, adjustPValues } = require('./stats');
+
+// Category mixes tracked per season, as % of that season's plays
+const MIXES = {
+  playTypeMix: 'playType',
+  playSpeedMix: 'playSpeed',
+  assistTypeMix: 'assistType',
+  locationMix: 'location'
+};
+
+function countBy(plays, key) {
+  const counts = {};
+  plays.forEach(play => {
+    if (play[key] === null) return;
+    counts[play[key]] = (counts[play[key]] || 0) + 1;
+  });
+  return counts;
+}
+
+function toShares(counts, total) {
+  const shares = {};
+  Object.keys(counts).forEach(category => {
+    shares[category] = total > 0 ? (counts[category] / total) * 100 : 0;
+  });
+  return shares;
+}
+
+function summarizeSeason(season, plays) {
+  const shots = plays.filter(play => play.shotAttempt);
+  const goals = plays.filter(isGoal).length;
+  const summary = {
+    season,
+    games: new Set(plays.map(gameKey)).size,
+    plays: plays.length,
+    shots: shots.length,
+    goals,
+    xgPerShot: shots.length ? shots.reduce((total, play) => total + (play.xG || 0), 0) / shots.length : 0,
+    conversionRate: shots.length ? (goals / shots.length) * 100 : 0
+  };
+  Object.keys(MIXES).forEach(mix => {
+    summary[mix] = toShares(countBy(plays, MIXES[mix]), plays.length);
+  });
+  return summary;
+}
+
+// Tests every tracked metric between two consecutive seasons. Returns each
+// change that had enough data to test, with its p-value; buildTrends adjusts
+// them together and keeps the significant ones.
+function testShifts(previous, current) {
+  const shifts = [];
+  const record = (metric, category, test, before, after) => {
+    shifts.push({
+      from: previous.season,
+      to: current.season,
+      metric,
+      category,
+      before,
+      after,
+      change: after - before,
+      pValue: test.pValue
+    });
+  };
+
+  Object.keys(MIXES).forEach(mix => {
+    const before = countBy(previous.plays, MIXES[mix]);
+    const after = countBy(current.plays, MIXES[mix]);
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(category => {
+      const test = twoProportionTest(before[category] || 0, previous.plays.length, after[category] || 0, current.plays.length);
+      record(mix, category, test, test.p1 * 100, test.p2 * 100);
+    });
+  });
+
+  const previousShots = previous.plays.filter(play => play.shotAttempt);
+  const currentShots = current.plays.filter(play => play.shotAttempt);
+
+  if (previousShots.length && currentShots.length) {
+    const conversion = twoProportionTest(
+      previousShots.filter(isGoal).length, previousShots.length,
+      currentShots.filter(isGoal).length, currentShots.length
+    );
+    record('conversionRate', null, conversion, conversion.p1 * 100, conversion.p2 * 100);
+  }
+
+  if (previousShots.length > 1 && currentShots.length > 1) {
+    const xg = meanDifferenceTest(previousShots.map(play => play.xG || 0), currentShots.map(play => play.xG || 0));
+    record('xgPerShot', null, xg, xg.mean1, xg.mean2);
+  }
+
+  return shifts;
+}
+
+// Per-game totals in date order with trailing N-game averages over the same
+// squad's games, so squads are never averaged together. Averages stay null
+// until a full window of that squad's games is available.
+function rollingGames(plays, window) {
+  const games = groupByGame(plays)
+    .sort((a, b) => (a.date === b.date ? a.gameId - b.gameId : a.date < b.date ? -1 : 1))
+    .map(game => {
+      const shots = game.plays.filter(play => play.shotAttempt).length;
+      return {
+        gameId: game.gameId,
+        team: game.team,
+        date: game.date,
+        season: game.season,
+        opponent: game.opponent,
+        shots,
+        goals: game.plays.filter(isGoal).length,
+        xG: game.plays.reduce((total, play) => total + (play.xG || 0), 0)
+      };
+    });
+
+  const byTeam = new Map();
+  return games.map(game => {
+    if (!byTeam.has(game.team)) byTeam.set(game.team, []);
+    const teamGames = byTeam.get(game.team);
+    teamGames.push(game);
+    if (teamGames.length < window) {
+      return { ...game, rollingGoals: null, rollingXG: null, rollingShots: null, rollingConversionRate: null };
+    }
+    const slice = teamGames.slice(-window);
+    const totals = slice.reduce((acc, item) => ({
+      shots: acc.shots + item.shots,
+      goals: acc.goals + item.goals,
+      xG: acc.xG + item.xG
+    }), { shots: 0, goals: 0, xG: 0 });
+    return {
+      ...game,
+      rollingGoals: totals.goals / window,
+      rollingXG: totals.xG / window,
+      rollingShots: totals.shots / window,
+      rollingConversionRate: totals.shots ? (totals.goals / totals.shots) * 100 : 0
+    };
+  });
+}
+
+// Shifts are tested for every metric between every pair of consecutive
+// seasons, so many tests run at once. Like compare.js, the p-values are
+// adjusted together (Benjamini-Hochberg) and a shift is significant when its
+// qValue is below alpha.
+function buildTrends(plays, { window = 5, alpha = 0.05 } = {}) {
+  const bySeason = new Map();
+  plays.forEach(play => {
+    if (play.season === null) return;
+    if (!bySeason.has(play.season)) bySeason.set(play.season, []);
+    bySeason.get(play.season).push(play);
+  });
+
+  const seasons = [...bySeason.keys()].sort((a, b) => a - b)
+    .map(season => ({ season, plays: bySeason.get(season) }));
+
+  const tested = [];
+  for (let i = 1; i < seasons.length; i++) {
+    tested.push(...testShifts(seasons[i - 1], seasons[i]));
+  }
+  const qValues = adjustPValues(tested.map(shift => shift.pValue));
+  const shifts = tested
+    .map((shift, index) => ({ ...shift, qValue: qValues[index] }))
+    .filter(shift => shift.qValue < alpha);
+
+  return {
+    window,
+    alpha,
+    seasons: seasons.map(({ season, plays: seasonPlays }) => summarizeSeason(season, seasonPlays)),
+    tests: tested.length,
+    shifts,
+    games: rollingGames(plays, window)
+  };
+}
+
+module.exports = { rollingGames, buildTrends };
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./dataset-store');
+
+// Signed-in users, persisted in DATA_DIR/users.json and keyed by their Google
+// profile id. The session only stores the id; requests see this record as req.user.
+const USERS_PATH = path.join(DATA_DIR, 'users.json');
+
+function readUsers() {
+  try {
+    return JSON.parse(fs.readFileSync(USERS_PATH, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Error reading users:', err);
+    }
+    return [];
+  }
+}
+
+function writeUsers(users) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(USERS_PATH, JSON.stringify(users, null, 2));
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function getUser(id) {
+  return readUsers().find(user => user.id === id) || null;
+}
+
+function findUserByEmail(email) {
+  const wanted = normalizeEmail(email);
+  return readUsers().find(user => user.email === wanted) || null;
+}
+
+// Creates or refreshes the user for a passport Google profile
+function upsertFromProfile(profile) {
+  const users = readUsers();
+  const now = new Date().toISOString();
+  const details = {
+    email: normalizeEmail(profile.emails && profile.emails[0] ? profile.emails[0].value : ''),
+    name: profile.displayName || '',
+    photo: profile.photos && profile.photos[0] ? profile.photos[0].value : null,
+    lastLoginAt: now
+  };
+
+  let user = users.find(item => item.id === profile.id);
+  if (user) {
+    Object.assign(user, details);
+  } else {
+    user = { id: profile.id, ...details, createdAt: now };
+    users.push(user);
+  }
+  writeUsers(users);
+  return user;
+}
+
+module.exports = { normalizeEmail, getUser, findUserByEmail, upsertFromProfile };
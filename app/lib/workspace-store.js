@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./dataset-store');
+const { normalizeEmail } = require('./user-store');
+
+// Team workspaces, persisted in DATA_DIR/workspaces.json. Each has members with
+// a role and pending invites by email; an invite turns into a membership the
+// next time someone signs in with that email address.
+const WORKSPACES_PATH = path.join(DATA_DIR, 'workspaces.json');
+
+const ROLES = ['owner', 'analyst', 'coach', 'viewer'];
+
+// What each role may do: read dashboards and data, ask the AI endpoints,
+// write (upload datasets, retrain models, log plays), manage members.
+const PERMISSIONS = {
+  owner: ['read', 'ask', 'write', 'manage'],
+  analyst: ['read', 'ask', 'write'],
+  coach: ['read', 'ask'],
+  viewer: ['read']
+};
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function readWorkspaces() {
+  try {
+    return JSON.parse(fs.readFileSync(WORKSPACES_PATH, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Error reading workspaces:', err);
+    }
+    return [];
+  }
+}
+
+function writeWorkspaces(workspaces) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(WORKSPACES_PATH, JSON.stringify(workspaces, null, 2));
+}
+
+function findWorkspace(workspaces, id) {
+  const workspace = workspaces.find(item => item.id === id);
+  if (!workspace) throw httpError(404, `Workspace "${id}" not found`);
+  return workspace;
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw httpError(400, `role must be one of ${ROLES.join(', ')}`);
+  }
+}
+
+function can(role, permission) {
+  return Boolean(role) && PERMISSIONS[role].includes(permission);
+}
+
+function getWorkspace(id) {
+  return readWorkspaces().find(item => item.id === id) || null;
+}
+
+function roleOf(workspace, userId) {
+  const member = workspace && workspace.members.find(item => item.userId === userId);
+  return member ? member.role : null;
+}
+
+function listWorkspacesForUser(userId) {
+  return readWorkspaces()
+    .filter(workspace => roleOf(workspace, userId))
+    .map(workspace => ({ id: workspace.id, name: workspace.name, role: roleOf(workspace, userId) }));
+}
+
+// Workspace ids double as directory names, so they are slugs plus a short suffix
+function createWorkspace(name, ownerId) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw httpError(400, 'Workspace name is required');
+
+  const slug = trimmed.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'workspace';
+  const now = new Date().toISOString();
+  const workspace = {
+    id: `${slug}-${crypto.randomBytes(3).toString('hex')}`,
+    name: trimmed.slice(0, 100),
+    createdAt: now,
+    createdBy: ownerId,
+    members: [{ userId: ownerId, role: 'owner', joinedAt: now }],
+    invites: []
+  };
+  const workspaces = readWorkspaces();
+  workspaces.push(workspace);
+  writeWorkspaces(workspaces);
+  return workspace;
+}
+
+function inviteMember(workspaceId, email, role, invitedBy) {
+  const address = normalizeEmail(email);
+  if (!/^[^@\s]+@[^@\s]+$/.test(address)) throw httpError(400, 'A valid email address is required');
+  validateRole(role);
+
+  const workspaces = readWorkspaces();
+  const workspace = findWorkspace(workspaces, workspaceId);
+  workspace.invites = workspace.invites.filter(invite => invite.email !== address);
+  const invite = { email: address, role, invitedBy, invitedAt: new Date().toISOString() };
+  workspace.invites.push(invite);
+  writeWorkspaces(workspaces);
+  return invite;
+}
+
+function revokeInvite(workspaceId, email) {
+  const workspaces = readWorkspaces();
+  const workspace = findWorkspace(workspaces, workspaceId);
+  const address = normalizeEmail(email);
+  const remaining = workspace.invites.filter(invite => invite.email !== address);
+  if (remaining.length === workspace.invites.length) throw httpError(404, `No invite for ${address}`);
+  workspace.invites = remaining;
+  writeWorkspaces(workspaces);
+}
+
+// Turns every pending invite for the user's email into a membership
+function acceptInvites(user) {
+  if (!user.email) return 0;
+  const workspaces = readWorkspaces();
+  let accepted = 0;
+  workspaces.forEach(workspace => {
+    const invite = workspace.invites.find(item => item.email === user.email);
+    if (!invite) return;
+    workspace.invites = workspace.invites.filter(item => item !== invite);
+    if (!roleOf(workspace, user.id)) {
+      workspace.members.push({ userId: user.id, role: invite.role, joinedAt: new Date().toISOString() });
+    }
+    accepted++;
+  });
+  if (accepted) writeWorkspaces(workspaces);
+  return accepted;
+}
+
+// Workspaces always keep at least one owner
+function assertOwnerRemains(workspace, userId, newRole) {
+  const owners = workspace.members.filter(member => member.role === 'owner');
+  if (roleOf(workspace, userId) === 'owner' && newRole !== 'owner' && owners.length === 1) {
+    throw httpError(409, 'A workspace needs at least one owner');
+  }
+}
+
+function setMemberRole(workspaceId, userId, role) {
+  validateRole(role);
+  const workspaces = readWorkspaces();
+  const workspace = findWorkspace(workspaces, workspaceId);
+  const member = workspace.members.find(item => item.userId === userId);
+  if (!member) throw httpError(404, 'Member not found');
+  assertOwnerRemains(workspace, userId, role);
+  member.role = role;
+  writeWorkspaces(workspaces);
+  return member;
+}
+
+function removeMember(workspaceId, userId) {
+  const workspaces = readWorkspaces();
+  const workspace = findWorkspace(workspaces, workspaceId);
+  if (!roleOf(workspace, userId)) throw httpError(404, 'Member not found');
+  assertOwnerRemains(workspace, userId, null);
+  workspace.members = workspace.members.filter(item => item.userId !== userId);
+  writeWorkspaces(workspaces);
+}
+
+// Sign-in: accept invites, and give users without any workspace a personal
+// one so a fresh install keeps working for a single coach. personal: create
+// the personal workspace even when the user is already a member elsewhere.
+// Returns the personal workspace when one was created.
+function setUpMemberships(user, { personal = false } = {}) {
+  acceptInvites(user);
+  if (!personal && listWorkspacesForUser(user.id).length) return null;
+  return createWorkspace(`${user.name || user.email || 'My'} workspace`, user.id);
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  can,
+  getWorkspace,
+  roleOf,
+  listWorkspacesForUser,
+  createWorkspace,
+  inviteMember,
+  revokeInvite,
+  acceptInvites,
+  setMemberRole,
+  removeMember,
+  setUpMemberships
+};
@@ -0,0 +1,364 @@
+const fs = require('fs');
+const path = require('path');
+const { loadPlays, isGoal } = require('./match-data');
+const { resolveDataset, describeSelector, DATA_DIR } = require('./dataset-store');
+const { ENUMS } = require('./schema');
+const { Z_95 } = require('./stats');
+
+// Local expected-goals model: L2-regularised logistic regression on shot rows,
+// fitted with Newton's method so training is fully deterministic. Models are
+// saved per dataset under DATA_DIR/models and retrained when the dataset changes.
+
+const MODEL_VERSION = 1;
+const MODELS_DIR = path.join(DATA_DIR, 'models');
+const L2_PENALTY = 1;
+const MAX_ITERATIONS = 50;
+const TEST_SHARE = 0.2;
+
+const NUMERIC_FEATURES = ['shotDistance', 'numberOfPasses'];
+const BOOLEAN_FEATURES = ['secondChance'];
+const CATEGORICAL_FEATURES = {
+  location: ENUMS['Location on Field'],
+  playType: ENUMS['Play Type'],
+  playContext: ENUMS['Play Context'],
+  assistType: ENUMS['Assist Type'],
+  playSpeed: ENUMS['Play Speed']
+};
+
+const FEATURE_NAMES = [
+  'intercept',
+  ...NUMERIC_FEATURES,
+  ...BOOLEAN_FEATURES,
+  ...Object.keys(CATEGORICAL_FEATURES).flatMap(key => CATEGORICAL_FEATURES[key].map(value => `${key}=${value}`))
+];
+
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+const clampProbability = p => Math.min(Math.max(p, 1e-12), 1 - 1e-12);
+
+// FNV-1a, used to assign whole games to the train or test split
+function hash(value) {
+  let h = 0x811c9dc5;
+  const text = String(value);
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+const isTestGame = gameId => (hash(gameId) % 1000) / 1000 < TEST_SHARE;
+
+// Linear algebra on small dense matrices (arrays of rows)
+
+function solve(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let total = a[row][n];
+    for (let k = row + 1; k < n; k++) total -= a[row][k] * x[k];
+    x[row] = total / a[row][row];
+  }
+  return x;
+}
+
+function invert(matrix) {
+  const columns = matrix.map((row, i) => solve(matrix, row.map((_, j) => (i === j ? 1 : 0))));
+  // solve() returned columns of the inverse; transpose back into rows
+  return columns[0].map((_, i) => columns.map(column => column[i]));
+}
+
+const dot = (a, b) => a.reduce((total, value, i) => total + value * b[i], 0);
+
+// Features
+
+function fitScaling(shots) {
+  const scaling = {};
+  NUMERIC_FEATURES.forEach(feature => {
+    const values = shots.map(shot => shot[feature]).filter(value => value !== null);
+    const mean = values.reduce((total, value) => total + value, 0) / (values.length || 1);
+    const variance = values.reduce((total, value) => total + (value - mean) ** 2, 0) / (values.length || 1);
+    scaling[feature] = { mean, std: Math.sqrt(variance) || 1 };
+  });
+  return scaling;
+}
+
+// Missing values fall back to the training average: 0 for a standardised
+// numeric feature and the category base rates for a one-hot group.
+function featurize(input, model) {
+  const vector = [1];
+  NUMERIC_FEATURES.forEach(feature => {
+    const value = input[feature];
+    const { mean, std } = model.scaling[feature];
+    vector.push(value === null || value === undefined ? 0 : (value - mean) / std);
+  });
+  BOOLEAN_FEATURES.forEach(feature => {
+    const value = input[feature];
+    vector.push(value === null || value === undefined ? model.baseRates[feature] : (value ? 1 : 0));
+  });
+  Object.keys(CATEGORICAL_FEATURES).forEach(key => {
+    const known = CATEGORICAL_FEATURES[key].includes(input[key]);
+    CATEGORICAL_FEATURES[key].forEach(value => {
+      vector.push(known ? (input[key] === value ? 1 : 0) : model.baseRates[`${key}=${value}`]);
+    });
+  });
+  return vector;
+}
+
+function fitBaseRates(shots) {
+  const rates = {};
+  BOOLEAN_FEATURES.forEach(feature => {
+    rates[feature] = shots.filter(shot => shot[feature]).length / (shots.length || 1);
+  });
+  Object.keys(CATEGORICAL_FEATURES).forEach(key => {
+    CATEGORICAL_FEATURES[key].forEach(value => {
+      rates[`${key}=${value}`] = shots.filter(shot => shot[key] === value).length / (shots.length || 1);
+    });
+  });
+  return rates;
+}
+
+// Training
+
+function fitLogistic(X, y) {
+  const d = X[0].length;
+  let weights = new Array(d).fill(0);
+  let hessian = null;
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const gradient = new Array(d).fill(0);
+    hessian = Array.from({ length: d }, () => new Array(d).fill(0));
+
+    X.forEach((x, i) => {
+      const p = sigmoid(dot(weights, x));
+      const w = p * (1 - p);
+      for (let j = 0; j < d; j++) {
+        gradient[j] += (p - y[i]) * x[j];
+        for (let k = j; k < d; k++) hessian[j][k] += w * x[j] * x[k];
+      }
+    });
+    for (let j = 0; j < d; j++) {
+      // The intercept is not penalised
+      if (j > 0) {
+        gradient[j] += L2_PENALTY * weights[j];
+        hessian[j][j] += L2_PENALTY;
+      }
+      for (let k = 0; k < j; k++) hessian[j][k] = hessian[k][j];
+    }
+    // Tiny ridge keeps the intercept row well-conditioned on degenerate data
+    hessian[0][0] += 1e-9;
+
+    const step = solve(hessian, gradient);
+    weights = weights.map((weight, j) => weight - step[j]);
+    if (Math.max(...step.map(Math.abs)) < 1e-8) break;
+  }
+
+  return { weights, covariance: invert(hessian) };
+}
+
+// Evaluation
+
+function logLoss(probabilities, outcomes) {
+  const total = probabilities.reduce((sum, p, i) => {
+    const q = clampProbability(p);
+    return sum - (outcomes[i] ? Math.log(q) : Math.log(1 - q));
+  }, 0);
+  return total / (probabilities.length || 1);
+}
+
+function brierScore(probabilities, outcomes) {
+  return probabilities.reduce((sum, p, i) => sum + (p - outcomes[i]) ** 2, 0) / (probabilities.length || 1);
+}
+
+// Rank-based AUC (Mann-Whitney U) with average ranks for ties
+function auc(probabilities, outcomes) {
+  const positives = outcomes.filter(Boolean).length;
+  const negatives = outcomes.length - positives;
+  if (!positives || !negatives) return null;
+
+  const order = probabilities.map((p, i) => ({ p, y: outcomes[i] })).sort((a, b) => a.p - b.p);
+  let rankSum = 0;
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].p === order[i].p) j++;
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) {
+      if (order[k].y) rankSum += averageRank;
+    }
+    i = j + 1;
+  }
+  return (rankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+}
+
+// Equal-count bins of predicted probability vs observed goal rate
+function calibration(probabilities, outcomes) {
+  const binCount = Math.max(1, Math.min(10, Math.floor(probabilities.length / 10)));
+  const order = probabilities.map((p, i) => ({ p, y: outcomes[i] })).sort((a, b) => a.p - b.p);
+  const bins = [];
+  for (let b = 0; b < binCount; b++) {
+    const slice = order.slice(Math.floor((b * order.length) / binCount), Math.floor(((b + 1) * order.length) / binCount));
+    if (!slice.length) continue;
+    bins.push({
+      count: slice.length,
+      meanPredicted: slice.reduce((sum, item) => sum + item.p, 0) / slice.length,
+      observedRate: slice.filter(item => item.y).length / slice.length
+    });
+  }
+  return bins;
+}
+
+function evaluate(probabilities, outcomes) {
+  return {
+    count: outcomes.length,
+    goals: outcomes.filter(Boolean).length,
+    logLoss: logLoss(probabilities, outcomes),
+    brier: brierScore(probabilities, outcomes),
+    auc: auc(probabilities, outcomes),
+    calibration: calibration(probabilities, outcomes)
+  };
+}
+
+function train(plays, { datasetName = null, datasetMtimeMs = null } = {}) {
+  const shots = plays.filter(play => play.shotAttempt);
+  const trainShots = shots.filter(shot => !isTestGame(shot.gameId));
+  const testShots = shots.filter(shot => isTestGame(shot.gameId));
+  if (trainShots.length < 20) {
+    const error = new Error('Not enough shots to train the xG model (need at least 20 in the training split)');
+    error.status = 422;
+    throw error;
+  }
+
+  const model = {
+    version: MODEL_VERSION,
+    dataset: datasetName,
+    datasetMtimeMs,
+    trainedAt: new Date().toISOString(),
+    features: FEATURE_NAMES,
+    scaling: fitScaling(trainShots),
+    baseRates: fitBaseRates(trainShots)
+  };
+
+  const X = trainShots.map(shot => featurize(shot, model));
+  const y = trainShots.map(shot => (isGoal(shot) ? 1 : 0));
+  const { weights, covariance } = fitLogistic(X, y);
+  model.weights = weights;
+  model.covariance = covariance;
+
+  const testOutcomes = testShots.map(shot => (isGoal(shot) ? 1 : 0));
+  model.metrics = {
+    train: evaluate(X.map(x => sigmoid(dot(weights, x))), y),
+    test: evaluate(testShots.map(shot => predict(model, shot).xG), testOutcomes),
+    // The dataset's own xG column scored on the same test shots, for reference
+    baseline: evaluate(testShots.map(shot => shot.xG || 0), testOutcomes)
+  };
+
+  return model;
+}
+
+// The subset of a scenario the model actually uses
+function pickModelInputs(scenario = {}) {
+  const inputs = {};
+  [...NUMERIC_FEATURES, ...BOOLEAN_FEATURES, ...Object.keys(CATEGORICAL_FEATURES)].forEach(feature => {
+    if (scenario[feature] !== undefined && scenario[feature] !== null) inputs[feature] = scenario[feature];
+  });
+  return inputs;
+}
+
+// Prediction with a 95% interval from the delta method on the logit scale
+function predict(model, input) {
+  const x = featurize(input, model);
+  const logit = dot(model.weights, x);
+  const covX = model.covariance.map(row => dot(row, x));
+  const se = Math.sqrt(Math.max(dot(x, covX), 0));
+  return {
+    xG: sigmoid(logit),
+    ci: [sigmoid(logit - Z_95 * se), sigmoid(logit + Z_95 * se)]
+  };
+}
+
+// Persistence
+
+// One file per resolved dataset; workspace uploads are prefixed with the workspace
+function modelPath(dataset) {
+  const prefix = dataset.workspace ? `${dataset.workspace}--` : '';
+  return path.join(MODELS_DIR, `xg-${prefix}${dataset.name}.json`);
+}
+
+function saveModel(model, dataset) {
+  fs.mkdirSync(MODELS_DIR, { recursive: true });
+  fs.writeFileSync(modelPath(dataset), JSON.stringify(model, null, 2));
+}
+
+function readSavedModel(dataset) {
+  try {
+    return JSON.parse(fs.readFileSync(modelPath(dataset), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Error reading saved xG model:', err);
+    }
+    return null;
+  }
+}
+
+// Returns the saved model for the dataset, retraining (and saving) it when it is
+// missing, from an older model version, or older than the dataset file.
+// datasetName is a dataset-store selector: a name, or { name, workspace }.
+// allowStale keeps a saved model even when the file changed since, for callers
+// like live logging that edit the dataset after every play.
+function getModel(datasetName, { retrain = false, allowStale = false } = {}) {
+  const dataset = resolveDataset(datasetName);
+  if (!dataset) {
+    const error = new Error(`Dataset "${describeSelector(datasetName)}" not found`);
+    error.status = 404;
+    throw error;
+  }
+  const { mtimeMs } = fs.statSync(dataset.file);
+
+  if (!retrain) {
+    const saved = readSavedModel(dataset);
+    if (saved && saved.version === MODEL_VERSION && (allowStale || saved.datasetMtimeMs === mtimeMs)) {
+      return saved;
+    }
+  }
+
+  const model = train(loadPlays(dataset), { datasetName: dataset.name, datasetMtimeMs: mtimeMs });
+  saveModel(model, dataset);
+  return model;
+}
+
+// Public summary without the raw covariance matrix
+function describeModel(model) {
+  const coefficients = {};
+  model.features.forEach((feature, i) => {
+    coefficients[feature] = model.weights[i];
+  });
+  return {
+    version: model.version,
+    dataset: model.dataset,
+    trainedAt: model.trainedAt,
+    coefficients,
+    metrics: model.metrics
+  };
+}
+
+module.exports = {
+  NUMERIC_FEATURES,
+  BOOLEAN_FEATURES,
+  CATEGORICAL_FEATURES,
+  train,
+  pickModelInputs,
+  predict,
+  getModel,
+  describeModel
+};
@@ -0,0 +1,139 @@
+// Shared by the researcher, model and conclusion pages: POSTs to a /stream
+// endpoint and dispatches its Server-Sent Events to handlers by event name,
+// e.g. streamPost(url, body, { token(data) {...}, stage(data) {...} }).
+// Resolves with the "done" payload; rejects on HTTP errors and "error" events.
+async function streamPost(url, body, handlers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    credentials: 'include',
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    let errorData;
+    try {
+      errorData = await response.json();
+    } catch (e) {
+      errorData = { error: 'Unknown error', details: `HTTP ${response.status}: ${response.statusText}` };
+    }
+    const errorMsg = errorData.error || 'Request failed';
+    const errorDetails = errorData.details || errorData.message || '';
+    throw new Error(errorDetails ? `${errorMsg}\n\n${errorDetails}` : errorMsg);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const raw = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let name = 'message';
+      let data = '';
+      raw.split('\n').forEach(line => {
+        if (line.startsWith('event: ')) name = line.slice(7);
+        if (line.startsWith('data: ')) data += line.slice(6);
+      });
+      const payload = data ? JSON.parse(data) : null;
+
+      if (name === 'error') {
+        throw new Error(payload.details ? `${payload.error}\n\n${payload.details}` : payload.error);
+      }
+      if (name === 'done') result = payload;
+      if (handlers[name]) handlers[name](payload);
+    }
+  }
+
+  if (!result) {
+    throw new Error('The connection closed before the answer was complete.');
+  }
+  return result;
+}
+
+// Markdown-style formatting used by the answer pages (bold, paragraphs, line breaks)
+function formatAnswer(text) {
+  let formatted = text
+    .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\n\n+/g, '</p><p>')
+    .replace(/\n/g, '<br>');
+  if (!formatted.startsWith('<p>')) {
+    formatted = '<p>' + formatted + '</p>';
+  }
+  return formatted;
+}
+
+// Answers stream in as JSON ({"answer": "...", "citations": [...]}). Decodes
+// the part of the answer string received so far so it can be shown while it
+// arrives; plain-text streams are returned unchanged.
+function answerPreview(raw) {
+  const match = /"answer"\s*:\s*"/.exec(raw);
+  if (!match) return /^\s*(```|\{)/.test(raw) ? '' : raw;
+  const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+  let text = '';
+  for (let i = match.index + match[0].length; i < raw.length; i++) {
+    const char = raw[i];
+    if (char === '"') break;
+    if (char !== '\\') {
+      text += char;
+      continue;
+    }
+    const next = raw[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      if (i + 5 >= raw.length) break;
+      text += String.fromCharCode(parseInt(raw.slice(i + 2, i + 6), 16));
+      i += 5;
+    } else {
+      text += escapes[next] || next;
+      i += 1;
+    }
+  }
+  return text;
+}
+
+// Fact labels can carry user-entered names (players, opponents)
+function escapeText(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// formatAnswer plus citations: [F3] markers become superscripts showing the
+// fact, the cited facts are listed below, and numbers no fact backs are flagged
+function formatGroundedAnswer(text, grounding) {
+  let formatted = formatAnswer(text);
+  if (!grounding) return formatted;
+  const facts = new Map(grounding.facts.map(fact => [fact.id, fact]));
+  formatted = formatted.replace(/\[(F\d+)\]/g, (marker, id) => {
+    const fact = facts.get(id);
+    return fact
+      ? `<sup title="${escapeText(`${fact.label}: ${fact.display}`)}" style="color: #007bff; cursor: help;">${id}</sup>`
+      : `<sup title="No computed fact has this ID" style="color: #e74c3c;">${id}?</sup>`;
+  });
+
+  const cited = grounding.facts.filter(fact => grounding.citedFactIds.includes(fact.id));
+  if (cited.length) {
+    formatted += `<div style="margin-top: 15px; font-size: 13px; color: #555;"><strong>Computed facts cited:</strong><br>${cited.map(fact => `${fact.id} · ${escapeText(`${fact.label}: ${fact.display}`)}`).join('<br>')}</div>`;
+  }
+  const problems = [
+    ...grounding.unsupported.map(number => `${number.value} (“…${escapeText(number.excerpt)}…”)`),
+    ...grounding.unknownFactIds.map(id => `citation ${id}, which is not a computed fact`)
+  ];
+  if (problems.length) {
+    formatted += `<div style="margin-top: 10px; padding: 10px; font-size: 13px; background: #fff3cd; border-radius: 5px;">⚠ Not backed by the computed facts or evidence rows: ${problems.join('; ')}</div>`;
+  }
+  return formatted;
+}
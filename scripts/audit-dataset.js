@@ -0,0 +1,43 @@
+// Audits a dataset and prints its issues, most severe first. With --fix the
+// suggested fixes are applied and the dataset stored again (or as --save-as).
+// Exits with 1 when errors remain. --season-start=<month> overrides the month
+// the dataset's seasons start in (1 for calendar-year seasons).
+// Usage: node scripts/audit-dataset.js [dataset] [workspace] [--fix] [--save-as=name] [--season-start=month]
+require('dotenv').config();
+const { auditDataset, fixDataset } = require('../app/lib/audit');
+
+const args = process.argv.slice(2);
+const [datasetName, workspace] = args.filter(arg => !arg.startsWith('--'));
+const option = name => (args.find(arg => arg.startsWith(`--${name}=`)) || '').slice(name.length + 3);
+const saveAs = option('save-as');
+const seasonStartMonth = option('season-start');
+const selector = { name: datasetName, workspace };
+
+function printSummary({ rows, error, warning, info, fixable }) {
+  console.log(`${rows} rows: ${error} errors, ${warning} warnings, ${info} notes (${fixable} fixable)`);
+}
+
+try {
+  if (args.includes('--fix')) {
+    const { dataset, applied, removed, audit } = fixDataset(selector, { saveAs, seasonStartMonth }, { workspace: workspace || null });
+    console.log(`Stored fixed dataset "${dataset.name}" (${removed} rows removed)`);
+    Object.entries(applied).forEach(([rule, count]) => console.log(`  ${rule.padEnd(20)} ${count} fixed`));
+    printSummary(audit);
+    process.exitCode = audit.error ? 1 : 0;
+  } else {
+    const { dataset, seasonStartMonth: startMonth, summary, rules, issues } = auditDataset(selector, { seasonStartMonth });
+    console.log(`Audit of dataset "${dataset}" (seasons start in month ${startMonth})`);
+    rules.filter(rule => rule.count).forEach(rule => {
+      console.log(`  ${rule.id.padEnd(20)} ${rule.count} (${rule.fixable} fixable) - ${rule.description}`);
+    });
+    issues.forEach(issue => {
+      console.log(`${issue.severity.padEnd(8)} row ${issue.row} (ID ${issue.playId}) ${issue.rule}: ${issue.message}${issue.fix ? ' [fixable]' : ''}`);
+    });
+    if (issues.length < summary.issues) console.log(`... and ${summary.issues - issues.length} more`);
+    printSummary(summary);
+    process.exitCode = summary.error ? 1 : 0;
+  }
+} catch (error) {
+  console.error('Failed to audit dataset:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,21 @@
+// Trains and saves the local xG model for a dataset, then prints its metrics.
+// Usage: node scripts/train-xg-model.js [dataset] [workspace]
+require('dotenv').config();
+const { getModel, describeModel } = require('../app/lib/xg-model');
+
+const [datasetName, workspace] = process.argv.slice(2);
+
+try {
+  const { dataset, trainedAt, metrics } = describeModel(getModel({ name: datasetName, workspace }, { retrain: true }));
+  console.log(`Trained xG model for dataset "${dataset}" at ${trainedAt}`);
+  ['train', 'test', 'baseline'].forEach(split => {
+    const { count, goals, logLoss, brier, auc } = metrics[split];
+    console.log(
+      `${split.padEnd(8)} shots=${count} goals=${goals} log-loss=${logLoss.toFixed(4)} ` +
+      `brier=${brier.toFixed(4)} auc=${auc === null ? 'n/a' : auc.toFixed(3)}`
+    );
+  });
+} catch (error) {
+  console.error('Failed to train xG model:', error.message);
+  process.exit(1);
+}
@@ -5,21 +5,54 @@ const session = require('express-session');
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const { getComprehensiveData } = require('./app/api/comprehensive-data');
-const { getResearcherResponse } = require('./app/api/researcher');
-const { getModelPrediction } = require('./app/api/model-pred');
-const { getConclusion } = require('./app/api/conclusions');
+const { getResearcherResponse, streamResearcherResponse } = require('./app/api/researcher');
+const { getModelPrediction, streamModelPrediction } = require('./app/api/model-pred');
+const { getConclusion, streamConclusion } = require('./app/api/conclusions');
+const { uploadDataset, importDataset, listDatasets } = require('./app/api/datasets');
+const { getAudit, fixAudit } = require('./app/api/audit');
+const { getPlays, searchPlays } = require('./app/api/plays');
+const { runSimulation } = require('./app/api/simulate');
+const { getDossier, getDossierNarrative } = require('./app/api/dossier');
+const { getAggregate } = require('./app/api/aggregate');
+const { getTrends } = require('./app/api/trends');
+const { getComparison } = require('./app/api/compare');
+const { getChains } = require('./app/api/chains');
+const { getPlayers, getPlayer, getRosters, saveRoster } = require('./app/api/players');
+const { getScorelines, saveScoreline, deleteScoreline } = require('./app/api/scorelines');
+const { getTeams, getHeadToHead } = require('./app/api/teams');
+const games = require('./app/api/games');
+const { exportPlays, exportAggregate, exportAnalyses, getScoutingReport } = require('./app/api/exports');
+const { getXGModel, trainXGModel } = require('./app/api/xg-model');
+const { listHistory, getHistoryItem, renameHistoryItem, deleteHistoryItem } = require('./app/api/history');
+const workspaces = require('./app/api/workspaces');
+const { getUser, upsertFromProfile } = require('./app/lib/user-store');
+const { setUpMemberships } = require('./app/lib/workspace-store');
+const { hasLegacyHistory, adoptLegacyHistory } = require('./app/lib/history-store');
+const { hasLegacyDatasets, adoptLegacyDatasets } = require('./app/lib/dataset-store');
+const { requirePermission } = require('./app/lib/access');
 const cors = require('cors');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Dataset uploads post whole season CSVs, so allow larger bodies than the default
+const BODY_LIMIT = process.env.BODY_LIMIT || '20mb';
+// Only the pages and their assets are served as static files. The repo root
+// also holds the server code, the sample CSV and (by default) DATA_DIR with
+// users, workspaces and uploads, none of which may be downloadable.
+const PUBLIC_FILES = /^\/(index\.html|styles\.css|app\/[a-z-]+\.html|app\/stream-client\.js)$/;
 
-// Passport serialization stores entire profile in session for demo purposes
+// The session stores only the user id; the user record is loaded per request.
+// Unknown ids (e.g. sessions from before users were persisted) log the user out.
 passport.serializeUser((user, done) => {
-  done(null, user);
+  done(null, user.id);
 });
 
-passport.deserializeUser((obj, done) => {
-  done(null, obj);
+passport.deserializeUser((id, done) => {
+  try {
+    done(null, getUser(id) || false);
+  } catch (err) {
+    done(err);
+  }
 });
 
 // Configure Google OAuth strategy
@@ -31,14 +64,29 @@ passport.use(
       callbackURL: process.env.GOOGLE_CALLBACK_URL,
     },
     (accessToken, refreshToken, profile, done) => {
-      // In production persist user profile in database
-      return done(null, profile);
+      try {
+        const user = upsertFromProfile(profile);
+        // Accept pending invites; first-time users get a personal workspace.
+        // So does anyone with history or uploads from before workspaces, even
+        // when an invite already gave them a team workspace, and that data
+        // moves into it rather than into a workspace others can see.
+        const hasLegacyData = hasLegacyHistory(user.id) || hasLegacyDatasets(user.id);
+        const personal = setUpMemberships(user, { personal: hasLegacyData });
+        if (personal && hasLegacyData) {
+          adoptLegacyHistory(user.id, personal.id);
+          adoptLegacyDatasets(user.id, personal.id);
+        }
+        return done(null, user);
+      } catch (err) {
+        return done(err);
+      }
     }
   )
 );
 
 // Middleware
-app.use(express.json());
+app.use(express.json({ limit: BODY_LIMIT }));
+app.use(express.text({ type: ['text/csv', 'text/plain'], limit: BODY_LIMIT }));
 app.use(
   session({
     secret: process.env.SESSION_SECRET || 'fallback-secret',
@@ -48,7 +96,8 @@ app.use(
 );
 app.use(passport.initialize());
 app.use(passport.session());
-app.use(express.static('.'));
+const serveStatic = express.static(__dirname, { index: false });
+app.use((req, res, next) => (PUBLIC_FILES.test(req.path) ? serveStatic(req, res, next) : next()));
 app.use(cors({
   origin: [
     'http://localhost:3000',
@@ -66,6 +115,10 @@ const ensureAuthenticated = (req, res, next) => {
   res.status(401).json({ error: 'Unauthorized' });
 };
 
+// Signed in and holding a role with the permission in the request's workspace
+// (read | ask | write | manage, see app/lib/workspace-store.js)
+const guard = permission => [ensureAuthenticated, requirePermission(permission)];
+
 // Auth routes
 app.get(
   '/auth/google',
@@ -90,10 +143,64 @@ app.get('/logout', (req, res, next) => {
 });
 
 // API routes (protected)
-app.get('/api/comprehensive-data', ensureAuthenticated, getComprehensiveData);
-app.post('/api/researcher', ensureAuthenticated, getResearcherResponse);
-app.post('/api/model-pred', ensureAuthenticated, getModelPrediction);
-app.post('/api/conclusions', ensureAuthenticated, getConclusion);
+app.get('/api/comprehensive-data', guard('read'), getComprehensiveData);
+app.get('/api/plays', guard('read'), getPlays);
+app.get('/api/plays/search', guard('read'), searchPlays);
+app.get('/api/aggregate', guard('read'), getAggregate);
+app.get('/api/trends', guard('read'), getTrends);
+app.get('/api/compare', guard('read'), getComparison);
+app.get('/api/chains', guard('read'), getChains);
+app.get('/api/players', guard('read'), getPlayers);
+app.get('/api/players/:playerId', guard('read'), getPlayer);
+app.get('/api/rosters', guard('read'), getRosters);
+app.put('/api/rosters', guard('write'), saveRoster);
+app.get('/api/scorelines', guard('read'), getScorelines);
+app.put('/api/scorelines', guard('write'), saveScoreline);
+app.delete('/api/scorelines', guard('write'), deleteScoreline);
+app.get('/api/teams', guard('read'), getTeams);
+app.get('/api/teams/head-to-head', guard('read'), getHeadToHead);
+app.post('/api/simulate', guard('read'), runSimulation);
+app.get('/api/dossier', guard('read'), getDossier);
+app.post('/api/dossier/narrative', guard('ask'), getDossierNarrative);
+app.get('/api/export/plays', guard('read'), exportPlays);
+app.get('/api/export/aggregate', guard('read'), exportAggregate);
+app.get('/api/export/analyses', guard('read'), exportAnalyses);
+app.get('/api/reports/scouting', guard('read'), getScoutingReport);
+app.get('/api/xg-model', guard('read'), getXGModel);
+app.post('/api/xg-model/train', guard('write'), trainXGModel);
+app.post('/api/researcher', guard('ask'), getResearcherResponse);
+app.post('/api/researcher/stream', guard('ask'), streamResearcherResponse);
+app.post('/api/model-pred', guard('ask'), getModelPrediction);
+app.post('/api/model-pred/stream', guard('ask'), streamModelPrediction);
+app.post('/api/conclusions', guard('ask'), getConclusion);
+app.post('/api/conclusions/stream', guard('ask'), streamConclusion);
+app.get('/api/datasets', guard('read'), listDatasets);
+app.post('/api/datasets', guard('write'), uploadDataset);
+app.post('/api/datasets/import', guard('write'), importDataset);
+app.get('/api/audit', guard('read'), getAudit);
+app.post('/api/audit/fix', guard('write'), fixAudit);
+app.get('/api/games', guard('read'), games.listGames);
+app.post('/api/games', guard('write'), games.createGame);
+app.get('/api/games/:gameId', guard('read'), games.getGame);
+app.post('/api/games/:gameId/clock', guard('write'), games.setClock);
+app.post('/api/games/:gameId/plays', guard('write'), games.logPlay);
+app.patch('/api/games/:gameId/plays/:playId', guard('write'), games.editPlay);
+app.delete('/api/games/:gameId/plays/:playId', guard('write'), games.deletePlay);
+app.post('/api/games/:gameId/undo', guard('write'), games.undoPlay);
+app.get('/api/history', guard('read'), listHistory);
+app.get('/api/history/:id', guard('read'), getHistoryItem);
+app.patch('/api/history/:id', guard('ask'), renameHistoryItem);
+app.delete('/api/history/:id', guard('ask'), deleteHistoryItem);
+
+// Users and workspaces
+app.get('/api/me', guard('read'), workspaces.getMe);
+app.post('/api/workspaces', ensureAuthenticated, workspaces.createWorkspace);
+app.post('/api/workspaces/:workspaceId/select', guard('read'), workspaces.selectWorkspace);
+app.get('/api/workspaces/:workspaceId/members', guard('read'), workspaces.listMembers);
+app.post('/api/workspaces/:workspaceId/invites', guard('manage'), workspaces.inviteMember);
+app.delete('/api/workspaces/:workspaceId/invites/:email', guard('manage'), workspaces.revokeInvite);
+app.patch('/api/workspaces/:workspaceId/members/:userId', guard('manage'), workspaces.updateMember);
+app.delete('/api/workspaces/:workspaceId/members/:userId', guard('manage'), workspaces.removeMember);
 
 // Serve landing page and post-login dashboard
 app.get('/', (req, res) => {
@@ -112,7 +219,23 @@ app.get('/app/model.html', ensureAuthenticated, (req, res) => {
   res.sendFile(path.join(__dirname, 'app', 'model.html'));
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
+app.get('/app/history.html', ensureAuthenticated, (req, res) => {
+  res.sendFile(path.join(__dirname, 'app', 'history.html'));
+});
+
+app.get('/app/workspaces.html', ensureAuthenticated, (req, res) => {
+  res.sendFile(path.join(__dirname, 'app', 'workspaces.html'));
 });
+
+app.get('/app/live.html', ensureAuthenticated, (req, res) => {
+  res.sendFile(path.join(__dirname, 'app', 'live.html'));
+});
+
+// Start server (tests require the app without listening)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir, signIn } = require('./helpers');
+
+useTempDataDir();
+const store = require('../app/lib/dataset-store');
+const workspaces = require('../app/lib/workspace-store');
+
+const ROW = { 'Game ID': '1' };
+const names = workspace => store.listDatasets(workspace).map(dataset => dataset.name);
+
+test('a workspace sees only its own uploads and the sample', () => {
+  store.saveDataset('spring', [ROW], { uploadedBy: 'alice', workspace: 'team-a' });
+  store.saveDataset('autumn', [ROW], { uploadedBy: 'bob', workspace: 'team-b' });
+
+  assert.deepStrictEqual(names('team-a'), ['sample', 'spring']);
+  assert.deepStrictEqual(names('team-b'), ['sample', 'autumn']);
+  assert.strictEqual(store.resolveDataset({ name: 'autumn', workspace: 'team-a' }), null);
+  assert.strictEqual(store.resolveDataset({ workspace: 'team-a' }).name, 'spring');
+});
+
+test('uploads from before workspaces are hidden from every workspace', () => {
+  store.saveDataset('legacy', [ROW], { uploadedBy: 'carol' });
+
+  assert.ok(!names('team-a').includes('legacy'));
+  assert.ok(!names('new-personal').includes('legacy'));
+  assert.strictEqual(store.resolveDataset({ name: 'legacy', workspace: 'new-personal' }), null);
+  assert.strictEqual(store.resolveDataset({ workspace: 'new-personal' }).name, 'sample');
+  // The CLI scripts, which run without a workspace, still reach them
+  assert.strictEqual(store.resolveDataset('legacy').name, 'legacy');
+});
+
+test('only the uploader\'s workspace adopts their legacy uploads', () => {
+  store.saveDataset('old-season', [ROW], { uploadedBy: 'dave' });
+
+  assert.strictEqual(store.adoptLegacyDatasets('erin', 'erin-personal'), 0);
+  assert.ok(!names('erin-personal').includes('old-season'));
+
+  assert.strictEqual(store.adoptLegacyDatasets('dave', 'dave-personal'), 1);
+  assert.deepStrictEqual(names('dave-personal'), ['sample', 'old-season']);
+  assert.ok(store.resolveDataset({ name: 'old-season', workspace: 'dave-personal' }).file.endsWith('old-season.csv'));
+  assert.strictEqual(store.resolveDataset('old-season'), null);
+});
+
+test('legacy uploads move into a personal workspace even when an invite came first', async () => {
+  store.saveDataset('last-season', [ROW], { uploadedBy: 'gina' });
+  const team = workspaces.createWorkspace('Thunder FC', 'hal');
+  workspaces.inviteMember(team.id, 'gina@example.com', 'analyst', 'hal');
+
+  await signIn({ id: 'gina', displayName: 'Gina', emails: [{ value: 'gina@example.com' }] });
+  const joined = workspaces.listWorkspacesForUser('gina');
+  const personal = joined.find(item => item.id !== team.id);
+
+  assert.deepStrictEqual(joined.map(item => item.role).sort(), ['analyst', 'owner']);
+  assert.deepStrictEqual(names(personal.id), ['sample', 'last-season']);
+  assert.ok(!names(team.id).includes('last-season'));
+
+  // Later sign-ins have nothing left to adopt and create no more workspaces
+  await signIn({ id: 'gina', displayName: 'Gina', emails: [{ value: 'gina@example.com' }] });
+  assert.strictEqual(workspaces.listWorkspacesForUser('gina').length, 2);
+});
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each test file runs in its own process; point DATA_DIR at a fresh temporary
+// directory before any store is required so tests never touch data/.
+function useTempDataDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'play2win-test-'));
+  process.env.DATA_DIR = dir;
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// The Express app without listening; GoogleStrategy needs a client ID even
+// though no test signs in through Google
+function loadServer() {
+  process.env.GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID || 'test-client';
+  process.env.GOOGLE_CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET || 'test-secret';
+  return require('../server');
+}
+
+// Runs the Google strategy's sign-in step for a profile, as the OAuth
+// callback would after Google confirmed who the user is
+function signIn(profile) {
+  loadServer();
+  const strategy = require('passport')._strategy('google');
+  return new Promise((resolve, reject) => {
+    strategy._verify(null, null, profile, (err, user) => (err ? reject(err) : resolve(user)));
+  });
+}
+
+// Starts the Express app on a free port
+async function startServer() {
+  const app = loadServer();
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  return {
+    url: pathname => `http://127.0.0.1:${server.address().port}${pathname}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { useTempDataDir, signIn, startServer };
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir, startServer } = require('./helpers');
+
+useTempDataDir();
+const workspaces = require('../app/lib/workspace-store');
+const { requirePermission } = require('../app/lib/access');
+const history = require('../app/lib/history-store');
+
+const owner = workspaces.createWorkspace('Thunder FC', 'olive');
+workspaces.inviteMember(owner.id, 'vic@example.com', 'viewer', 'olive');
+workspaces.inviteMember(owner.id, 'cole@example.com', 'coach', 'olive');
+workspaces.acceptInvites({ id: 'vic', email: 'vic@example.com' });
+workspaces.acceptInvites({ id: 'cole', email: 'cole@example.com' });
+const other = workspaces.createWorkspace('Rivals', 'rita');
+
+// Runs the guard against a fake request and reports the status it answered
+// with, or 'next' when it let the request through
+function check(permission, { user, header, params = {}, session = {} }) {
+  const req = { user: { id: user }, params, query: {}, session, get: name => (name === 'X-Workspace' ? header : undefined) };
+  let outcome = null;
+  const res = {
+    status(code) {
+      outcome = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+  requirePermission(permission)(req, res, () => {
+    outcome = 'next';
+  });
+  return { outcome, req };
+}
+
+test('a role is allowed only the permissions it grants', () => {
+  const allowed = check('write', { user: 'olive', header: owner.id });
+  assert.strictEqual(allowed.outcome, 'next');
+  assert.strictEqual(allowed.req.workspace.id, owner.id);
+  assert.strictEqual(allowed.req.role, 'owner');
+
+  assert.strictEqual(check('read', { user: 'vic', header: owner.id }).outcome, 'next');
+  assert.strictEqual(check('ask', { user: 'vic', header: owner.id }).outcome, 403);
+  assert.strictEqual(check('write', { user: 'vic', header: owner.id }).outcome, 403);
+  assert.strictEqual(check('ask', { user: 'cole', header: owner.id }).outcome, 'next');
+  assert.strictEqual(check('write', { user: 'cole', header: owner.id }).outcome, 403);
+  assert.strictEqual(check('manage', { user: 'cole', params: { workspaceId: owner.id } }).outcome, 403);
+});
+
+test('members of one workspace cannot act in another', () => {
+  assert.strictEqual(check('read', { user: 'olive', header: other.id }).outcome, 403);
+  assert.strictEqual(check('read', { user: 'vic', params: { workspaceId: other.id } }).outcome, 403);
+  assert.strictEqual(check('read', { user: 'vic', session: { workspaceId: other.id } }).outcome, 403);
+  assert.strictEqual(check('read', { user: 'nobody' }).outcome, 403);
+  assert.strictEqual(check('read', { user: 'olive', header: 'no-such-workspace' }).outcome, 403);
+});
+
+test('a request without a workspace falls back to the user\'s first one', () => {
+  const { outcome, req } = check('read', { user: 'rita' });
+  assert.strictEqual(outcome, 'next');
+  assert.strictEqual(req.workspace.id, other.id);
+});
+
+test('posting another member\'s analysisId starts a new analysis', () => {
+  const context = { query: 'How do we score from corners?', dataset: 'sample' };
+  const original = history.recordStep(owner.id, 'olive', null, 'researcher', context, { text: 'Olive\'s answer' });
+
+  const posted = history.recordStep(owner.id, 'cole', original.id, 'researcher', context, { text: 'Cole\'s answer' });
+  assert.notStrictEqual(posted.id, original.id);
+  assert.strictEqual(posted.createdBy, 'cole');
+  assert.strictEqual(history.getAnalysis(owner.id, original.id).researcher.text, 'Olive\'s answer');
+
+  const followUp = history.recordStep(owner.id, 'olive', original.id, 'model', context, { text: 'Olive\'s prediction' });
+  assert.strictEqual(followUp.id, original.id);
+});
+
+test('write and manage routes reject anonymous requests', async () => {
+  const server = await startServer();
+  try {
+    const requests = [
+      ['POST', '/api/datasets'],
+      ['POST', '/api/datasets/import'],
+      ['POST', '/api/audit/fix'],
+      ['PUT', '/api/rosters'],
+      ['POST', '/api/games'],
+      ['POST', '/api/xg-model/train'],
+      ['POST', `/api/workspaces/${owner.id}/invites`],
+      ['DELETE', `/api/workspaces/${owner.id}/members/vic`]
+    ];
+    for (const [method, pathname] of requests) {
+      const response = await fetch(server.url(pathname), { method });
+      assert.strictEqual(response.status, 401, `${method} ${pathname}`);
+    }
+  } finally {
+    await server.close();
+  }
+});
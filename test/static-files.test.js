@@ -0,0 +1,41 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, startServer } = require('./helpers');
+
+const dataDir = useTempDataDir();
+let server;
+
+before(async () => {
+  fs.writeFileSync(path.join(dataDir, 'users.json'), JSON.stringify([{ id: 'u1', email: 'coach@example.com' }]));
+  server = await startServer();
+});
+
+after(() => server.close());
+
+test('pages and their assets are served', async () => {
+  for (const pathname of ['/', '/index.html', '/styles.css', '/app/information.html', '/app/stream-client.js']) {
+    const response = await fetch(server.url(pathname));
+    assert.strictEqual(response.status, 200, pathname);
+  }
+});
+
+test('stored data is never served as a static file', async () => {
+  for (const pathname of ['/data/users.json', '/data/workspaces.json', '/data/datasets/index.json', '/data/live-games.json']) {
+    const response = await fetch(server.url(pathname));
+    assert.ok([401, 404].includes(response.status), `${pathname} returned ${response.status}`);
+  }
+});
+
+test('server code and the sample file are not served', async () => {
+  for (const pathname of ['/server.js', '/package.json', '/sample_data.csv', '/app/lib/user-store.js', '/app/api/datasets.js', '/.env']) {
+    const response = await fetch(server.url(pathname));
+    assert.strictEqual(response.status, 404, pathname);
+  }
+});
+
+test('API routes still require a sign-in', async () => {
+  const response = await fetch(server.url('/api/plays'));
+  assert.strictEqual(response.status, 401);
+});